@@ -1,101 +1,206 @@
 import React, { useState, useCallback } from 'react';
 import { FileUpload } from './components/FileUpload';
-import { DesktopFilePicker, type DesktopPickedFile } from './components/DesktopFilePicker';
+import { DesktopFilePicker, type DesktopPickedFile, type DesktopAnalysisEngine } from './components/DesktopFilePicker';
 import { ResultsDisplay } from './components/ResultsDisplay';
+import { SettingsPanel } from './components/SettingsPanel';
+import { HistoryPanel } from './components/HistoryPanel';
+import { AuditLogPanel } from './components/AuditLogPanel';
+import { WatchedFoldersPanel } from './components/WatchedFoldersPanel';
 import { AlertTriangleIcon } from './components/IconComponents';
-import { analyzeSOP } from './services/geminiService';
-import type { AnalysisReport } from './types';
+import { analyzeSOPWithCache } from './services/analysisCache';
+import { GEMINI_MODEL } from './services/geminiService';
+import { findLibraryEntry, saveLibraryEntry } from './services/reportLibrary';
+import { openReportFiles } from './services/reportBundle';
+import { recordAuditEvent } from './services/auditLog';
+import type { AnalysisReport, ReportReview } from './types';
+import type { LibraryEntry } from './desktop-api';
 
-type AnalysisEntry = { fileName: string; fileUrl: string; report: AnalysisReport };
+type AnalysisEntry = {
+  fileName: string;
+  fileUrl: string;
+  report: AnalysisReport;
+  cached?: boolean;
+  imported?: boolean;
+  // History entry holding the report; edits made while reviewing are saved to it.
+  libraryId?: string;
+  review?: ReportReview;
+};
+// `opening`: the file was a report being opened, not a PDF being analyzed.
+type AnalysisError = { fileName: string; message: string; cancelled?: boolean; opening?: boolean };
 
 const App: React.FC = () => {
   const [analysisReports, setAnalysisReports] = useState<AnalysisEntry[]>([]);
   const [isLoading, setIsLoading] = useState<boolean>(false);
-  const [errors, setErrors] = useState<{ fileName: string; message: string }[]>([]);
+  const [errors, setErrors] = useState<AnalysisError[]>([]);
+  const [isCancelling, setIsCancelling] = useState<boolean>(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState<boolean>(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState<boolean>(false);
+  const [historyVersion, setHistoryVersion] = useState<number>(0);
+  const [isAuditLogOpen, setIsAuditLogOpen] = useState<boolean>(false);
+  const [isWatchedFoldersOpen, setIsWatchedFoldersOpen] = useState<boolean>(false);
+  const webAbortRef = React.useRef<AbortController | null>(null);
   const [appVersion, setAppVersion] = useState<string | null>(null);
   const [updateStatus, setUpdateStatus] = useState<{ status: string; percent?: number; message?: string } | null>(null);
   const [updateActionMessage, setUpdateActionMessage] = useState<string | null>(null);
   const [analysisProgress, setAnalysisProgress] = useState<{ percent?: number; stage?: string; message?: string; fileIndex?: number; fileCount?: number } | null>(null);
   const [analysisElapsedMs, setAnalysisElapsedMs] = useState<number>(0);
 
-  const clearPreviousReports = useCallback(() => {
-    setAnalysisReports((previousReports) => {
-      previousReports.forEach((report) => {
-        // Only blob: URLs should be revoked.
-        if (report.fileUrl.startsWith('blob:')) {
-          URL.revokeObjectURL(report.fileUrl);
-        }
-      });
-      return [];
-    });
+  // The previous run stays on screen until the new one produces reports; replacing the state
+  // revokes the old blob: URLs via the cleanup effect below.
+  const showNewReports = useCallback((newReports: AnalysisEntry[]) => {
+    if (newReports.length > 0) {
+      setAnalysisReports(newReports);
+    }
+    setHistoryVersion((v) => v + 1);
   }, []);
 
-  const handleAnalyze = useCallback(async (files: File[]) => {
+  const handleAnalyze = useCallback(async (files: File[], { force }: { force: boolean }) => {
     setIsLoading(true);
     setAnalysisProgress(null);
     setErrors([]);
-    clearPreviousReports();
 
-    const results = await Promise.allSettled(files.map(file => analyzeSOP(file)));
+    const controller = new AbortController();
+    webAbortRef.current = controller;
+    const results = await Promise.allSettled(files.map(async (file) => {
+      const startedAt = Date.now();
+      const result = await analyzeSOPWithCache(file, { signal: controller.signal, force });
+      return { ...result, durationMs: Date.now() - startedAt };
+    }));
+    webAbortRef.current = null;
 
     const newReports: AnalysisEntry[] = [];
-    const newErrors: { fileName: string; message: string }[] = [];
+    const newErrors: AnalysisError[] = [];
 
-    results.forEach((result, index) => {
+    for (const [index, result] of results.entries()) {
       const fileName = files[index].name;
       if (result.status === 'fulfilled') {
         const fileUrl = URL.createObjectURL(files[index]);
-        newReports.push({ fileName, fileUrl, report: result.value });
+        const entry = result.value.cached
+          ? await findLibraryEntry(result.value.pdfSha256, GEMINI_MODEL).catch(() => null)
+          : saveLibraryEntry({
+              fileName,
+              pdfSha256: result.value.pdfSha256,
+              engine: 'gemini',
+              modelId: GEMINI_MODEL,
+              durationMs: result.value.durationMs,
+              report: result.value.report
+            });
+        newReports.push({
+          fileName,
+          fileUrl,
+          report: result.value.report,
+          cached: result.value.cached,
+          libraryId: entry?.id,
+          review: entry?.review
+        });
+      } else if (result.reason instanceof Error && result.reason.name === 'AbortError') {
+        newErrors.push({ fileName, message: result.reason.message, cancelled: true });
       } else {
         const errorMessage = result.reason instanceof Error ? result.reason.message : 'An unexpected error occurred.';
         newErrors.push({ fileName, message: errorMessage });
       }
-    });
+    }
 
-    setAnalysisReports(newReports);
+    showNewReports(newReports);
     setErrors(newErrors);
     setIsLoading(false);
-  }, [clearPreviousReports]);
+    setIsCancelling(false);
+  }, [showNewReports]);
 
-  const handleAnalyzeDesktop = useCallback(async (files: DesktopPickedFile[]) => {
+  const handleAnalyzeDesktop = useCallback(async (
+    files: DesktopPickedFile[],
+    { force, engine }: { force: boolean; engine: DesktopAnalysisEngine }
+  ) => {
     setIsLoading(true);
     setAnalysisProgress(null);
     setErrors([]);
-    clearPreviousReports();
+    const label = engine === 'online' ? 'Online' : 'Offline';
 
     try {
       const api = window.desktopAPI;
-      if (!api?.analyzePdfPaths) {
-        throw new Error('Offline analysis API is unavailable.');
+      const analyzePaths = engine === 'online' ? api?.analyzeOnlinePaths : api?.analyzePdfPaths;
+      if (!analyzePaths) {
+        throw new Error(`${label} analysis API is unavailable.`);
       }
 
       const filePaths = files.map((f) => f.path);
-      const results = await api.analyzePdfPaths(filePaths);
+      const results = await analyzePaths(filePaths, { force });
 
       const newReports: AnalysisEntry[] = [];
-      const newErrors: { fileName: string; message: string }[] = [];
+      const newErrors: AnalysisError[] = [];
 
       results.forEach((result) => {
         const f = files.find((x) => x.path === result.filePath);
         const fileName = f?.name ?? result.filePath;
         const fileUrl = f?.url ?? result.filePath;
 
-        if (result.ok) {
-          newReports.push({ fileName, fileUrl, report: result.report });
+        if ('report' in result) {
+          newReports.push({
+            fileName,
+            fileUrl,
+            report: result.report,
+            cached: result.cached,
+            libraryId: result.libraryId,
+            review: result.review
+          });
         } else {
-          newErrors.push({ fileName, message: result.error });
+          newErrors.push({ fileName, message: result.error, cancelled: result.cancelled });
         }
       });
 
-      setAnalysisReports(newReports);
+      showNewReports(newReports);
       setErrors(newErrors);
     } catch (e) {
-      const msg = e instanceof Error ? e.message : 'Offline analysis failed.';
-      setErrors([{ fileName: 'Offline Analysis', message: msg }]);
+      const msg = e instanceof Error ? e.message : `${label} analysis failed.`;
+      setErrors([{ fileName: `${label} Analysis`, message: msg }]);
     } finally {
       setIsLoading(false);
+      setIsCancelling(false);
+    }
+  }, [showNewReports]);
+
+  const handleOpenFromHistory = useCallback(async (entries: LibraryEntry[]) => {
+    const opened: AnalysisEntry[] = [];
+    for (const entry of entries) {
+      let fileUrl = '';
+      if (entry.filePath) {
+        try {
+          fileUrl = (await window.desktopAPI?.pathToFileUrl?.(entry.filePath)) ?? '';
+        } catch {
+          // ignore
+        }
+      }
+      opened.push({ fileName: entry.fileName, fileUrl, report: entry.report, libraryId: entry.id, review: entry.review });
+    }
+    setErrors([]);
+    setAnalysisReports(opened);
+    setIsHistoryOpen(false);
+  }, []);
+
+  const handleOpenReports = useCallback(async (files: File[]) => {
+    const { reports, errors: openErrors } = await openReportFiles(files);
+    for (const report of reports) {
+      void recordAuditEvent('report.import', {
+        fileName: report.fileName,
+        reviewStatus: report.review?.status ?? null,
+        opportunityCount: report.report.detailedAnalysis.automationOpportunities.length
+      });
+    }
+    setErrors(openErrors.map((err) => ({ ...err, opening: true })));
+    if (reports.length > 0) {
+      setAnalysisReports(reports.map((r) => ({ ...r, imported: true })));
+    }
+  }, []);
+
+  const handleCancelAnalysis = useCallback(async () => {
+    setIsCancelling(true);
+    webAbortRef.current?.abort();
+    try {
+      await window.desktopAPI?.cancelAnalysis?.();
+    } catch {
+      // ignore
     }
-  }, [clearPreviousReports]);
+  }, []);
 
   React.useEffect(() => {
     return () => {
@@ -257,6 +362,40 @@ const App: React.FC = () => {
         <p className="mt-2 text-sm text-brand-gray/80">v{appVersion}</p>
       ) : null}
       <UpdateControls />
+      <div className="mt-3 flex items-center justify-center gap-3">
+        <button
+          type="button"
+          onClick={() => setIsHistoryOpen((open) => !open)}
+          className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10"
+        >
+          History
+        </button>
+        {window.desktopAPI?.getWatchedFolderState ? (
+          <button
+            type="button"
+            onClick={() => setIsWatchedFoldersOpen((open) => !open)}
+            className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10"
+          >
+            Watched folders
+          </button>
+        ) : null}
+        {window.desktopAPI?.listAuditLog ? (
+          <button
+            type="button"
+            onClick={() => setIsAuditLogOpen((open) => !open)}
+            className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10"
+          >
+            Audit log
+          </button>
+        ) : null}
+        <button
+          type="button"
+          onClick={() => setIsSettingsOpen((open) => !open)}
+          className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10"
+        >
+          Settings
+        </button>
+      </div>
       <p className="mt-3 max-w-md mx-auto text-base text-brand-gray sm:text-lg md:mt-5 md:text-xl md:max-w-3xl">
         Leverage AI to analyze your Standard Operating Procedures, identify automation opportunities, and enhance operational efficiency.
       </p>
@@ -288,34 +427,66 @@ const App: React.FC = () => {
             </div>
           </div>
         ) : null}
+        <button
+          type="button"
+          onClick={handleCancelAnalysis}
+          disabled={isCancelling}
+          className="mt-4 px-4 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {isCancelling ? 'Cancelling…' : 'Cancel'}
+        </button>
     </div>
   );
 
-  const ErrorDisplay: React.FC<{ errors: {fileName: string; message: string}[] }> = ({ errors }) => (
-    <div className="mt-8 max-w-2xl mx-auto p-4 bg-red-500/10 border border-red-500/30 rounded-lg space-y-4">
-        <div className="flex items-start space-x-3">
+  const ErrorDisplay: React.FC<{ errors: AnalysisError[] }> = ({ errors }) => {
+    const failed = errors.filter((err) => !err.cancelled);
+    const cancelled = errors.filter((err) => err.cancelled);
+    return (
+    <div className="mt-8 max-w-2xl mx-auto space-y-4">
+        {failed.length > 0 && (
+        <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-lg flex items-start space-x-3">
             <AlertTriangleIcon className="w-6 h-6 text-red-400 flex-shrink-0 mt-1" />
             <div>
-                <h3 className="font-bold text-red-400">Analysis failed for {errors.length} document(s)</h3>
+                <h3 className="font-bold text-red-400">
+                    {failed.every((err) => err.opening) ? `Could not open ${failed.length} report file(s)` : `Analysis failed for ${failed.length} document(s)`}
+                </h3>
                 <ul className="text-sm text-red-300 list-disc list-inside mt-2 space-y-1">
-                {errors.map((err, index) => (
+                {failed.map((err, index) => (
                     <li key={index}><strong>{err.fileName}:</strong> {err.message}</li>
                 ))}
                 </ul>
             </div>
         </div>
+        )}
+        {cancelled.length > 0 && (
+        <div className="p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-lg">
+            <h3 className="font-bold text-yellow-300">Cancelled {cancelled.length} document(s)</h3>
+            <ul className="text-sm text-yellow-200 list-disc list-inside mt-2 space-y-1">
+            {cancelled.map((err, index) => (
+                <li key={index}><strong>{err.fileName}:</strong> {err.message}</li>
+            ))}
+            </ul>
+        </div>
+        )}
     </div>
-  );
+    );
+  };
 
 
   return (
     <div className="min-h-screen bg-brand-dark px-4 pb-20">
       <main className="container mx-auto">
         <Header />
+        {isSettingsOpen && <SettingsPanel onClose={() => setIsSettingsOpen(false)} />}
+        {isHistoryOpen && (
+          <HistoryPanel onOpen={handleOpenFromHistory} onClose={() => setIsHistoryOpen(false)} refreshKey={historyVersion} />
+        )}
+        {isWatchedFoldersOpen && <WatchedFoldersPanel onOpen={handleOpenFromHistory} onClose={() => setIsWatchedFoldersOpen(false)} />}
+        {isAuditLogOpen && <AuditLogPanel onClose={() => setIsAuditLogOpen(false)} />}
         {window.desktopAPI?.pickPdfFiles ? (
-          <DesktopFilePicker onAnalyzePaths={handleAnalyzeDesktop} isLoading={isLoading} />
+          <DesktopFilePicker onAnalyzePaths={handleAnalyzeDesktop} onOpenReports={handleOpenReports} isLoading={isLoading} />
         ) : (
-          <FileUpload onAnalyze={handleAnalyze} isLoading={isLoading} />
+          <FileUpload onAnalyze={handleAnalyze} onOpenReports={handleOpenReports} isLoading={isLoading} />
         )}
         {isLoading && <LoadingIndicator />}
         {errors.length > 0 && <ErrorDisplay errors={errors} />}
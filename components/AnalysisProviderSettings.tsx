@@ -0,0 +1,211 @@
+import React, { useCallback, useState } from 'react';
+import type { AnalysisProviderSettings as ProviderSettings, OnlineProviderId } from '../desktop-api';
+
+const inputClass = 'w-full bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+const buttonClass = 'px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed';
+
+type EndpointDraft = { baseUrl: string; model: string; contextSize: string; apiKey: string };
+
+const Field: React.FC<{ label: string; children: React.ReactNode }> = ({ label, children }) => (
+  <label className="block text-xs text-brand-gray space-y-1">
+    <span>{label}</span>
+    {children}
+  </label>
+);
+
+/**
+ * Which provider runs "Online" analysis, plus the OpenAI-compatible endpoint's connection
+ * details (desktop only: providers run in the main process).
+ */
+export const AnalysisProviderSettings: React.FC = () => {
+  const api = window.desktopAPI;
+  const [settings, setSettings] = useState<ProviderSettings | null>(null);
+  const [draft, setDraft] = useState<EndpointDraft>({ baseUrl: '', model: '', contextSize: '', apiKey: '' });
+  const [isBusy, setIsBusy] = useState(false);
+  const [result, setResult] = useState<{ ok: boolean; message: string } | null>(null);
+
+  const applySettings = useCallback((next: ProviderSettings) => {
+    setSettings(next);
+    setDraft({
+      baseUrl: next.openAiCompatible.baseUrl,
+      model: next.openAiCompatible.model,
+      contextSize: String(next.openAiCompatible.contextSize),
+      apiKey: ''
+    });
+  }, []);
+
+  React.useEffect(() => {
+    if (!api?.getAnalysisProviderSettings) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const next = await api.getAnalysisProviderSettings();
+        if (!cancelled) applySettings(next);
+      } catch (e) {
+        const msg = e instanceof Error ? e.message : 'Failed to load provider settings.';
+        if (!cancelled) setResult({ ok: false, message: msg });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [api, applySettings]);
+
+  const run = useCallback(async (action: () => Promise<void>, fallbackError: string) => {
+    setIsBusy(true);
+    setResult(null);
+    try {
+      await action();
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : fallbackError;
+      setResult({ ok: false, message: msg });
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const saveEndpoint = async (extra: { clearApiKey?: boolean } = {}) => {
+    if (!api?.saveAnalysisProviderSettings) return;
+    const contextSize = Number.parseInt(draft.contextSize, 10);
+    applySettings(
+      await api.saveAnalysisProviderSettings({
+        openAiCompatible: {
+          baseUrl: draft.baseUrl,
+          model: draft.model,
+          contextSize: Number.isFinite(contextSize) ? contextSize : undefined,
+          apiKey: draft.apiKey || undefined,
+          ...extra
+        }
+      })
+    );
+  };
+
+  const handleSelectProvider = (onlineProviderId: OnlineProviderId) =>
+    run(async () => {
+      if (!api?.saveAnalysisProviderSettings) return;
+      setSettings(await api.saveAnalysisProviderSettings({ onlineProviderId }));
+    }, 'Failed to change the online provider.');
+
+  const handleSave = () =>
+    run(async () => {
+      await saveEndpoint();
+      setResult({ ok: true, message: 'Endpoint settings saved.' });
+    }, 'Failed to save endpoint settings.');
+
+  const handleTest = () =>
+    run(async () => {
+      if (!api?.testAnalysisProvider) return;
+      // Test what is on screen, not what was last saved.
+      await saveEndpoint();
+      setResult(await api.testAnalysisProvider('openai-compatible'));
+    }, 'Connection test failed.');
+
+  const handleClearKey = () =>
+    run(async () => {
+      await saveEndpoint({ clearApiKey: true });
+      setResult({ ok: true, message: 'Endpoint API key removed.' });
+    }, 'Failed to remove the API key.');
+
+  if (!api?.getAnalysisProviderSettings) return null;
+
+  const endpoint = settings?.openAiCompatible;
+
+  return (
+    <section className="space-y-3">
+      <h3 className="text-lg font-semibold text-white">Online analysis provider</h3>
+      <p className="text-sm text-brand-gray">
+        Choose what runs when you pick Online analysis. An OpenAI-compatible endpoint (vLLM, Ollama or an internal
+        gateway) keeps documents on your own infrastructure.
+      </p>
+      <div className="flex flex-wrap gap-x-4 gap-y-2 text-sm text-brand-gray">
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="online-provider"
+            checked={settings?.onlineProviderId === 'gemini'}
+            onChange={() => handleSelectProvider('gemini')}
+            disabled={!settings || isBusy}
+            className="accent-brand-blue"
+          />
+          Google Gemini
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="online-provider"
+            checked={settings?.onlineProviderId === 'openai-compatible'}
+            onChange={() => handleSelectProvider('openai-compatible')}
+            disabled={!settings || isBusy}
+            className="accent-brand-blue"
+          />
+          OpenAI-compatible endpoint
+        </label>
+      </div>
+
+      {settings?.onlineProviderId === 'openai-compatible' ? (
+        <div className="space-y-3 rounded-md border border-brand-border p-3 bg-gray-800/50">
+          <Field label="Base URL (e.g. https://gateway.example.com/v1)">
+            <input
+              type="url"
+              value={draft.baseUrl}
+              onChange={(e) => setDraft((d) => ({ ...d, baseUrl: e.target.value }))}
+              spellCheck={false}
+              className={inputClass}
+            />
+          </Field>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <Field label="Model name">
+              <input
+                type="text"
+                value={draft.model}
+                onChange={(e) => setDraft((d) => ({ ...d, model: e.target.value }))}
+                spellCheck={false}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="Context size (tokens)">
+              <input
+                type="number"
+                min={2048}
+                step={1024}
+                value={draft.contextSize}
+                onChange={(e) => setDraft((d) => ({ ...d, contextSize: e.target.value }))}
+                className={inputClass}
+              />
+            </Field>
+          </div>
+          <Field label={endpoint?.apiKeyHint ? `API key (saved key ends in ${endpoint.apiKeyHint}; leave blank to keep it)` : 'API key (optional)'}>
+            <input
+              type="password"
+              value={draft.apiKey}
+              onChange={(e) => setDraft((d) => ({ ...d, apiKey: e.target.value }))}
+              autoComplete="off"
+              spellCheck={false}
+              className={inputClass}
+            />
+          </Field>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isBusy}
+              className="px-3 py-1.5 rounded-md bg-brand-blue hover:bg-blue-600 text-white text-sm disabled:bg-gray-600 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+            <button type="button" onClick={handleTest} disabled={isBusy || !draft.baseUrl.trim() || !draft.model.trim()} className={buttonClass}>
+              {isBusy ? 'Working…' : 'Test connection'}
+            </button>
+            {endpoint?.apiKeyHint ? (
+              <button type="button" onClick={handleClearKey} disabled={isBusy} className={buttonClass}>
+                Remove API key
+              </button>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
+      {result ? <div className={`text-sm ${result.ok ? 'text-green-300' : 'text-red-300'}`}>{result.message}</div> : null}
+    </section>
+  );
+};
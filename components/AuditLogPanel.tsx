@@ -0,0 +1,195 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { XIcon } from './IconComponents';
+import type { AuditLogEntry, AuditLogVerification } from '../desktop-api';
+
+interface AuditLogPanelProps {
+  onClose: () => void;
+}
+
+const ACTION_LABELS: Record<string, string> = {
+  'analysis.run': 'Analysis',
+  'review.start': 'Review started',
+  'report.edit': 'Report edited',
+  'review.status': 'Status changed',
+  'report.approve': 'Approved',
+  'review.discard': 'Review discarded',
+  'report.export': 'Export',
+  'report.import': 'Report opened',
+  'library.delete': 'Deleted from history',
+  'audit.export': 'Audit log exported'
+};
+
+const inputClass = 'bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+
+const text = (value: unknown) => (value === undefined || value === null ? '' : typeof value === 'string' ? value : JSON.stringify(value));
+
+const summarize = ({ action, details }: AuditLogEntry) => {
+  const d = details ?? {};
+  switch (action) {
+    case 'analysis.run':
+      return `${text(d.fileName)} · ${text(d.engine)}${d.modelId ? ` (${text(d.modelId)})` : ''} · ${text(d.outcome)}`;
+    case 'report.edit':
+      return `${text(d.fileName)} · ${Array.isArray(d.changes) ? d.changes.length : 0} change(s)`;
+    case 'review.status':
+    case 'report.approve':
+      return `${text(d.fileName)} · ${text(d.fromStatus) || 'none'} → ${text(d.toStatus)}${d.reviewer ? ` · ${text(d.reviewer)}` : ''}`;
+    case 'report.export':
+      return `${text(d.format).toUpperCase()} · ${text(d.fileName) || `${Array.isArray(d.reports) ? d.reports.length : 0} report(s)`}`;
+    case 'audit.export':
+      return `${text(d.entryCount)} entries · ${text(d.filePath)}`;
+    default:
+      return text(d.fileName);
+  }
+};
+
+const ChangeTable: React.FC<{ changes: Array<{ path: string; oldValue?: unknown; newValue?: unknown }> }> = ({ changes }) => (
+  <table className="w-full text-xs mt-2">
+    <thead>
+      <tr className="text-left text-brand-gray">
+        <th className="pr-2 py-1">Field</th>
+        <th className="pr-2 py-1">Old value</th>
+        <th className="py-1">New value</th>
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-brand-border/50 align-top">
+      {changes.map((change, index) => (
+        <tr key={index}>
+          <td className="pr-2 py-1 font-mono text-brand-gray break-all">{change.path}</td>
+          <td className="pr-2 py-1 text-red-300 break-words">{text(change.oldValue) || '—'}</td>
+          <td className="py-1 text-green-300 break-words">{text(change.newValue) || '—'}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+/**
+ * Read-only view of the desktop app's audit trail, with chain verification and export.
+ */
+export const AuditLogPanel: React.FC<AuditLogPanelProps> = ({ onClose }) => {
+  const [entries, setEntries] = useState<AuditLogEntry[] | null>(null);
+  const [total, setTotal] = useState(0);
+  const [verification, setVerification] = useState<AuditLogVerification | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [action, setAction] = useState('all');
+  const [query, setQuery] = useState('');
+
+  const refresh = useCallback(async () => {
+    setError(null);
+    try {
+      const result = await window.desktopAPI!.listAuditLog();
+      setEntries(result.entries);
+      setTotal(result.total);
+      setVerification(result.verification);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Failed to read the audit log.');
+    }
+  }, []);
+
+  React.useEffect(() => {
+    void refresh();
+  }, [refresh]);
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return (entries ?? []).filter((entry) => {
+      if (action !== 'all' && entry.action !== action) return false;
+      if (!q) return true;
+      return JSON.stringify([entry.user, entry.details]).toLowerCase().includes(q);
+    });
+  }, [entries, action, query]);
+
+  const handleExport = async () => {
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await window.desktopAPI!.exportAuditLog();
+      if (res.ok) {
+        setMessage(`Saved ${res.filePath}. Last entry hash: ${res.verification.lastHash}`);
+        await refresh();
+      }
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Failed to export the audit log.');
+    }
+  };
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mb-8 p-6 bg-brand-light border border-brand-border rounded-lg shadow-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-white">Audit log</h2>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={handleExport}
+            className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10"
+          >
+            Export…
+          </button>
+          <button type="button" onClick={onClose} className="p-1 rounded-full hover:bg-gray-700 transition-colors" aria-label="Close audit log">
+            <XIcon className="w-5 h-5 text-brand-gray" />
+          </button>
+        </div>
+      </div>
+
+      {verification ? (
+        <div
+          className={`p-3 rounded-md text-sm border ${
+            verification.ok ? 'bg-green-500/10 border-green-500/30 text-green-300' : 'bg-red-500/10 border-red-500/30 text-red-300'
+          }`}
+        >
+          {verification.ok ? 'Hash chain verified. ' : 'Hash chain broken: the log was altered. '}
+          {verification.message}
+        </div>
+      ) : null}
+
+      <div className="flex flex-col md:flex-row gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search user, file, model or values"
+          className={`${inputClass} flex-1`}
+        />
+        <select value={action} onChange={(e) => setAction(e.target.value)} className={inputClass} aria-label="Filter by action">
+          <option value="all">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error ? <div className="text-sm text-red-300">{error}</div> : null}
+      {message ? <div className="text-sm text-brand-gray/80 break-all">{message}</div> : null}
+
+      {entries === null ? (
+        <div className="text-sm text-brand-gray/80">Loading…</div>
+      ) : filtered.length === 0 ? (
+        <div className="text-sm text-brand-gray/80">{entries.length === 0 ? 'Nothing has been recorded yet.' : 'No entries match the current filters.'}</div>
+      ) : (
+        <ul className="max-h-[32rem] overflow-y-auto space-y-2 rounded-md border border-brand-border p-2 bg-gray-800/50">
+          {filtered.map((entry, index) => (
+            <li key={entry.hash ?? `invalid-${index}`} className="bg-brand-dark p-3 rounded">
+              <details>
+                <summary className="cursor-pointer text-sm">
+                  <span className="text-brand-gray/80 mr-2">#{entry.seq ?? '?'}</span>
+                  <span className="text-brand-gray/80 mr-2">{entry.timestamp ? new Date(entry.timestamp).toLocaleString() : ''}</span>
+                  <span className="text-white font-semibold mr-2">{ACTION_LABELS[entry.action] ?? entry.action}</span>
+                  <span className="text-brand-gray">{summarize(entry)}</span>
+                  {entry.user ? <span className="text-brand-gray/80"> · {entry.user.username}@{entry.user.host}</span> : null}
+                </summary>
+                {entry.action === 'report.edit' && Array.isArray(entry.details?.changes) ? (
+                  <ChangeTable changes={entry.details.changes as Array<{ path: string; oldValue?: unknown; newValue?: unknown }>} />
+                ) : null}
+                <pre className="mt-2 text-xs text-brand-gray whitespace-pre-wrap break-all">{JSON.stringify(entry, null, 2)}</pre>
+              </details>
+            </li>
+          ))}
+        </ul>
+      )}
+      {entries && total > entries.length ? (
+        <div className="text-xs text-brand-gray/80">Showing the latest {entries.length} of {total} entries. Export the log to see all of them.</div>
+      ) : null}
+    </div>
+  );
+};
@@ -1,16 +1,25 @@
 import React, { useCallback, useState } from 'react';
 import { DocumentIcon, XIcon } from './IconComponents';
+import { OpenReportButton } from './OpenReportButton';
 
 export type DesktopPickedFile = { path: string; name: string; url: string };
 
+// 'offline' runs the local llama.cpp pack; 'online' runs the provider chosen in Settings
+// (Gemini or an OpenAI-compatible endpoint) from the main process.
+export type DesktopAnalysisEngine = 'offline' | 'online';
+
 interface DesktopFilePickerProps {
   isLoading: boolean;
-  onAnalyzePaths: (files: DesktopPickedFile[]) => void;
+  onAnalyzePaths: (files: DesktopPickedFile[], options: { force: boolean; engine: DesktopAnalysisEngine }) => void;
+  onOpenReports: (files: File[]) => void;
 }
 
-export const DesktopFilePicker: React.FC<DesktopFilePickerProps> = ({ isLoading, onAnalyzePaths }) => {
+export const DesktopFilePicker: React.FC<DesktopFilePickerProps> = ({ isLoading, onAnalyzePaths, onOpenReports }) => {
   const [selectedFiles, setSelectedFiles] = useState<DesktopPickedFile[]>([]);
   const [pickError, setPickError] = useState<string | null>(null);
+  const [forceReanalyze, setForceReanalyze] = useState(false);
+  const [engine, setEngine] = useState<DesktopAnalysisEngine>('offline');
+  const [onlineProviderLabel, setOnlineProviderLabel] = useState('Gemini');
   const [offlineStatus, setOfflineStatus] = useState<{ installed: boolean; url: string; baseDir?: string } | null>(null);
   const [offlineInstallError, setOfflineInstallError] = useState<string | null>(null);
   const [isInstallingOffline, setIsInstallingOffline] = useState(false);
@@ -40,6 +49,23 @@ export const DesktopFilePicker: React.FC<DesktopFilePickerProps> = ({ isLoading,
     void refreshOfflineStatus();
   }, [refreshOfflineStatus]);
 
+  const refreshOnlineProvider = useCallback(async () => {
+    try {
+      const settings = await window.desktopAPI?.getAnalysisProviderSettings?.();
+      if (settings) {
+        setOnlineProviderLabel(
+          settings.onlineProviderId === 'openai-compatible' ? settings.openAiCompatible.model || 'custom endpoint' : 'Gemini'
+        );
+      }
+    } catch {
+      // ignore
+    }
+  }, []);
+
+  React.useEffect(() => {
+    void refreshOnlineProvider();
+  }, [refreshOnlineProvider]);
+
   React.useEffect(() => {
     const api = window.desktopAPI;
     if (!api?.onOfflineUpdateStatus) return;
@@ -154,7 +180,7 @@ export const DesktopFilePicker: React.FC<DesktopFilePickerProps> = ({ isLoading,
 
   const handleAnalyzeClick = () => {
     if (selectedFiles.length > 0) {
-      onAnalyzePaths(selectedFiles);
+      onAnalyzePaths(selectedFiles, { force: forceReanalyze, engine });
     }
   };
 
@@ -323,13 +349,53 @@ export const DesktopFilePicker: React.FC<DesktopFilePickerProps> = ({ isLoading,
         </div>
       )}
 
+      <fieldset className="mt-6 flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-brand-gray">
+        <legend className="sr-only">Analysis engine</legend>
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="analysis-engine"
+            value="offline"
+            checked={engine === 'offline'}
+            onChange={() => setEngine('offline')}
+            className="accent-brand-blue"
+          />
+          Offline (local model)
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="analysis-engine"
+            value="online"
+            checked={engine === 'online'}
+            onChange={() => {
+              setEngine('online');
+              void refreshOnlineProvider();
+            }}
+            className="accent-brand-blue"
+          />
+          Online ({onlineProviderLabel})
+        </label>
+      </fieldset>
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-brand-gray">
+        <input
+          type="checkbox"
+          checked={forceReanalyze}
+          onChange={(e) => setForceReanalyze(e.target.checked)}
+          className="accent-brand-blue"
+        />
+        Force re-analyze (ignore cached results)
+      </label>
+
       <button
         onClick={handleAnalyzeClick}
         disabled={selectedFiles.length === 0 || isLoading || isInstallingOffline}
-        className="mt-6 w-full bg-brand-blue text-white font-bold py-3 px-4 rounded-md hover:bg-blue-600 transition-all duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center"
+        className="mt-3 w-full bg-brand-blue text-white font-bold py-3 px-4 rounded-md hover:bg-blue-600 transition-all duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center"
       >
         {isLoading ? 'Analyzing...' : `Analyze ${selectedFiles.length} Document(s)`}
       </button>
+      <OpenReportButton onOpen={onOpenReports} disabled={isLoading} />
     </div>
   );
 };
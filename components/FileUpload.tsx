@@ -1,14 +1,17 @@
 import React, { useState, useRef } from 'react';
 import { UploadIcon, DocumentIcon, XIcon } from './IconComponents';
+import { OpenReportButton } from './OpenReportButton';
 
 interface FileUploadProps {
-  onAnalyze: (files: File[]) => void;
+  onAnalyze: (files: File[], options: { force: boolean }) => void;
+  onOpenReports: (files: File[]) => void;
   isLoading: boolean;
 }
 
-export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, isLoading }) => {
+export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, onOpenReports, isLoading }) => {
   const [selectedFiles, setSelectedFiles] = useState<File[]>([]);
   const [isDragging, setIsDragging] = useState(false);
+  const [forceReanalyze, setForceReanalyze] = useState(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
@@ -54,7 +57,7 @@ export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, isLoading })
 
   const handleAnalyzeClick = () => {
     if (selectedFiles.length > 0) {
-      onAnalyze(selectedFiles);
+      onAnalyze(selectedFiles, { force: forceReanalyze });
     }
   };
 
@@ -106,13 +109,24 @@ export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, isLoading })
         </div>
       )}
 
+      <label className="mt-6 flex items-center gap-2 text-sm text-brand-gray">
+        <input
+          type="checkbox"
+          checked={forceReanalyze}
+          onChange={(e) => setForceReanalyze(e.target.checked)}
+          className="accent-brand-blue"
+        />
+        Force re-analyze (ignore cached results)
+      </label>
+
       <button
         onClick={handleAnalyzeClick}
         disabled={selectedFiles.length === 0 || isLoading}
-        className="mt-6 w-full bg-brand-blue text-white font-bold py-3 px-4 rounded-md hover:bg-blue-600 transition-all duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center"
+        className="mt-3 w-full bg-brand-blue text-white font-bold py-3 px-4 rounded-md hover:bg-blue-600 transition-all duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center"
       >
         {isLoading ? 'Analyzing...' : `Analyze ${selectedFiles.length} Document(s)`}
       </button>
+      <OpenReportButton onOpen={onOpenReports} disabled={isLoading} />
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+import React, { useCallback, useState } from 'react';
+import type { GeminiKeyStatus } from '../desktop-api';
+
+const inputClass = 'w-full bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+const buttonClass = 'px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Per-analyst Gemini API key for online analysis (desktop only). The key is sent to the main
+ * process once and stored encrypted there; this screen only ever gets its last 4 characters back.
+ */
+export const GeminiKeySettings: React.FC = () => {
+  const api = window.desktopAPI;
+  const [status, setStatus] = useState<GeminiKeyStatus | null>(null);
+  const [draft, setDraft] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [result, setResult] = useState<{ ok: boolean; message: string } | null>(null);
+
+  React.useEffect(() => {
+    if (!api?.getGeminiKeyStatus) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const s = await api.getGeminiKeyStatus();
+        if (!cancelled) setStatus(s);
+      } catch (e) {
+        const msg = e instanceof Error ? e.message : 'Failed to read the API key status.';
+        if (!cancelled) setResult({ ok: false, message: msg });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [api]);
+
+  const run = useCallback(async (action: () => Promise<void>, fallbackError: string) => {
+    setIsBusy(true);
+    setResult(null);
+    try {
+      await action();
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : fallbackError;
+      setResult({ ok: false, message: msg });
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const handleTest = () =>
+    run(async () => {
+      if (!api?.testGeminiKey) return;
+      // Test the key being typed if there is one, otherwise the saved key.
+      setResult(await api.testGeminiKey(draft.trim() || undefined));
+    }, 'Connection test failed.');
+
+  const handleSave = () =>
+    run(async () => {
+      if (!api?.saveGeminiKey) return;
+      setStatus(await api.saveGeminiKey(draft.trim()));
+      setDraft('');
+      setResult({ ok: true, message: 'API key saved.' });
+    }, 'Failed to save the API key.');
+
+  const handleDelete = () =>
+    run(async () => {
+      if (!api?.deleteGeminiKey) return;
+      setStatus(await api.deleteGeminiKey());
+      setResult({ ok: true, message: 'API key deleted.' });
+    }, 'Failed to delete the API key.');
+
+  if (!api?.getGeminiKeyStatus) return null;
+
+  return (
+    <section className="space-y-3">
+      <h3 className="text-lg font-semibold text-white">Gemini API key</h3>
+      <p className="text-sm text-brand-gray">
+        Used for online analysis. The key is encrypted with your operating system&apos;s secure storage and never
+        leaves this computer except in requests to Gemini.
+      </p>
+      {status ? (
+        <div className="text-sm text-brand-gray/90">
+          {status.source === 'stored'
+            ? `A key ending in ${status.hint} is saved.`
+            : status.source === 'environment'
+              ? `Using the key from the GEMINI_API_KEY environment variable (${status.hint}).`
+              : 'No key is configured; online analysis is unavailable.'}
+        </div>
+      ) : null}
+      {status && !status.encryptionAvailable ? (
+        <div className="text-sm text-yellow-300/90">Secure storage is unavailable on this system, so keys can't be saved.</div>
+      ) : null}
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="password"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={status?.source === 'stored' ? 'Enter a new key to replace the saved one' : 'Paste your Gemini API key'}
+          autoComplete="off"
+          spellCheck={false}
+          className={inputClass}
+        />
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isBusy || !draft.trim() || status?.encryptionAvailable === false}
+          className="px-3 py-1.5 rounded-md bg-brand-blue hover:bg-blue-600 text-white text-sm whitespace-nowrap disabled:bg-gray-600 disabled:cursor-not-allowed"
+        >
+          {status?.source === 'stored' ? 'Replace' : 'Save'}
+        </button>
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={handleTest} disabled={isBusy || (!draft.trim() && !status?.configured)} className={buttonClass}>
+          {isBusy ? 'Working…' : 'Test connection'}
+        </button>
+        <button
+          type="button"
+          onClick={handleDelete}
+          disabled={isBusy || status?.source !== 'stored'}
+          className="px-3 py-1.5 rounded-md bg-red-600/80 hover:bg-red-600 text-white text-sm disabled:bg-gray-600 disabled:cursor-not-allowed"
+        >
+          Delete key
+        </button>
+      </div>
+      {result ? <div className={`text-sm ${result.ok ? 'text-green-300' : 'text-red-300'}`}>{result.message}</div> : null}
+    </section>
+  );
+};
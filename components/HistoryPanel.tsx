@@ -0,0 +1,235 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { XIcon } from './IconComponents';
+import { listLibraryEntries, getLibraryEntry, deleteLibraryEntry } from '../services/reportLibrary';
+import { REVIEW_STATUS_LABELS } from '../services/reportReview';
+import type { AnalysisEngine, LibraryEntry, LibraryEntryInfo } from '../desktop-api';
+
+interface HistoryPanelProps {
+  // One entry from "Open", or several from "Open selected" (shown with a portfolio tab).
+  onOpen: (entries: LibraryEntry[]) => void;
+  onClose: () => void;
+  // Bumped by the parent after new analyses so the list picks them up.
+  refreshKey?: number;
+}
+
+const formatDuration = (ms?: number) => {
+  if (typeof ms !== 'number') return null;
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  return m > 0 ? `${m}m ${s}s` : `${s}s`;
+};
+
+const ENGINE_LABELS: Record<AnalysisEngine, string> = {
+  gemini: 'Gemini',
+  offline: 'Offline',
+  'openai-compatible': 'Endpoint'
+};
+
+const inputClass = 'bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+
+export const HistoryPanel: React.FC<HistoryPanelProps> = ({ onOpen, onClose, refreshKey }) => {
+  const [entries, setEntries] = useState<LibraryEntryInfo[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [query, setQuery] = useState('');
+  const [engine, setEngine] = useState<'all' | AnalysisEngine>('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(() => new Set());
+  const [isOpening, setIsOpening] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setError(null);
+    try {
+      setEntries(await listLibraryEntries());
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to load the report history.';
+      setError(msg);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    void refresh();
+  }, [refresh, refreshKey]);
+
+  const filtered = useMemo(() => {
+    if (!entries) return [];
+    const q = query.trim().toLowerCase();
+    // Date inputs are local calendar days; compare against the entry's local date.
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : null;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : null;
+    return entries.filter((entry) => {
+      if (engine !== 'all' && entry.engine !== engine) return false;
+      const created = new Date(entry.createdAt).getTime();
+      if (from !== null && created < from) return false;
+      if (to !== null && created > to) return false;
+      if (!q) return true;
+      return [entry.fileName, entry.sopTitle, entry.modelId].some((v) => v?.toLowerCase().includes(q));
+    });
+  }, [entries, query, engine, fromDate, toDate]);
+
+  const handleOpen = useCallback(async (ids: string[]) => {
+    setError(null);
+    setIsOpening(true);
+    try {
+      const opened: LibraryEntry[] = [];
+      for (const id of ids) {
+        const entry = await getLibraryEntry(id);
+        if (!entry) {
+          throw new Error('A selected report is no longer in the library.');
+        }
+        opened.push(entry);
+      }
+      onOpen(opened);
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to open report.';
+      setError(msg);
+    } finally {
+      setIsOpening(false);
+    }
+  }, [onOpen]);
+
+  const toggleSelected = (id: string) => {
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Only entries that are still listed and match the filters count as selected.
+  const selectedShown = filtered.filter((entry) => selectedIds.has(entry.id));
+  const allShownSelected = filtered.length > 0 && selectedShown.length === filtered.length;
+
+  const handleDelete = useCallback(async (entry: LibraryEntryInfo) => {
+    if (!window.confirm(`Delete the report for "${entry.fileName}" from the history?`)) return;
+    try {
+      await deleteLibraryEntry(entry.id);
+      setSelectedIds((current) => {
+        const next = new Set(current);
+        next.delete(entry.id);
+        return next;
+      });
+      await refresh();
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to delete report.';
+      setError(msg);
+    }
+  }, [refresh]);
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mb-8 p-6 bg-brand-light border border-brand-border rounded-lg shadow-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-white">Report history</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 rounded-full hover:bg-gray-700 transition-colors"
+          aria-label="Close history"
+        >
+          <XIcon className="w-5 h-5 text-brand-gray" />
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search file name or SOP title"
+          className={`${inputClass} flex-1`}
+        />
+        <select value={engine} onChange={(e) => setEngine(e.target.value as typeof engine)} className={inputClass}>
+          <option value="all">All engines</option>
+          {Object.entries(ENGINE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} aria-label="From date" />
+        <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} aria-label="To date" />
+      </div>
+
+      {filtered.length > 1 ? (
+        <div className="flex flex-wrap items-center gap-3 text-sm text-brand-gray">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={allShownSelected}
+              onChange={() => setSelectedIds(allShownSelected ? new Set() : new Set(filtered.map((entry) => entry.id)))}
+              className="accent-brand-blue"
+            />
+            Select all shown
+          </label>
+          <button
+            type="button"
+            onClick={() => handleOpen(selectedShown.map((entry) => entry.id))}
+            disabled={selectedShown.length === 0 || isOpening}
+            className="px-3 py-1.5 rounded-md bg-brand-blue hover:bg-blue-600 text-white text-sm disabled:bg-gray-600 disabled:cursor-not-allowed"
+            title="Open the selected reports together with a portfolio overview"
+          >
+            {isOpening ? 'Opening…' : `Open selected (${selectedShown.length})`}
+          </button>
+        </div>
+      ) : null}
+
+      {error ? <div className="text-sm text-red-300">{error}</div> : null}
+
+      {entries === null ? (
+        <div className="text-sm text-brand-gray/80">Loading…</div>
+      ) : filtered.length === 0 ? (
+        <div className="text-sm text-brand-gray/80">
+          {entries.length === 0 ? 'No reports yet. Finished analyses are saved here automatically.' : 'No reports match the current filters.'}
+        </div>
+      ) : (
+        <ul className="max-h-96 overflow-y-auto space-y-2 rounded-md border border-brand-border p-2 bg-gray-800/50">
+          {filtered.map((entry) => (
+            <li key={entry.id} className="flex items-center justify-between gap-3 bg-brand-dark p-3 rounded">
+              <input
+                type="checkbox"
+                checked={selectedIds.has(entry.id)}
+                onChange={() => toggleSelected(entry.id)}
+                className="accent-brand-blue flex-shrink-0"
+                aria-label={`Select report for ${entry.fileName}`}
+              />
+              <div className="min-w-0 flex-1">
+                <div className="text-sm text-white truncate" title={entry.fileName}>
+                  {entry.sopTitle || entry.fileName}
+                  {entry.reviewStatus ? (
+                    <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] uppercase tracking-wide bg-white/10 text-brand-gray border border-white/10">
+                      {REVIEW_STATUS_LABELS[entry.reviewStatus]}
+                    </span>
+                  ) : null}
+                </div>
+                <div className="text-xs text-brand-gray/80 truncate">
+                  {entry.fileName} · {new Date(entry.createdAt).toLocaleString()} · {ENGINE_LABELS[entry.engine] ?? entry.engine}
+                  {entry.modelId ? ` (${entry.modelId})` : ''}
+                  {formatDuration(entry.durationMs) ? ` · ${formatDuration(entry.durationMs)}` : ''}
+                  {` · ${entry.opportunityCount} opportunities`}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => handleOpen([entry.id])}
+                  disabled={isOpening}
+                  className="px-3 py-1.5 rounded-md bg-brand-blue hover:bg-blue-600 text-white text-sm disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  Open
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(entry)}
+                  className="p-1 rounded-full hover:bg-gray-700 transition-colors"
+                  aria-label={`Delete report for ${entry.fileName}`}
+                >
+                  <XIcon className="w-4 h-4 text-brand-gray" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
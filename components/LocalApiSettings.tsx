@@ -0,0 +1,157 @@
+import React, { useCallback, useState } from 'react';
+import type { LocalApiStatus } from '../desktop-api';
+
+const inputClass = 'bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+const buttonClass = 'px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Opt-in HTTP API on 127.0.0.1 for other tools on this computer (desktop only). The token is
+ * shown once, right after it is created; the app only keeps its hash.
+ */
+export const LocalApiSettings: React.FC = () => {
+  const api = window.desktopAPI;
+  const [status, setStatus] = useState<LocalApiStatus | null>(null);
+  const [port, setPort] = useState('');
+  const [token, setToken] = useState<string | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [result, setResult] = useState<{ ok: boolean; message: string } | null>(null);
+
+  const applyStatus = useCallback((next: LocalApiStatus) => {
+    setStatus(next);
+    setPort(String(next.port));
+    if (next.token) setToken(next.token);
+  }, []);
+
+  React.useEffect(() => {
+    if (!api?.getLocalApiStatus) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const next = await api.getLocalApiStatus();
+        if (!cancelled) applyStatus(next);
+      } catch (e) {
+        const msg = e instanceof Error ? e.message : 'Failed to read the local API status.';
+        if (!cancelled) setResult({ ok: false, message: msg });
+      }
+    })();
+    const unsubscribe = api.onLocalApiStatus(setStatus);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [api, applyStatus]);
+
+  const run = useCallback(async (action: () => Promise<void>, fallbackError: string) => {
+    setIsBusy(true);
+    setResult(null);
+    try {
+      await action();
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : fallbackError;
+      setResult({ ok: false, message: msg });
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const handleToggle = (enabled: boolean) =>
+    run(async () => {
+      applyStatus(await api!.configureLocalApi({ enabled }));
+    }, 'Failed to change the local API.');
+
+  const handleSavePort = () =>
+    run(async () => {
+      applyStatus(await api!.configureLocalApi({ port: Number(port) }));
+      setResult({ ok: true, message: 'Port saved.' });
+    }, 'Failed to change the port.');
+
+  const handleRegenerate = () => {
+    if (status?.hasToken && !window.confirm('Create a new token? Tools using the current one will be refused until they are updated.')) return;
+    void run(async () => {
+      applyStatus(await api!.regenerateLocalApiToken());
+    }, 'Failed to create a token.');
+  };
+
+  const handleCopy = () =>
+    run(async () => {
+      await navigator.clipboard.writeText(token!);
+      setResult({ ok: true, message: 'Token copied.' });
+    }, 'Failed to copy the token.');
+
+  if (!api?.getLocalApiStatus) return null;
+
+  return (
+    <section className="space-y-3">
+      <h3 className="text-lg font-semibold text-white">Local API</h3>
+      <p className="text-sm text-brand-gray">
+        Lets other tools on this computer submit PDFs over HTTP and fetch the reports. Requests need the token, and only
+        connections from this computer are accepted. Analyses share the queue with the app and are saved to the history.
+      </p>
+      <label className="flex items-center gap-2 text-sm text-brand-gray">
+        <input
+          type="checkbox"
+          checked={!!status?.enabled}
+          onChange={(e) => handleToggle(e.target.checked)}
+          disabled={isBusy || !status}
+          className="accent-brand-blue"
+        />
+        Enable the local API
+      </label>
+      {status?.enabled ? (
+        <div className={`text-sm ${status.running ? 'text-brand-gray/90' : 'text-red-300'}`}>
+          {status.running
+            ? `Listening on ${status.url}${status.activeCount > 0 ? ` · ${status.activeCount} analyses queued or running` : ''}`
+            : `Not running: ${status.error ?? 'unknown error'}`}
+        </div>
+      ) : null}
+      <div className="flex items-center gap-2">
+        <label className="text-sm text-brand-gray" htmlFor="local-api-port">Port</label>
+        <input
+          id="local-api-port"
+          type="number"
+          min={1024}
+          max={65535}
+          value={port}
+          onChange={(e) => setPort(e.target.value)}
+          className={`${inputClass} w-28`}
+        />
+        <button type="button" onClick={handleSavePort} disabled={isBusy || !status || port === String(status.port)} className={buttonClass}>
+          Save port
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-brand-gray/90">
+          {status?.hasToken && status.tokenCreatedAt
+            ? `Token created ${new Date(status.tokenCreatedAt).toLocaleString()}.`
+            : 'No token yet; one is created when the API is enabled.'}
+        </span>
+        <button type="button" onClick={handleRegenerate} disabled={isBusy || !status} className={buttonClass}>
+          {status?.hasToken ? 'New token' : 'Create token'}
+        </button>
+      </div>
+      {token ? (
+        <div className="space-y-2">
+          <div className="text-sm text-yellow-300/90">Copy the token now; it can&apos;t be shown again.</div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={token}
+              onFocus={(e) => e.target.select()}
+              spellCheck={false}
+              className={`${inputClass} w-full font-mono`}
+              aria-label="Local API token"
+            />
+            <button type="button" onClick={handleCopy} disabled={isBusy} className={buttonClass}>
+              Copy
+            </button>
+          </div>
+          <pre className="text-xs text-brand-gray whitespace-pre-wrap break-all bg-gray-800/50 border border-brand-border rounded-md p-2">
+            {`curl -H "Authorization: Bearer <token>" -F file=@sop.pdf ${status?.url ?? ''}/analyses`}
+          </pre>
+        </div>
+      ) : null}
+      {result ? <div className={`text-sm ${result.ok ? 'text-green-300' : 'text-red-300'}`}>{result.message}</div> : null}
+    </section>
+  );
+};
@@ -0,0 +1,36 @@
+import React, { useRef } from 'react';
+
+interface OpenReportButtonProps {
+  onOpen: (files: File[]) => void;
+  disabled?: boolean;
+}
+
+/**
+ * "Open report…": view exported report JSON (or bundles with their PDF) without analyzing
+ * anything, so it works without the offline pack or an API key.
+ */
+export const OpenReportButton: React.FC<OpenReportButtonProps> = ({ onOpen, disabled }) => {
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  const handleChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files ?? []);
+    // Reset so picking the same file again still fires a change event.
+    event.target.value = '';
+    if (files.length > 0) onOpen(files);
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+        className="mt-3 w-full bg-white/10 text-white font-semibold py-2 px-4 rounded-md border border-white/10 hover:bg-white/15 transition-all duration-300 disabled:opacity-60 disabled:cursor-not-allowed"
+        title="Open report JSON files exported from this app"
+      >
+        Open report…
+      </button>
+      <input ref={inputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleChange} multiple />
+    </>
+  );
+};
@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  DEFAULT_OPPORTUNITY_VIEW,
+  isOpportunityViewFiltered,
+  type GroupBy,
+  type Level,
+  type OpportunityViewState
+} from '../services/opportunityView';
+
+interface OpportunityFiltersProps {
+  view: OpportunityViewState;
+  onChange: (view: OpportunityViewState) => void;
+  // Categories present in the report, for the category chips.
+  categories: string[];
+  shownCount: number;
+  totalCount: number;
+}
+
+const LEVELS: Level[] = ['Low', 'Medium', 'High'];
+
+const inputClass = 'bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+
+const Chip: React.FC<{ active: boolean; onClick: () => void; children: React.ReactNode }> = ({ active, onClick, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    aria-pressed={active}
+    className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+      active ? 'bg-brand-blue/20 border-brand-blue text-white' : 'border-brand-border text-brand-gray hover:text-white'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+const toggle = <T,>(values: T[], value: T) => (values.includes(value) ? values.filter((v) => v !== value) : [...values, value]);
+
+/**
+ * Search, filter chips, grouping and column toggle for the opportunities matrix.
+ */
+export const OpportunityFilters: React.FC<OpportunityFiltersProps> = ({ view, onChange, categories, shownCount, totalCount }) => {
+  const set = (patch: Partial<OpportunityViewState>) => onChange({ ...view, ...patch });
+  const isFiltered = isOpportunityViewFiltered(view);
+
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="flex flex-col md:flex-row md:items-center gap-2">
+        <input
+          type="search"
+          value={view.query}
+          onChange={(e) => set({ query: e.target.value })}
+          placeholder="Search process and solution text"
+          className={`${inputClass} flex-1`}
+        />
+        <select
+          value={view.groupBy}
+          onChange={(e) => set({ groupBy: e.target.value as GroupBy })}
+          className={inputClass}
+          aria-label="Group opportunities"
+        >
+          <option value="none">No grouping</option>
+          <option value="category">Group by category</option>
+          <option value="page">Group by page</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-brand-gray whitespace-nowrap">
+          <input type="checkbox" checked={view.showDetails} onChange={(e) => set({ showDetails: e.target.checked })} className="accent-brand-blue" />
+          Technology &amp; compliance columns
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-brand-gray">
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="mr-1">Complexity:</span>
+          {LEVELS.map((level) => (
+            <Chip key={level} active={view.complexity.includes(level)} onClick={() => set({ complexity: toggle(view.complexity, level) })}>
+              {level}
+            </Chip>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="mr-1">ROI:</span>
+          {LEVELS.map((level) => (
+            <Chip key={level} active={view.roi.includes(level)} onClick={() => set({ roi: toggle(view.roi, level) })}>
+              {level}
+            </Chip>
+          ))}
+        </div>
+        {categories.length > 1 ? (
+          <div className="flex flex-wrap items-center gap-1">
+            <span className="mr-1">Category:</span>
+            {categories.map((category) => (
+              <Chip key={category} active={view.categories.includes(category)} onClick={() => set({ categories: toggle(view.categories, category) })}>
+                {category}
+              </Chip>
+            ))}
+          </div>
+        ) : null}
+      </div>
+
+      {isFiltered ? (
+        <div className="flex items-center gap-3 text-sm text-brand-gray">
+          <span>
+            Showing {shownCount} of {totalCount} opportunities. Exports include only these.
+          </span>
+          <button
+            type="button"
+            onClick={() => onChange({ ...DEFAULT_OPPORTUNITY_VIEW, sort: view.sort, groupBy: view.groupBy, showDetails: view.showDetails })}
+            className="text-brand-blue underline underline-offset-2"
+          >
+            Clear filters
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+};
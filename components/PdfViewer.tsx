@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import type { PDFDocumentProxy, RenderTask } from 'pdfjs-dist';
+import type { TextItem } from 'pdfjs-dist/types/src/display/api';
+import { pdfjsLib } from '../services/pdfjs';
+import { findHighlightItems } from '../services/pdfHighlight';
+import { loadPdfBytes } from '../services/pdfText';
+import { XIcon } from './IconComponents';
+
+interface PdfViewerProps {
+  fileUrl: string;
+  pageNumber: number;
+  // Text to highlight on the page, most specific first (e.g. step identifier, then step text).
+  highlightTerms: string[];
+  onClose?: () => void;
+}
+
+type HighlightRect = { left: number; top: number; width: number; height: number };
+
+export const PdfViewer: React.FC<PdfViewerProps> = ({ fileUrl, pageNumber, highlightTerms, onClose }) => {
+  const [doc, setDoc] = useState<PDFDocumentProxy | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [currentPage, setCurrentPage] = useState(pageNumber);
+  const [highlights, setHighlights] = useState<HighlightRect[]>([]);
+  // Page whose text has been searched, so "not found" isn't shown while a page is still rendering.
+  const [searchedPage, setSearchedPage] = useState<number | null>(null);
+  const [pageSize, setPageSize] = useState<{ width: number; height: number } | null>(null);
+  const containerRef = useRef<HTMLDivElement>(null);
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const highlightRef = useRef<HTMLDivElement>(null);
+  const termsKey = highlightTerms.join('\u0000');
+
+  useEffect(() => {
+    setCurrentPage(pageNumber);
+  }, [pageNumber, termsKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded: PDFDocumentProxy | null = null;
+    setDoc(null);
+    setError(null);
+    (async () => {
+      try {
+        const data = await loadPdfBytes(fileUrl);
+        loaded = await pdfjsLib.getDocument({ data }).promise;
+        if (cancelled) {
+          void loaded.destroy();
+          return;
+        }
+        setDoc(loaded);
+      } catch (e) {
+        if (!cancelled) {
+          const msg = e instanceof Error ? e.message : 'Failed to open the PDF.';
+          setError(msg);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+      void loaded?.destroy();
+    };
+  }, [fileUrl]);
+
+  useEffect(() => {
+    if (!doc || !canvasRef.current || !containerRef.current) return;
+    let cancelled = false;
+    let renderTask: RenderTask | null = null;
+    const target = Math.max(1, Math.min(doc.numPages, currentPage || 1));
+
+    (async () => {
+      try {
+        const page = await doc.getPage(target);
+        const baseViewport = page.getViewport({ scale: 1 });
+        const scale = Math.max(0.5, (containerRef.current?.clientWidth || baseViewport.width) / baseViewport.width);
+        const viewport = page.getViewport({ scale });
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        canvas.style.width = `${viewport.width}px`;
+        canvas.style.height = `${viewport.height}px`;
+        setPageSize({ width: viewport.width, height: viewport.height });
+
+        const context = canvas.getContext('2d');
+        if (!context) return;
+        renderTask = page.render({
+          canvasContext: context,
+          viewport,
+          transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : undefined
+        });
+        await renderTask.promise;
+        if (cancelled) return;
+
+        const content = await page.getTextContent();
+        const items = content.items.filter((item): item is TextItem => 'str' in item);
+        const matched = target === pageNumber ? findHighlightItems(items.map((i) => i.str), highlightTerms) : [];
+        setHighlights(
+          matched.map((index) => {
+            const item = items[index];
+            const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+            const fontHeight = Math.hypot(tx[2], tx[3]);
+            return { left: tx[4], top: tx[5] - fontHeight, width: item.width * viewport.scale, height: fontHeight * 1.2 };
+          })
+        );
+        setSearchedPage(target);
+      } catch (e) {
+        if (!cancelled && !(e instanceof Error && e.name === 'RenderingCancelledException')) {
+          const msg = e instanceof Error ? e.message : 'Failed to render the page.';
+          setError(msg);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+      setHighlights([]);
+      setSearchedPage(null);
+    };
+    // termsKey stands in for highlightTerms, which is a new array on every render.
+  }, [doc, currentPage, pageNumber, termsKey]);
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [highlights]);
+
+  const numPages = doc?.numPages ?? 0;
+
+  return (
+    <div className="flex flex-col h-full bg-brand-light border border-brand-border rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between gap-2 px-3 py-2 border-b border-brand-border text-sm text-brand-gray">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+            disabled={!doc || currentPage <= 1}
+            className="px-2 py-1 rounded bg-white/10 hover:bg-white/15 text-white disabled:opacity-40"
+            aria-label="Previous page"
+          >
+            ‹
+          </button>
+          <span>
+            Page {currentPage}
+            {numPages ? ` of ${numPages}` : ''}
+          </span>
+          <button
+            type="button"
+            onClick={() => setCurrentPage((p) => Math.min(numPages || p, p + 1))}
+            disabled={!doc || currentPage >= numPages}
+            className="px-2 py-1 rounded bg-white/10 hover:bg-white/15 text-white disabled:opacity-40"
+            aria-label="Next page"
+          >
+            ›
+          </button>
+          {currentPage !== pageNumber ? (
+            <button type="button" onClick={() => setCurrentPage(pageNumber)} className="text-brand-blue underline underline-offset-2">
+              Back to cited page
+            </button>
+          ) : null}
+        </div>
+        <div className="flex items-center gap-3">
+          {searchedPage === pageNumber && highlights.length === 0 ? (
+            <span className="text-yellow-300/90 text-xs">Cited text not found on this page</span>
+          ) : null}
+          {onClose ? (
+            <button type="button" onClick={onClose} className="p-1 rounded-full hover:bg-gray-700 transition-colors" aria-label="Close viewer">
+              <XIcon className="w-4 h-4 text-brand-gray" />
+            </button>
+          ) : null}
+        </div>
+      </div>
+      <div ref={containerRef} className="relative flex-1 overflow-auto bg-gray-900">
+        {error ? (
+          <div className="p-4 text-sm text-red-300">{error}</div>
+        ) : !doc ? (
+          <div className="p-4 text-sm text-brand-gray/80">Loading PDF…</div>
+        ) : null}
+        <div className="relative mx-auto" style={pageSize ? { width: pageSize.width, height: pageSize.height } : undefined}>
+          <canvas ref={canvasRef} className="block" />
+          {highlights.map((rect, index) => (
+            <div
+              key={index}
+              ref={index === 0 ? highlightRef : undefined}
+              className="absolute bg-yellow-300/40 border border-yellow-400 rounded-sm pointer-events-none"
+              style={{ left: rect.left, top: rect.top, width: rect.width, height: rect.height }}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,178 @@
+import React, { useMemo, useState } from 'react';
+import { buildPortfolio, LEVELS, type PortfolioGroup, type PortfolioItem } from '../services/portfolio';
+
+interface PortfolioViewProps {
+  items: PortfolioItem[];
+  // Switch to the tab of the report at this index.
+  onOpenReport: (index: number) => void;
+}
+
+const Card: React.FC<{ title: string; value: string | number }> = ({ title, value }) => (
+  <div className="bg-brand-light p-4 rounded-lg border border-brand-border">
+    <p className="text-sm text-brand-gray">{title}</p>
+    <p className="text-xl lg:text-2xl font-bold mt-1 text-white">{value}</p>
+  </div>
+);
+
+const Panel: React.FC<{ title: string; children: React.ReactNode }> = ({ title, children }) => (
+  <div className="bg-brand-light border border-brand-border rounded-lg p-6">
+    <h3 className="text-xl font-bold text-white mb-4 border-b border-brand-border pb-3">{title}</h3>
+    {children}
+  </div>
+);
+
+const GROUP_LIMIT = 12;
+
+const GroupTable: React.FC<{ groups: PortfolioGroup[]; label: string; sopCount: number }> = ({ groups, label, sopCount }) => {
+  const [showAll, setShowAll] = useState(false);
+  if (groups.length === 0) {
+    return <p className="text-sm text-brand-gray/80">No opportunities yet.</p>;
+  }
+  const shown = showAll ? groups : groups.slice(0, GROUP_LIMIT);
+  return (
+    <>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs uppercase tracking-wider text-brand-gray">
+            <th className="py-2 pr-4">{label}</th>
+            <th className="py-2 pr-4 text-right">SOPs</th>
+            <th className="py-2 text-right">Opportunities</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-brand-border">
+          {shown.map((group) => (
+            <tr key={group.label}>
+              <td className="py-2 pr-4 text-white">
+                {group.label}
+                <div className="mt-1 h-1.5 rounded bg-white/10 overflow-hidden">
+                  <div className="h-1.5 bg-brand-blue" style={{ width: `${(group.sopCount / Math.max(1, sopCount)) * 100}%` }} />
+                </div>
+              </td>
+              <td className="py-2 pr-4 text-right text-white whitespace-nowrap">
+                {group.sopCount} of {sopCount}
+              </td>
+              <td className="py-2 text-right text-brand-gray">{group.opportunityCount}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {groups.length > GROUP_LIMIT ? (
+        <button type="button" onClick={() => setShowAll((v) => !v)} className="mt-3 text-sm text-brand-blue underline underline-offset-2">
+          {showAll ? 'Show fewer' : `Show all ${groups.length}`}
+        </button>
+      ) : null}
+    </>
+  );
+};
+
+// Highlight the quick-win cell (Low complexity, High ROI) and dim the one to avoid.
+const cellClass = (complexity: string, roi: string, count: number) => {
+  if (count === 0) return 'text-brand-gray/50';
+  if (complexity === 'Low' && roi === 'High') return 'bg-green-500/20 text-green-300 font-bold';
+  if (complexity === 'High' && roi === 'Low') return 'bg-red-500/10 text-red-300';
+  return 'bg-white/5 text-white';
+};
+
+/**
+ * Combined view of every report in the current run (or opened from history).
+ */
+export const PortfolioView: React.FC<PortfolioViewProps> = ({ items, onOpenReport }) => {
+  const portfolio = useMemo(() => buildPortfolio(items), [items]);
+
+  return (
+    <div className="space-y-8 pt-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Card title="SOPs" value={portfolio.sopCount} />
+        <Card title="Manual Touchpoints" value={portfolio.totalManualTouchpoints} />
+        <Card title="Opportunities" value={portfolio.opportunityCount} />
+        <Card title="Quick Wins" value={portfolio.quickWins.length} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <Panel title="Complexity vs. ROI">
+          <table className="w-full text-sm text-center">
+            <thead>
+              <tr className="text-xs uppercase tracking-wider text-brand-gray">
+                <th className="py-2 text-left">Complexity ↓ / ROI →</th>
+                {LEVELS.map((roi) => (
+                  <th key={roi} className="py-2">{roi}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {LEVELS.map((complexity) => (
+                <tr key={complexity}>
+                  <th className="py-2 text-left text-xs uppercase tracking-wider text-brand-gray">{complexity}</th>
+                  {LEVELS.map((roi) => {
+                    const count = portfolio.grid[complexity][roi];
+                    return (
+                      <td key={roi} className="p-1">
+                        <div className={`rounded-md py-4 ${cellClass(complexity, roi, count)}`}>{count}</div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-3 text-xs text-brand-gray/80">Low complexity / High ROI (green) are the quick wins listed below.</p>
+        </Panel>
+
+        <Panel title="Opportunities by Category">
+          <GroupTable groups={portfolio.categories} label="Category" sopCount={portfolio.sopCount} />
+        </Panel>
+      </div>
+
+      <Panel title="Common Technologies">
+        <p className="mb-3 text-sm text-brand-gray">How many SOPs would benefit from each technology named in their opportunities.</p>
+        <GroupTable groups={portfolio.technologies} label="Technology" sopCount={portfolio.sopCount} />
+      </Panel>
+
+      <Panel title="Quick Wins (Low Complexity / High ROI)">
+        {portfolio.quickWins.length === 0 ? (
+          <p className="text-sm text-brand-gray/80">No low-complexity, high-ROI opportunities in these reports.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-brand-border text-sm">
+              <thead className="bg-gray-800/50">
+                <tr className="text-left text-xs uppercase tracking-wider text-brand-gray">
+                  <th className="px-4 py-3">#</th>
+                  <th className="px-4 py-3">SOP</th>
+                  <th className="px-4 py-3">Current Process</th>
+                  <th className="px-4 py-3">Proposed Solution</th>
+                  <th className="px-4 py-3">Technology</th>
+                  <th className="px-4 py-3">Timeline</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-brand-border">
+                {portfolio.quickWins.map(({ reportIndex, fileName, sopTitle, opportunity }, index) => (
+                  <tr key={`${reportIndex}-${index}`} className="align-top">
+                    <td className="px-4 py-3 text-brand-gray">{index + 1}</td>
+                    <td className="px-4 py-3">
+                      <button
+                        type="button"
+                        onClick={() => onOpenReport(reportIndex)}
+                        className="text-left text-brand-blue underline underline-offset-2"
+                        title={`Open the report for ${fileName}`}
+                      >
+                        {sopTitle}
+                      </button>
+                      <div className="text-xs text-brand-gray/80">
+                        {opportunity.sopReference?.stepIdentifier}
+                        {opportunity.sopReference?.pageNumber ? ` (p. ${opportunity.sopReference.pageNumber})` : ''}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-white">{opportunity.currentManualProcess}</td>
+                    <td className="px-4 py-3 text-brand-gray">{opportunity.proposedAutomationSolution}</td>
+                    <td className="px-4 py-3 text-brand-gray">{opportunity.technologyRequired}</td>
+                    <td className="px-4 py-3 text-brand-gray whitespace-nowrap">{opportunity.timelineEstimate}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Panel>
+    </div>
+  );
+};
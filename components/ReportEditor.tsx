@@ -0,0 +1,197 @@
+import React from 'react';
+import type { AnalysisReport } from '../types';
+import { REPORT_DEFINITION, toTemplateValue } from '../desktop-app/src/shared/reportDefinition.mjs';
+
+// Form for every field of a report, generated from the report definition so it always covers
+// the whole schema. Used on the reviewed copy only; the model's report is never edited.
+
+type ReportNode = {
+  kind: 'string' | 'integer' | 'array' | 'object';
+  description?: string;
+  enum?: string[];
+  min?: number;
+  items?: ReportNode;
+  properties?: Record<string, ReportNode>;
+};
+
+const ROOT = REPORT_DEFINITION as unknown as ReportNode;
+
+// A citation check no longer applies once the reference or quote it checked is edited.
+const CITED_FIELDS = ['sopReference', 'evidenceQuote'];
+
+const inputClass =
+  'w-full bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+
+const labelFor = (key: string) => {
+  const words = key
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/\bsop\b/g, 'SOP')
+    .replace(/\broi\b/g, 'ROI');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const Collapsible: React.FC<{ summary: React.ReactNode; actions?: React.ReactNode; children: React.ReactNode }> = ({ summary, actions, children }) => (
+  <details className="border border-brand-border rounded-md">
+    <summary className="cursor-pointer px-3 py-2 text-sm font-semibold text-white flex items-center justify-between gap-3">
+      <span className="truncate">{summary}</span>
+      {actions}
+    </summary>
+    <div className="px-3 pb-3 space-y-3">{children}</div>
+  </details>
+);
+
+const RemoveButton: React.FC<{ onClick: () => void; label: string }> = ({ onClick, label }) => (
+  <button
+    type="button"
+    onClick={(e) => {
+      e.preventDefault();
+      onClick();
+    }}
+    className="text-xs text-red-300 hover:text-red-200 whitespace-nowrap"
+    aria-label={label}
+  >
+    Remove
+  </button>
+);
+
+interface FieldProps {
+  node: ReportNode;
+  value: any;
+  onChange: (value: any) => void;
+  label: string;
+  // Nested inside an array item: objects render as plain groups instead of collapsible sections.
+  inline?: boolean;
+}
+
+const ScalarField: React.FC<FieldProps> = ({ node, value, onChange, label }) => {
+  if (node.enum) {
+    return (
+      <select value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={inputClass} aria-label={label}>
+        {node.enum.map((option) => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    );
+  }
+  if (node.kind === 'integer') {
+    return (
+      <input
+        type="number"
+        min={node.min}
+        step={1}
+        value={Number.isFinite(value) ? value : ''}
+        onChange={(e) => onChange(e.target.value === '' ? node.min ?? 0 : Math.trunc(Number(e.target.value)))}
+        className={inputClass}
+        aria-label={label}
+      />
+    );
+  }
+  const text = String(value ?? '');
+  return (
+    <textarea
+      value={text}
+      onChange={(e) => onChange(e.target.value)}
+      rows={Math.min(6, Math.max(1, Math.ceil(text.length / 90)))}
+      className={inputClass}
+      aria-label={label}
+      title={node.description}
+    />
+  );
+};
+
+const ArrayField: React.FC<FieldProps> = ({ node, value, onChange, label }) => {
+  const items: any[] = Array.isArray(value) ? value : [];
+  const itemNode = node.items!;
+  const setItem = (index: number, item: any) => onChange(items.map((v, i) => (i === index ? item : v)));
+  const removeItem = (index: number) => onChange(items.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      {items.map((item, index) =>
+        itemNode.kind === 'object' ? (
+          <Collapsible
+            key={index}
+            summary={`${index + 1}. ${String(Object.values(item ?? {}).find((v) => typeof v === 'string' && v) ?? '')}`}
+            actions={<RemoveButton onClick={() => removeItem(index)} label={`Remove ${label} ${index + 1}`} />}
+          >
+            <ObjectFields node={itemNode} value={item} onChange={(v) => setItem(index, v)} inline />
+          </Collapsible>
+        ) : (
+          <div key={index} className="flex items-start gap-2">
+            <span className="pt-2 text-xs text-brand-gray w-6 text-right">{index + 1}.</span>
+            <ScalarField node={itemNode} value={item} onChange={(v) => setItem(index, v)} label={`${label} ${index + 1}`} />
+            <div className="pt-2">
+              <RemoveButton onClick={() => removeItem(index)} label={`Remove ${label} ${index + 1}`} />
+            </div>
+          </div>
+        )
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...items, toTemplateValue(itemNode)])}
+        className="text-sm text-brand-blue underline underline-offset-2"
+      >
+        Add {itemNode.kind === 'object' ? 'item' : 'entry'}
+      </button>
+    </div>
+  );
+};
+
+const ObjectFields: React.FC<Omit<FieldProps, 'label'>> = ({ node, value, onChange, inline }) => {
+  const setField = (key: string, fieldValue: any) => {
+    const next = { ...value, [key]: fieldValue };
+    if (CITED_FIELDS.includes(key)) delete next.citation;
+    onChange(next);
+  };
+
+  const properties: Record<string, ReportNode> = node.properties ?? {};
+
+  return (
+    <div className="space-y-3">
+      {Object.entries(properties).map(([key, child]) => {
+        const label = labelFor(key);
+        const field = <Field node={child} value={value?.[key]} onChange={(v) => setField(key, v)} label={label} inline={inline} />;
+        if (child.kind === 'object' && inline) {
+          return (
+            <fieldset key={key} className="border border-brand-border/60 rounded-md px-3 pb-3">
+              <legend className="px-1 text-xs text-brand-gray">{label}</legend>
+              {field}
+            </fieldset>
+          );
+        }
+        if (child.kind === 'object' || child.kind === 'array') {
+          return (
+            <Collapsible key={key} summary={child.kind === 'array' ? `${label} (${value?.[key]?.length ?? 0})` : label}>
+              {field}
+            </Collapsible>
+          );
+        }
+        return (
+          <label key={key} className="block">
+            <span className="block mb-1 text-xs text-brand-gray">{label}</span>
+            {field}
+          </label>
+        );
+      })}
+    </div>
+  );
+};
+
+const Field: React.FC<FieldProps> = (props) => {
+  switch (props.node.kind) {
+    case 'object':
+      return <ObjectFields node={props.node} value={props.value} onChange={props.onChange} inline={props.inline} />;
+    case 'array':
+      return <ArrayField {...props} />;
+    default:
+      return <ScalarField {...props} />;
+  }
+};
+
+/**
+ * Editor for the reviewed copy of a report.
+ */
+export const ReportEditor: React.FC<{ report: AnalysisReport; onChange: (report: AnalysisReport) => void }> = ({ report, onChange }) => (
+  <ObjectFields node={ROOT} value={report} onChange={onChange} />
+);
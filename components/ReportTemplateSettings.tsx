@@ -0,0 +1,181 @@
+import React, { useCallback, useState } from 'react';
+import type { ReportTemplate } from '../desktop-api';
+
+const inputClass = 'w-full bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+
+const CONTROL_FIELDS: Array<{ key: keyof ReportTemplate['documentControl']; label: string }> = [
+  { key: 'documentNumber', label: 'Document number' },
+  { key: 'revision', label: 'Revision' },
+  { key: 'classification', label: 'Classification' },
+  { key: 'effectiveDate', label: 'Effective date' },
+  { key: 'preparedBy', label: 'Prepared by' },
+  { key: 'reviewedBy', label: 'Reviewed by' },
+  { key: 'approvedBy', label: 'Approved by' }
+];
+
+const Field: React.FC<{ label: string; children: React.ReactNode }> = ({ label, children }) => (
+  <label className="block text-xs text-brand-gray space-y-1">
+    <span>{label}</span>
+    {children}
+  </label>
+);
+
+/**
+ * Templates for the printable PDF report (desktop only: rendering happens in the main process).
+ */
+export const ReportTemplateSettings: React.FC = () => {
+  const api = window.desktopAPI;
+  const [templates, setTemplates] = useState<ReportTemplate[] | null>(null);
+  const [selectedId, setSelectedId] = useState<string>('');
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  React.useEffect(() => {
+    if (!api?.getReportTemplates) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const list = await api.getReportTemplates();
+        if (!cancelled) {
+          setTemplates(list);
+          setSelectedId(list[0]?.id ?? '');
+        }
+      } catch (e) {
+        const msg = e instanceof Error ? e.message : 'Failed to load report templates.';
+        if (!cancelled) setError(msg);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [api]);
+
+  const selected = templates?.find((t) => t.id === selectedId) ?? null;
+
+  const updateSelected = useCallback((patch: Partial<ReportTemplate>) => {
+    setMessage(null);
+    setTemplates((list) => list?.map((t) => (t.id === selectedId ? { ...t, ...patch } : t)) ?? list);
+  }, [selectedId]);
+
+  const handleAdd = () => {
+    if (!templates) return;
+    const base = selected ?? templates[0];
+    const copy: ReportTemplate = { ...base, documentControl: { ...base.documentControl }, id: crypto.randomUUID(), name: `${base.name} (copy)` };
+    setTemplates([...templates, copy]);
+    setSelectedId(copy.id);
+  };
+
+  const handleDelete = () => {
+    if (!templates || templates.length <= 1) return;
+    const rest = templates.filter((t) => t.id !== selectedId);
+    setTemplates(rest);
+    setSelectedId(rest[0].id);
+  };
+
+  const handlePickLogo = async () => {
+    try {
+      const logoPath = await api?.pickLogoImage?.();
+      if (logoPath) updateSelected({ logoPath });
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to pick logo.';
+      setError(msg);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!api?.saveReportTemplates || !templates) return;
+    setError(null);
+    try {
+      const saved = await api.saveReportTemplates(templates);
+      setTemplates(saved);
+      setMessage('Templates saved.');
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to save report templates.';
+      setError(msg);
+    }
+  };
+
+  if (!api?.getReportTemplates) return null;
+
+  return (
+    <section className="space-y-3">
+      <h3 className="text-lg font-semibold text-white">Report templates</h3>
+      <p className="text-sm text-brand-gray">
+        Branding and document control details used by “Export PDF Report”.
+      </p>
+      {error ? <div className="text-sm text-red-300">{error}</div> : null}
+      {!templates || !selected ? (
+        <div className="text-sm text-brand-gray/80">Loading…</div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)} className={inputClass}>
+              {templates.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+            <button type="button" onClick={handleAdd} className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10">
+              Duplicate
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={templates.length <= 1}
+              className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Delete
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Field label="Template name">
+              <input className={inputClass} value={selected.name} onChange={(e) => updateSelected({ name: e.target.value })} />
+            </Field>
+            <Field label="Organization name">
+              <input className={inputClass} value={selected.organizationName} onChange={(e) => updateSelected({ organizationName: e.target.value })} />
+            </Field>
+            <Field label="Header text">
+              <input className={inputClass} value={selected.headerText} onChange={(e) => updateSelected({ headerText: e.target.value })} />
+            </Field>
+            <Field label="Footer text">
+              <input className={inputClass} value={selected.footerText} onChange={(e) => updateSelected({ footerText: e.target.value })} />
+            </Field>
+            <Field label="Accent color">
+              <input type="color" className="h-8 w-16 bg-transparent" value={selected.accentColor} onChange={(e) => updateSelected({ accentColor: e.target.value })} />
+            </Field>
+            <Field label="Logo">
+              <div className="flex gap-2 items-center">
+                <span className="flex-1 truncate text-white" title={selected.logoPath}>{selected.logoPath || 'None'}</span>
+                <button type="button" onClick={handlePickLogo} className="px-2 py-1 rounded-md bg-white/10 hover:bg-white/15 text-white text-xs border border-white/10">
+                  Choose…
+                </button>
+                {selected.logoPath ? (
+                  <button type="button" onClick={() => updateSelected({ logoPath: '' })} className="px-2 py-1 rounded-md bg-white/10 hover:bg-white/15 text-white text-xs border border-white/10">
+                    Remove
+                  </button>
+                ) : null}
+              </div>
+            </Field>
+          </div>
+          <h4 className="text-sm font-semibold text-white pt-2">Document control</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {CONTROL_FIELDS.map(({ key, label }) => (
+              <Field key={key} label={label}>
+                <input
+                  className={inputClass}
+                  value={selected.documentControl[key]}
+                  onChange={(e) => updateSelected({ documentControl: { ...selected.documentControl, [key]: e.target.value } })}
+                />
+              </Field>
+            ))}
+          </div>
+          <div className="flex items-center gap-3">
+            <button type="button" onClick={handleSave} className="px-3 py-1.5 rounded-md bg-brand-blue hover:bg-blue-600 text-white text-sm">
+              Save templates
+            </button>
+            {message ? <span className="text-sm text-brand-gray/80">{message}</span> : null}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
@@ -1,5 +1,35 @@
-import React, { useState } from 'react';
-import type { AnalysisReport } from '../types';
+import React, { useMemo, useState } from 'react';
+import type { AnalysisReport, CitationCheck, OpportunityReview, ReportReview } from '../types';
+import { exportReportsToExcel } from '../services/excelExport';
+import { exportReportBundle } from '../services/reportBundle';
+import { createReviewSaver, saveLibraryReview } from '../services/reportLibrary';
+import { createReviewRecorder, recordAuditEvent } from '../services/auditLog';
+import {
+  REVIEW_DECISION_LABELS,
+  describeReview,
+  setOpportunityReview,
+  startReview,
+  updateReviewedReport,
+  type ReviewDecision
+} from '../services/reportReview';
+import type { ReportTemplate } from '../desktop-api';
+
+import { PortfolioView } from './PortfolioView';
+import { OpportunityFilters } from './OpportunityFilters';
+import { ReviewBar } from './ReviewBar';
+import { ReportEditor } from './ReportEditor';
+import {
+  DEFAULT_OPPORTUNITY_VIEW,
+  applyOpportunityView,
+  applyOpportunityViewToReport,
+  groupOpportunities,
+  isOpportunityViewFiltered,
+  type OpportunityViewState,
+  type SortKey
+} from '../services/opportunityView';
+
+// pdf.js is heavy; load the viewer only once someone opens a citation.
+const PdfViewer = React.lazy(() => import('./PdfViewer').then((m) => ({ default: m.PdfViewer })));
 
 const SummaryCard: React.FC<{ title: string; value: string | number; className?: string }> = ({ title, value, className = '' }) => (
   <div className={`bg-brand-light p-4 rounded-lg border border-brand-border ${className}`}>
@@ -26,6 +56,42 @@ const getRoiColor = (roi: 'Low' | 'Medium' | 'High') => {
     }
 }
 
+const CitationBadge: React.FC<{ citation?: CitationCheck }> = ({ citation }) => {
+    if (!citation) return null;
+    switch (citation.status) {
+        case 'verified':
+            return <span className="ml-1 text-xs text-green-400" title="Evidence quote found on the cited page">✓ verified</span>;
+        case 'corrected':
+            return (
+                <span className="ml-1 text-xs text-yellow-300" title={`The model cited page ${citation.citedPageNumber ?? '?'}; the quote was found on this page instead`}>
+                    page corrected{citation.citedPageNumber ? ` (was ${citation.citedPageNumber})` : ''}
+                </span>
+            );
+        default:
+            return (
+                <span
+                    className="ml-1 text-xs text-red-400"
+                    title={citation.reason === 'missing-quote' ? 'The model gave no evidence quote' : 'The evidence quote was not found anywhere in the PDF'}
+                >
+                    ⚠ unverified
+                </span>
+            );
+    }
+};
+
+const CitationSummary: React.FC<{ opportunities: AnalysisReport['detailedAnalysis']['automationOpportunities'] }> = ({ opportunities }) => {
+    const checked = opportunities.filter((opp) => opp.citation);
+    if (checked.length === 0) return null;
+    const count = (status: CitationCheck['status']) => checked.filter((opp) => opp.citation?.status === status).length;
+    const unverified = count('unverified');
+    return (
+        <p className={`mb-4 text-sm ${unverified > 0 ? 'text-yellow-300' : 'text-brand-gray'}`}>
+            Citations checked against the PDF text: {count('verified')} verified, {count('corrected')} page-corrected, {unverified} unverified.
+            {unverified > 0 ? ' Review unverified rows against the source before relying on them.' : ''}
+        </p>
+    );
+};
+
 const Section: React.FC<{ title: string; children: React.ReactNode }> = ({ title, children }) => (
   <div className="bg-brand-light border border-brand-border rounded-lg p-6 mb-8">
     <h3 className="text-2xl font-bold text-white mb-4 border-b border-brand-border pb-3">{title}</h3>
@@ -33,11 +99,133 @@ const Section: React.FC<{ title: string; children: React.ReactNode }> = ({ title
   </div>
 );
 
-const SingleReportView: React.FC<{ report: AnalysisReport; fileUrl: string }> = ({ report, fileUrl }) => {
-    const { executiveSummary, detailedAnalysis } = report;
+const headerClass = 'px-6 py-3 text-left text-xs font-medium text-brand-gray uppercase tracking-wider';
+
+// Click cycles ascending → descending → model order.
+const SortableHeader: React.FC<{
+    label: string;
+    sortKey: SortKey;
+    view: OpportunityViewState;
+    onViewChange: (view: OpportunityViewState) => void;
+}> = ({ label, sortKey, view, onViewChange }) => {
+    const direction = view.sort?.key === sortKey ? view.sort.direction : null;
+    const next: OpportunityViewState['sort'] =
+        direction === null ? { key: sortKey, direction: 'asc' } : direction === 'asc' ? { key: sortKey, direction: 'desc' } : null;
+    return (
+        <th scope="col" className={headerClass} aria-sort={direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none'}>
+            <button type="button" onClick={() => onViewChange({ ...view, sort: next })} className="uppercase tracking-wider hover:text-white">
+                {label} {direction === 'asc' ? '▲' : direction === 'desc' ? '▼' : ''}
+            </button>
+        </th>
+    );
+};
+
+const DecisionCell: React.FC<{ value?: OpportunityReview; disabled: boolean; onChange: (patch: Partial<OpportunityReview>) => void }> = ({
+    value,
+    disabled,
+    onChange
+}) => (
+    <div className="space-y-2 min-w-[12rem]">
+        <select
+            value={value?.decision ?? ''}
+            onChange={(e) => onChange({ decision: (e.target.value || null) as ReviewDecision | null })}
+            disabled={disabled}
+            className="w-full bg-brand-dark border border-brand-border rounded-md px-2 py-1 text-sm text-white"
+            aria-label="Decision"
+        >
+            <option value="">Undecided</option>
+            {(Object.keys(REVIEW_DECISION_LABELS) as ReviewDecision[]).map((decision) => (
+                <option key={decision} value={decision}>{REVIEW_DECISION_LABELS[decision]}</option>
+            ))}
+        </select>
+        <textarea
+            value={value?.comment ?? ''}
+            onChange={(e) => onChange({ comment: e.target.value })}
+            disabled={disabled}
+            rows={2}
+            placeholder="Comment"
+            className="w-full bg-brand-dark border border-brand-border rounded-md px-2 py-1 text-xs text-white"
+            aria-label="Comment"
+        />
+    </div>
+);
+
+interface SingleReportViewProps {
+    report: AnalysisReport;
+    fileUrl: string;
+    view: OpportunityViewState;
+    onViewChange: (view: OpportunityViewState) => void;
+    review?: ReportReview;
+    // null discards the review.
+    onReviewChange: (review: ReportReview | null) => void;
+    showDraft: boolean;
+    onShowDraftChange: (showDraft: boolean) => void;
+    reviewStorageNote?: string;
+}
+
+const SingleReportView: React.FC<SingleReportViewProps> = ({
+    report,
+    fileUrl,
+    view,
+    onViewChange,
+    review,
+    onReviewChange,
+    showDraft,
+    onShowDraftChange,
+    reviewStorageNote
+}) => {
+    const isReviewing = !!review && !showDraft;
+    const canEdit = isReviewing && review.status !== 'approved';
+    const { executiveSummary, detailedAnalysis } = isReviewing ? review.report : report;
+    const [selectedIndex, setSelectedIndex] = useState<number | null>(null);
+    const [isEditing, setIsEditing] = useState(false);
+    const visible = useMemo(() => applyOpportunityView(detailedAnalysis.automationOpportunities, view), [detailedAnalysis, view]);
+    const groups = useMemo(() => groupOpportunities(visible, view.groupBy), [visible, view.groupBy]);
+    const categories = useMemo(
+        () => [...new Set(detailedAnalysis.automationOpportunities.map((opp) => opp.opportunityCategory).filter(Boolean))].sort(),
+        [detailedAnalysis]
+    );
+    const columnCount = (view.showDetails ? 9 : 7) + (isReviewing ? 1 : 0);
+    const selected = selectedIndex !== null ? detailedAnalysis.automationOpportunities[selectedIndex] : null;
+    const showViewer = !!fileUrl && !!selected?.sopReference;
+
+    React.useEffect(() => {
+        setSelectedIndex(null);
+    }, [report, showDraft]);
+
+    React.useEffect(() => {
+        setIsEditing(false);
+    }, [report]);
 
     return (
         <div className="space-y-8 pt-6">
+            <ReviewBar
+                review={review}
+                showDraft={showDraft}
+                onShowDraftChange={onShowDraftChange}
+                onStart={() => {
+                    onShowDraftChange(false);
+                    onReviewChange(startReview(report));
+                }}
+                onChange={onReviewChange}
+                onDiscard={() => {
+                    setIsEditing(false);
+                    onReviewChange(null);
+                }}
+                isEditing={isEditing && canEdit}
+                onEditingChange={setIsEditing}
+                storageNote={reviewStorageNote}
+            />
+
+            {isEditing && canEdit ? (
+                <Section title="Edit Report">
+                    <p className="mb-4 text-sm text-brand-gray">
+                        Changes apply to the reviewed version only; the AI draft stays as the model produced it.
+                    </p>
+                    <ReportEditor report={review.report} onChange={(next) => onReviewChange(updateReviewedReport(review, next))} />
+                </Section>
+            ) : null}
+
             <Section title="Executive Summary">
                 <h2 className="text-3xl font-bold text-center mb-6 text-brand-blue">{executiveSummary.sopTitle}</h2>
                 <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
@@ -50,37 +238,88 @@ const SingleReportView: React.FC<{ report: AnalysisReport; fileUrl: string }> =
             </Section>
 
             <Section title="Automation Opportunities Matrix">
+                <CitationSummary opportunities={detailedAnalysis.automationOpportunities} />
+                <OpportunityFilters
+                    view={view}
+                    onChange={onViewChange}
+                    categories={categories}
+                    shownCount={visible.length}
+                    totalCount={detailedAnalysis.automationOpportunities.length}
+                />
+                <div className={showViewer ? 'grid grid-cols-1 xl:grid-cols-2 gap-6' : ''}>
                 <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-brand-border">
                     <thead className="bg-gray-800/50">
                     <tr>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-brand-gray uppercase tracking-wider">SOP Reference</th>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-brand-gray uppercase tracking-wider">Current Process</th>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-brand-gray uppercase tracking-wider">Proposed Solution</th>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-brand-gray uppercase tracking-wider">Complexity</th>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-brand-gray uppercase tracking-wider">ROI</th>
-                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-brand-gray uppercase tracking-wider">Timeline</th>
+                        <SortableHeader label="SOP Reference" sortKey="page" view={view} onViewChange={onViewChange} />
+                        <SortableHeader label="Category" sortKey="category" view={view} onViewChange={onViewChange} />
+                        <th scope="col" className={headerClass}>Current Process</th>
+                        <th scope="col" className={headerClass}>Proposed Solution</th>
+                        {view.showDetails ? (
+                            <>
+                                <th scope="col" className={headerClass}>Technology</th>
+                                <th scope="col" className={headerClass}>Compliance Impact</th>
+                            </>
+                        ) : null}
+                        <SortableHeader label="Complexity" sortKey="complexity" view={view} onViewChange={onViewChange} />
+                        <SortableHeader label="ROI" sortKey="roi" view={view} onViewChange={onViewChange} />
+                        <th scope="col" className={headerClass}>Timeline</th>
+                        {isReviewing ? <th scope="col" className={headerClass}>Review</th> : null}
                     </tr>
                     </thead>
                     <tbody className="bg-brand-light divide-y divide-brand-border">
-                    {detailedAnalysis.automationOpportunities.map((opp, index) => (
-                        <tr key={index} className="hover:bg-brand-border/30 transition-colors">
+                    {visible.length === 0 ? (
+                        <tr>
+                            <td colSpan={columnCount} className="px-6 py-4 text-sm text-brand-gray/80">No opportunities match the current filters.</td>
+                        </tr>
+                    ) : null}
+                    {groups.map((group) => (
+                        <React.Fragment key={group.label || 'all'}>
+                        {group.label ? (
+                            <tr className="bg-gray-800/70">
+                                <td colSpan={columnCount} className="px-6 py-2 text-xs font-semibold uppercase tracking-wider text-brand-gray">
+                                    {group.label} ({group.items.length})
+                                </td>
+                            </tr>
+                        ) : null}
+                        {group.items.map(({ index, opportunity: opp }) => (
+                        <tr
+                            key={index}
+                            className={`${index === selectedIndex ? 'bg-brand-blue/10' : ''} ${
+                                isReviewing && opp.review?.decision === 'rejected' ? 'opacity-60' : ''
+                            } hover:bg-brand-border/30 transition-colors`}
+                        >
                         <td className="px-6 py-4 whitespace-normal text-sm text-brand-blue">
-                            {opp.sopReference ? (
-                                <a
-                                    href={`${fileUrl}#page=${opp.sopReference.pageNumber}`}
-                                    target="_blank"
-                                    rel="noreferrer"
-                                    className="underline underline-offset-2"
+                            {opp.sopReference && !fileUrl ? (
+                                <span>{opp.sopReference.stepIdentifier} (p. {opp.sopReference.pageNumber})</span>
+                            ) : opp.sopReference ? (
+                                <button
+                                    type="button"
+                                    onClick={() => setSelectedIndex(index)}
+                                    className="underline underline-offset-2 text-left"
+                                    title={`Show page ${opp.sopReference.pageNumber} in the viewer`}
                                 >
                                     {opp.sopReference.stepIdentifier}
-                                </a>
+                                </button>
                             ) : (
                                 <span className="text-brand-gray">N/A</span>
                             )}
+                            <div><CitationBadge citation={opp.citation} /></div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-normal text-sm text-brand-gray">{opp.opportunityCategory}</td>
+                        <td className="px-6 py-4 whitespace-normal text-sm text-white">
+                            {opp.currentManualProcess}
+                            {opp.evidenceQuote ? (
+                                <blockquote className="mt-2 pl-2 border-l-2 border-brand-border text-xs italic text-brand-gray">“{opp.evidenceQuote}”</blockquote>
+                            ) : null}
                         </td>
-                        <td className="px-6 py-4 whitespace-normal text-sm text-white">{opp.currentManualProcess}</td>
                         <td className="px-6 py-4 whitespace-normal text-sm text-brand-gray">{opp.proposedAutomationSolution}</td>
+                        {view.showDetails ? (
+                            <>
+                                <td className="px-6 py-4 whitespace-normal text-sm text-brand-gray">{opp.technologyRequired}</td>
+                                <td className="px-6 py-4 whitespace-normal text-sm text-brand-gray">{opp.complianceImpact}</td>
+                            </>
+                        ) : null}
                         <td className="px-6 py-4 whitespace-nowrap text-sm">
                             <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full border ${getComplexityColor(opp.implementationComplexity)}`}>
                                 {opp.implementationComplexity}
@@ -88,11 +327,35 @@ const SingleReportView: React.FC<{ report: AnalysisReport; fileUrl: string }> =
                         </td>
                         <td className={`px-6 py-4 whitespace-nowrap text-sm font-bold ${getRoiColor(opp.roiPotential)}`}>{opp.roiPotential}</td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-brand-gray">{opp.timelineEstimate}</td>
+                        {isReviewing ? (
+                            <td className="px-6 py-4 text-sm">
+                                <DecisionCell
+                                    value={opp.review}
+                                    disabled={!canEdit}
+                                    onChange={(patch) => onReviewChange(setOpportunityReview(review, index, patch))}
+                                />
+                            </td>
+                        ) : null}
                         </tr>
+                        ))}
+                        </React.Fragment>
                     ))}
                     </tbody>
                 </table>
                 </div>
+                {showViewer && selected?.sopReference ? (
+                    <div className="xl:sticky xl:top-4 xl:self-start h-[80vh]">
+                        <React.Suspense fallback={<div className="p-4 text-sm text-brand-gray/80">Loading viewer…</div>}>
+                            <PdfViewer
+                                fileUrl={fileUrl}
+                                pageNumber={selected.sopReference.pageNumber}
+                                highlightTerms={[selected.evidenceQuote ?? '', selected.sopReference.stepIdentifier, selected.currentManualProcess]}
+                                onClose={() => setSelectedIndex(null)}
+                            />
+                        </React.Suspense>
+                    </div>
+                ) : null}
+                </div>
             </Section>
             
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
@@ -127,28 +390,250 @@ interface ReportWithFile {
   fileName: string;
   fileUrl: string;
   report: AnalysisReport;
+  cached?: boolean;
+  imported?: boolean;
+  // Library entry the report came from; reviews are saved to it.
+  libraryId?: string;
+  review?: ReportReview;
 }
 
 interface ResultsDisplayProps {
   reports: ReportWithFile[];
 }
 
+// Tab index of the combined view, shown when more than one report is open.
+const PORTFOLIO_TAB = -1;
+
 export const ResultsDisplay: React.FC<ResultsDisplayProps> = ({ reports }) => {
   const [activeTabIndex, setActiveTabIndex] = useState(0);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState<string | null>(null);
+  const [exportMessage, setExportMessage] = useState<string | null>(null);
+  const [templates, setTemplates] = useState<ReportTemplate[]>([]);
+  const [templateId, setTemplateId] = useState<string>('');
+  // Shared by every report tab and applied to all exports.
+  const [view, setView] = useState<OpportunityViewState>(DEFAULT_OPPORTUNITY_VIEW);
+  // Reviews by report index; they start from what the reports were opened with.
+  const [reviews, setReviews] = useState<Array<ReportReview | undefined>>(() => reports.map((r) => r.review));
+  const [showDraft, setShowDraft] = useState(false);
+  const [reviewError, setReviewError] = useState<string | null>(null);
+  const saver = useMemo(
+    () => createReviewSaver({ save: saveLibraryReview, onError: (message) => setReviewError(`Could not save the review: ${message}`) }),
+    []
+  );
+  // Reports that aren't in the history keep their review only until exported, but every change
+  // still goes to the audit trail.
+  const recorder = useMemo(
+    () => createReviewSaver<ReportWithFile>({ save: createReviewRecorder(), onError: (message) => setReviewError(`Could not record the review: ${message}`) }),
+    []
+  );
+  const canExportPdf = !!window.desktopAPI?.exportReportPdf;
+
+  React.useEffect(() => {
+    if (!canExportPdf) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const list = await window.desktopAPI!.getReportTemplates();
+        if (!cancelled) {
+          setTemplates(list);
+          setTemplateId((current) => (list.some((t) => t.id === current) ? current : list[0]?.id ?? ''));
+        }
+      } catch {
+        // ignore
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [canExportPdf]);
+
+  // A new run or reports reopened from history replace the list; start from the portfolio
+  // when there is more than one report, otherwise from the report itself.
+  React.useEffect(() => {
+    setActiveTabIndex(reports.length > 1 ? PORTFOLIO_TAB : 0);
+    setReviews(reports.map((r) => r.review));
+    setReviewError(null);
+    // Write pending edits before the reports they belong to go away.
+    return () => {
+      saver.flush();
+      recorder.flush();
+    };
+  }, [reports, saver, recorder]);
+
+  // The version on screen: the reviewed one unless the AI draft was asked for.
+  const shownItems = useMemo(
+    () => reports.map(({ fileName, report }, index) => ({ fileName, report: !showDraft && reviews[index] ? reviews[index]!.report : report })),
+    [reports, reviews, showDraft]
+  );
 
   if (reports.length === 0) {
     return null;
   }
   
-  const activeReport = reports[activeTabIndex];
+  const activeReport = activeTabIndex === PORTFOLIO_TAB ? undefined : reports[activeTabIndex];
+  const activeReview = activeTabIndex === PORTFOLIO_TAB ? undefined : reviews[activeTabIndex];
+
+  const handleReviewChange = (index: number, review: ReportReview | null) => {
+    setReviews((current) => current.map((r, i) => (i === index ? review ?? undefined : r)));
+    setReviewError(null);
+    const libraryId = reports[index].libraryId;
+    if (libraryId) saver.schedule(libraryId, review);
+    else recorder.schedule(reports[index], review);
+  };
+
+  const handleExportPdf = async () => {
+    const api = window.desktopAPI;
+    if (!api?.exportReportPdf || !activeReport) return;
+    setExportError(null);
+    setExportMessage(null);
+    setIsExporting(true);
+    try {
+      const res = await api.exportReportPdf({
+        report: applyOpportunityViewToReport(shownItems[activeTabIndex].report, view),
+        reviewStatus: !showDraft && activeReview ? describeReview(activeReview) : 'AI draft',
+        fileName: activeReport.fileName,
+        sourceUrl: activeReport.fileUrl,
+        templateId: templateId || undefined
+      });
+      if (res.ok) {
+        setExportMessage(`Saved ${res.filePath}`);
+      }
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to generate the PDF report.';
+      setExportError(msg);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExportJson = async () => {
+    if (!activeReport) return;
+    setExportError(null);
+    setExportMessage(null);
+    setIsExporting(true);
+    try {
+      const report = applyOpportunityViewToReport(activeReport.report, view);
+      const { includesPdf } = await exportReportBundle({
+        ...activeReport,
+        report,
+        review: activeReview && { ...activeReview, report: applyOpportunityViewToReport(activeReview.report, view) }
+      });
+      void recordAuditEvent('report.export', {
+        format: 'json',
+        fileName: activeReport.fileName,
+        libraryId: activeReport.libraryId ?? null,
+        reviewStatus: activeReview?.status ?? null,
+        includesPdf,
+        filtered: isOpportunityViewFiltered(view),
+        opportunityCount: report.detailedAnalysis.automationOpportunities.length
+      });
+      if (!includesPdf && activeReport.fileUrl) {
+        setExportMessage('The source PDF could not be read, so the file contains the report only.');
+      }
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to export the report.';
+      setExportError(msg);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExportExcel = async () => {
+    setExportError(null);
+    setExportMessage(null);
+    setIsExporting(true);
+    try {
+      const items = reports.map(({ fileName }, index) => ({
+        fileName,
+        report: applyOpportunityViewToReport(shownItems[index].report, view),
+        reviewStatus: !showDraft && reviews[index] ? describeReview(reviews[index]!) : 'AI draft'
+      }));
+      await exportReportsToExcel(items);
+      void recordAuditEvent('report.export', {
+        format: 'xlsx',
+        reports: items.map(({ fileName, report, reviewStatus }, index) => ({
+          fileName,
+          libraryId: reports[index].libraryId ?? null,
+          reviewStatus,
+          opportunityCount: report.detailedAnalysis.automationOpportunities.length
+        })),
+        filtered: isOpportunityViewFiltered(view)
+      });
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to export the workbook.';
+      setExportError(msg);
+    } finally {
+      setIsExporting(false);
+    }
+  };
 
   return (
     <div className="w-full max-w-7xl mx-auto mt-12">
+      <div className="flex items-center justify-end gap-3 mb-2">
+        {reviewError ? <span className="text-sm text-red-300">{reviewError}</span> : null}
+        {exportError ? <span className="text-sm text-red-300">{exportError}</span> : null}
+        {exportMessage ? <span className="text-sm text-brand-gray/80 truncate" title={exportMessage}>{exportMessage}</span> : null}
+        {canExportPdf && templates.length > 1 ? (
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            className="bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white"
+            aria-label="Report template"
+          >
+            {templates.map((t) => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+          </select>
+        ) : null}
+        {canExportPdf ? (
+          <button
+            type="button"
+            onClick={handleExportPdf}
+            disabled={isExporting || !activeReport}
+            className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-60 disabled:cursor-not-allowed"
+            title="Printable report for the selected document"
+          >
+            Export PDF Report
+          </button>
+        ) : null}
+        <button
+          type="button"
+          onClick={handleExportJson}
+          disabled={isExporting || !activeReport}
+          className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-60 disabled:cursor-not-allowed"
+          title="Report and source PDF in one file that anyone can open with “Open report…”"
+        >
+          Export JSON
+        </button>
+        <button
+          type="button"
+          onClick={handleExportExcel}
+          disabled={isExporting}
+          className="px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-60 disabled:cursor-not-allowed"
+          title={reports.length > 1 ? 'One workbook with all documents' : undefined}
+        >
+          {isExporting ? 'Exporting…' : 'Export to Excel'}
+        </button>
+      </div>
       <div className="border-b border-brand-border">
         <nav className="-mb-px flex space-x-4 overflow-x-auto" aria-label="Tabs">
+          {reports.length > 1 ? (
+            <button
+              onClick={() => setActiveTabIndex(PORTFOLIO_TAB)}
+              className={`${
+                activeTabIndex === PORTFOLIO_TAB
+                  ? 'border-brand-blue text-brand-blue'
+                  : 'border-transparent text-brand-gray hover:text-white hover:border-gray-500'
+              } whitespace-nowrap py-4 px-1 border-b-2 font-semibold text-sm transition-colors duration-200 focus:outline-none`}
+              aria-current={activeTabIndex === PORTFOLIO_TAB ? 'page' : undefined}
+            >
+              Portfolio ({reports.length})
+            </button>
+          ) : null}
           {reports.map((item, index) => (
             <button
-              key={item.fileName}
+              key={`${index}-${item.fileName}`}
               onClick={() => setActiveTabIndex(index)}
               className={`${
                 index === activeTabIndex
@@ -158,12 +643,35 @@ export const ResultsDisplay: React.FC<ResultsDisplayProps> = ({ reports }) => {
               aria-current={index === activeTabIndex ? 'page' : undefined}
             >
               {item.fileName}
+              {item.cached ? (
+                <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] uppercase tracking-wide bg-white/10 text-brand-gray border border-white/10">
+                  Cached
+                </span>
+              ) : null}
+              {item.imported ? (
+                <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] uppercase tracking-wide bg-white/10 text-brand-gray border border-white/10">
+                  Imported
+                </span>
+              ) : null}
             </button>
           ))}
         </nav>
       </div>
       
-      {activeReport && <SingleReportView report={activeReport.report} fileUrl={activeReport.fileUrl} />}
+      {activeTabIndex === PORTFOLIO_TAB ? <PortfolioView items={shownItems} onOpenReport={setActiveTabIndex} /> : null}
+      {activeReport && (
+        <SingleReportView
+          report={activeReport.report}
+          fileUrl={activeReport.fileUrl}
+          view={view}
+          onViewChange={setView}
+          review={activeReview}
+          onReviewChange={(review) => handleReviewChange(activeTabIndex, review)}
+          showDraft={showDraft}
+          onShowDraftChange={setShowDraft}
+          reviewStorageNote={activeReport.libraryId ? undefined : 'Not in the history: use Export JSON to keep this review'}
+        />
+      )}
 
     </div>
   );
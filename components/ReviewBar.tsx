@@ -0,0 +1,124 @@
+import React from 'react';
+import type { ReportReview, ReviewStatus } from '../types';
+import { REVIEW_STATUS_LABELS, countDecisions, setReviewStatus } from '../services/reportReview';
+
+interface ReviewBarProps {
+  review?: ReportReview;
+  // Show the model's original instead of the reviewed version.
+  showDraft: boolean;
+  onShowDraftChange: (showDraft: boolean) => void;
+  onStart: () => void;
+  onChange: (review: ReportReview) => void;
+  onDiscard: () => void;
+  isEditing: boolean;
+  onEditingChange: (isEditing: boolean) => void;
+  // Where the review is kept, when that isn't the report history.
+  storageNote?: string;
+}
+
+const buttonClass =
+  'px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-60 disabled:cursor-not-allowed';
+
+const inputClass = 'bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+
+const VersionButton: React.FC<{ active: boolean; onClick: () => void; children: React.ReactNode }> = ({ active, onClick, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    aria-pressed={active}
+    className={`px-3 py-1.5 text-sm ${active ? 'bg-brand-blue text-white' : 'text-brand-gray hover:text-white'}`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Review status, reviewer, version switch and edit toggle for one report.
+ */
+export const ReviewBar: React.FC<ReviewBarProps> = ({
+  review,
+  showDraft,
+  onShowDraftChange,
+  onStart,
+  onChange,
+  onDiscard,
+  isEditing,
+  onEditingChange,
+  storageNote
+}) => {
+  if (!review) {
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-3 bg-brand-light border border-brand-border rounded-lg px-4 py-3">
+        <span className="text-sm text-brand-gray">AI draft, not reviewed yet.</span>
+        <button type="button" onClick={onStart} className={buttonClass}>
+          Start review
+        </button>
+      </div>
+    );
+  }
+
+  const counts = countDecisions(review.report);
+  const isApproved = review.status === 'approved';
+
+  return (
+    <div className="bg-brand-light border border-brand-border rounded-lg px-4 py-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="inline-flex rounded-md border border-brand-border overflow-hidden" role="group" aria-label="Report version">
+          <VersionButton active={!showDraft} onClick={() => onShowDraftChange(false)}>Reviewed</VersionButton>
+          <VersionButton active={showDraft} onClick={() => onShowDraftChange(true)}>AI draft</VersionButton>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-brand-gray">
+          Status
+          <select
+            value={review.status}
+            onChange={(e) => onChange(setReviewStatus(review, e.target.value as ReviewStatus))}
+            className={inputClass}
+          >
+            {(Object.keys(REVIEW_STATUS_LABELS) as ReviewStatus[]).map((status) => (
+              <option key={status} value={status}>{REVIEW_STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-brand-gray">
+          Reviewer
+          <input
+            type="text"
+            value={review.reviewer}
+            onChange={(e) => onChange({ ...review, reviewer: e.target.value, updatedAt: new Date().toISOString() })}
+            disabled={isApproved}
+            placeholder="Name"
+            className={inputClass}
+          />
+        </label>
+        <div className="flex-1" />
+        <button
+          type="button"
+          onClick={() => {
+            onShowDraftChange(false);
+            onEditingChange(!isEditing);
+          }}
+          disabled={isApproved}
+          className={buttonClass}
+          title={isApproved ? 'Set the status back to In Review to edit an approved report' : undefined}
+        >
+          {isEditing ? 'Done editing' : 'Edit report'}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            if (window.confirm('Discard the reviewed version, its decisions and comments? The AI draft is kept.')) onDiscard();
+          }}
+          className={buttonClass}
+        >
+          Discard review
+        </button>
+      </div>
+      <div className="text-xs text-brand-gray/80">
+        {counts.accepted} accepted · {counts.rejected} rejected · {counts['needs-discussion']} need discussion · {counts.undecided} undecided
+        {isApproved && review.approvedAt ? ` · Approved ${new Date(review.approvedAt).toLocaleString()}` : ''}
+        {` · Last edited ${new Date(review.updatedAt).toLocaleString()}`}
+        {storageNote ? ` · ${storageNote}` : ''}
+      </div>
+    </div>
+  );
+};
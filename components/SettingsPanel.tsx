@@ -0,0 +1,134 @@
+import React, { useCallback, useState } from 'react';
+import { XIcon } from './IconComponents';
+import { ReportTemplateSettings } from './ReportTemplateSettings';
+import { GeminiKeySettings } from './GeminiKeySettings';
+import { AnalysisProviderSettings } from './AnalysisProviderSettings';
+import { LocalApiSettings } from './LocalApiSettings';
+import { listCachedAnalyses, deleteCachedAnalysis, clearAnalysisCache } from '../services/analysisCache';
+import type { CachedAnalysisInfo } from '../desktop-api';
+
+interface SettingsPanelProps {
+  onClose: () => void;
+}
+
+const formatBytes = (bytes?: number) => {
+  if (typeof bytes !== 'number') return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const AnalysisCacheSection: React.FC = () => {
+  const [entries, setEntries] = useState<CachedAnalysisInfo[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setError(null);
+    try {
+      setEntries(await listCachedAnalyses());
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to read the analysis cache.';
+      setError(msg);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    void refresh();
+  }, [refresh]);
+
+  const handleDelete = useCallback(async (key: string) => {
+    setIsBusy(true);
+    try {
+      await deleteCachedAnalysis(key);
+      await refresh();
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to delete cache entry.';
+      setError(msg);
+    } finally {
+      setIsBusy(false);
+    }
+  }, [refresh]);
+
+  const handleClear = useCallback(async () => {
+    setIsBusy(true);
+    try {
+      await clearAnalysisCache();
+      await refresh();
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : 'Failed to clear the analysis cache.';
+      setError(msg);
+    } finally {
+      setIsBusy(false);
+    }
+  }, [refresh]);
+
+  return (
+    <section className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">Analysis cache</h3>
+        <button
+          type="button"
+          onClick={handleClear}
+          disabled={isBusy || !entries?.length}
+          className="px-3 py-1.5 rounded-md bg-red-600/80 hover:bg-red-600 text-white text-sm disabled:bg-gray-600 disabled:cursor-not-allowed"
+        >
+          Clear all
+        </button>
+      </div>
+      <p className="text-sm text-brand-gray">
+        Reports are reused when the same PDF is analyzed again with the same model and prompt.
+      </p>
+      {error ? <div className="text-sm text-red-300">{error}</div> : null}
+      {entries === null ? (
+        <div className="text-sm text-brand-gray/80">Loading…</div>
+      ) : entries.length === 0 ? (
+        <div className="text-sm text-brand-gray/80">The cache is empty.</div>
+      ) : (
+        <ul className="max-h-72 overflow-y-auto space-y-2 rounded-md border border-brand-border p-2 bg-gray-800/50">
+          {entries.map((entry) => (
+            <li key={entry.key} className="flex items-center justify-between gap-3 bg-brand-dark p-2 rounded">
+              <div className="min-w-0">
+                <div className="text-sm text-white truncate" title={entry.fileName}>{entry.fileName}</div>
+                <div className="text-xs text-brand-gray/80 truncate" title={entry.modelId}>
+                  {new Date(entry.createdAt).toLocaleString()} · {entry.engine} · {entry.modelId}
+                  {entry.sizeBytes ? ` · ${formatBytes(entry.sizeBytes)}` : ''}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDelete(entry.key)}
+                disabled={isBusy}
+                className="p-1 rounded-full hover:bg-gray-700 transition-colors disabled:opacity-50"
+                aria-label={`Delete cached analysis for ${entry.fileName}`}
+              >
+                <XIcon className="w-4 h-4 text-brand-gray" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export const SettingsPanel: React.FC<SettingsPanelProps> = ({ onClose }) => (
+  <div className="w-full max-w-2xl mx-auto mb-8 p-6 bg-brand-light border border-brand-border rounded-lg shadow-lg space-y-6">
+    <div className="flex items-center justify-between">
+      <h2 className="text-xl font-bold text-white">Settings</h2>
+      <button
+        type="button"
+        onClick={onClose}
+        className="p-1 rounded-full hover:bg-gray-700 transition-colors"
+        aria-label="Close settings"
+      >
+        <XIcon className="w-5 h-5 text-brand-gray" />
+      </button>
+    </div>
+    <AnalysisProviderSettings />
+    <GeminiKeySettings />
+    <AnalysisCacheSection />
+    <ReportTemplateSettings />
+    <LocalApiSettings />
+  </div>
+);
@@ -0,0 +1,276 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { XIcon } from './IconComponents';
+import { getLibraryEntry } from '../services/reportLibrary';
+import type { LibraryEntry, WatchedFileItem, WatchedFolder, WatchedFolderEngine, WatchedFolderState } from '../desktop-api';
+
+interface WatchedFoldersPanelProps {
+  onOpen: (entries: LibraryEntry[]) => void;
+  onClose: () => void;
+}
+
+const ENGINE_LABELS: Record<WatchedFolderEngine, string> = {
+  offline: 'Offline',
+  online: 'Online'
+};
+
+const STATUS_LABELS: Record<WatchedFileItem['status'], string> = {
+  queued: 'Queued',
+  running: 'Running',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+const STATUS_CLASSES: Record<WatchedFileItem['status'], string> = {
+  queued: 'bg-white/10 text-brand-gray border-white/10',
+  running: 'bg-brand-blue/20 text-blue-200 border-brand-blue/40',
+  done: 'bg-green-500/10 text-green-300 border-green-500/30',
+  failed: 'bg-red-500/10 text-red-300 border-red-500/30'
+};
+
+// Rendering thousands of finished files isn't useful; filter by status to find older ones.
+const MAX_SHOWN = 200;
+
+const buttonClass =
+  'px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/15 text-white text-sm border border-white/10 disabled:opacity-60 disabled:cursor-not-allowed';
+
+const inputClass = 'bg-brand-dark border border-brand-border rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:border-brand-blue';
+
+const folderName = (folderPath: string) => folderPath.split(/[\\/]/).filter(Boolean).pop() ?? folderPath;
+
+const FolderRow: React.FC<{
+  folder: WatchedFolder;
+  onUpdate: (patch: Partial<Pick<WatchedFolder, 'engine' | 'recursive' | 'enabled'>>) => void;
+  onRemove: () => void;
+}> = ({ folder, onUpdate, onRemove }) => (
+  <li className="flex flex-wrap items-center gap-3 bg-brand-dark p-3 rounded">
+    <div className="min-w-0 flex-1">
+      <div className="text-sm text-white truncate" title={folder.path}>{folder.path}</div>
+      <div className={`text-xs truncate ${folder.error ? 'text-red-300' : 'text-brand-gray/80'}`}>
+        {folder.error
+          ? `Can't read the folder: ${folder.error}`
+          : folder.lastScanAt
+            ? `Last checked ${new Date(folder.lastScanAt).toLocaleString()}`
+            : folder.enabled
+              ? 'Not checked yet'
+              : 'Off'}
+      </div>
+    </div>
+    <select
+      value={folder.engine}
+      onChange={(e) => onUpdate({ engine: e.target.value as WatchedFolderEngine })}
+      className={inputClass}
+      aria-label={`Engine for ${folder.path}`}
+    >
+      {Object.entries(ENGINE_LABELS).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+    <label className="flex items-center gap-2 text-sm text-brand-gray">
+      <input type="checkbox" checked={folder.recursive} onChange={(e) => onUpdate({ recursive: e.target.checked })} className="accent-brand-blue" />
+      Subfolders
+    </label>
+    <label className="flex items-center gap-2 text-sm text-brand-gray">
+      <input type="checkbox" checked={folder.enabled} onChange={(e) => onUpdate({ enabled: e.target.checked })} className="accent-brand-blue" />
+      Watch
+    </label>
+    <button type="button" onClick={onRemove} className="p-1 rounded-full hover:bg-gray-700 transition-colors" aria-label={`Stop watching ${folder.path}`}>
+      <XIcon className="w-4 h-4 text-brand-gray" />
+    </button>
+  </li>
+);
+
+/**
+ * Watched folders and the queue of PDFs found in them (desktop only).
+ */
+export const WatchedFoldersPanel: React.FC<WatchedFoldersPanelProps> = ({ onOpen, onClose }) => {
+  const [state, setState] = useState<WatchedFolderState | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [engine, setEngine] = useState<WatchedFolderEngine>('offline');
+  const [recursive, setRecursive] = useState(true);
+  const [statusFilter, setStatusFilter] = useState<'all' | WatchedFileItem['status']>('all');
+  const [query, setQuery] = useState('');
+
+  const run = useCallback(async (action: () => Promise<WatchedFolderState | void>) => {
+    setError(null);
+    try {
+      const next = await action();
+      if (next) setState(next);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Something went wrong with the watched folders.');
+    }
+  }, []);
+
+  React.useEffect(() => {
+    const api = window.desktopAPI!;
+    void run(() => api.getWatchedFolderState());
+    return api.onWatchedFolderState(setState);
+  }, [run]);
+
+  const handleAdd = () =>
+    run(async () => {
+      const folderPath = await window.desktopAPI!.pickFolder();
+      if (!folderPath) return;
+      return await window.desktopAPI!.addWatchedFolder({ path: folderPath, engine, recursive });
+    });
+
+  const handleRemove = (folder: WatchedFolder) => {
+    if (!window.confirm(`Stop watching "${folder.path}"? Its files are removed from the queue; finished reports stay in the history.`)) return;
+    void run(() => window.desktopAPI!.removeWatchedFolder(folder.id));
+  };
+
+  const handleOpen = (item: WatchedFileItem) =>
+    run(async () => {
+      const entry = await getLibraryEntry(item.libraryId!);
+      if (!entry) {
+        throw new Error('The report is no longer in the history.');
+      }
+      onOpen([entry]);
+    });
+
+  const folderPaths = useMemo(() => new Map((state?.folders ?? []).map((f) => [f.id, f.path])), [state]);
+
+  const counts = useMemo(() => {
+    const result: Record<WatchedFileItem['status'], number> = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const item of state?.items ?? []) result[item.status]++;
+    return result;
+  }, [state]);
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return (state?.items ?? []).filter((item) => {
+      if (statusFilter !== 'all' && item.status !== statusFilter) return false;
+      return !q || item.filePath.toLowerCase().includes(q);
+    });
+  }, [state, statusFilter, query]);
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mb-8 p-6 bg-brand-light border border-brand-border rounded-lg shadow-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-white">Watched folders</h2>
+        <button type="button" onClick={onClose} className="p-1 rounded-full hover:bg-gray-700 transition-colors" aria-label="Close watched folders">
+          <XIcon className="w-5 h-5 text-brand-gray" />
+        </button>
+      </div>
+
+      <p className="text-sm text-brand-gray">
+        New or changed PDFs in these folders are analyzed one at a time and saved to the history, also after a restart. A file is analyzed
+        again only when its content changes.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={engine} onChange={(e) => setEngine(e.target.value as WatchedFolderEngine)} className={inputClass} aria-label="Engine for a new folder">
+          {Object.entries(ENGINE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-brand-gray">
+          <input type="checkbox" checked={recursive} onChange={(e) => setRecursive(e.target.checked)} className="accent-brand-blue" />
+          Include subfolders
+        </label>
+        <button type="button" onClick={handleAdd} className="px-3 py-1.5 rounded-md bg-brand-blue hover:bg-blue-600 text-white text-sm">
+          Add folder…
+        </button>
+      </div>
+
+      {error ? <div className="text-sm text-red-300">{error}</div> : null}
+
+      {state === null ? (
+        <div className="text-sm text-brand-gray/80">Loading…</div>
+      ) : (
+        <>
+          {state.folders.length === 0 ? (
+            <div className="text-sm text-brand-gray/80">No folders are watched yet.</div>
+          ) : (
+            <ul className="space-y-2">
+              {state.folders.map((folder) => (
+                <FolderRow
+                  key={folder.id}
+                  folder={folder}
+                  onUpdate={(patch) => void run(() => window.desktopAPI!.updateWatchedFolder(folder.id, patch))}
+                  onRemove={() => handleRemove(folder)}
+                />
+              ))}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3 text-sm text-brand-gray">
+            <span>
+              {state.paused ? 'Paused' : counts.running > 0 ? 'Analyzing' : 'Idle'} · {counts.queued} queued · {counts.done} done · {counts.failed} failed
+            </span>
+            <div className="flex-1" />
+            <button type="button" onClick={() => run(() => window.desktopAPI!.setWatchedFolderQueuePaused(!state.paused))} className={buttonClass}>
+              {state.paused ? 'Resume' : 'Pause'}
+            </button>
+            <button type="button" onClick={() => run(() => window.desktopAPI!.rescanWatchedFolders())} disabled={state.folders.length === 0} className={buttonClass}>
+              Check now
+            </button>
+          </div>
+
+          {state.items.length > 0 ? (
+            <>
+              <div className="flex flex-col md:flex-row gap-2">
+                <input
+                  type="search"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Search file path"
+                  className={`${inputClass} flex-1`}
+                />
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value as typeof statusFilter)} className={inputClass} aria-label="Filter by status">
+                  <option value="all">All statuses</option>
+                  {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <ul className="max-h-96 overflow-y-auto space-y-2 rounded-md border border-brand-border p-2 bg-gray-800/50">
+                {filtered.slice(0, MAX_SHOWN).map((item) => {
+                  const isCurrent = state.current?.filePath === item.filePath;
+                  const when = item.finishedAt ?? item.startedAt ?? item.queuedAt;
+                  return (
+                    <li key={item.filePath} className="flex items-center justify-between gap-3 bg-brand-dark p-3 rounded">
+                      <div className="min-w-0 flex-1">
+                        <div className="text-sm text-white truncate" title={item.filePath}>
+                          {item.fileName}
+                          <span className={`ml-2 px-1.5 py-0.5 rounded text-[10px] uppercase tracking-wide border ${STATUS_CLASSES[item.status]}`}>
+                            {STATUS_LABELS[item.status]}
+                            {isCurrent && state.current!.percent > 0 ? ` ${state.current!.percent}%` : ''}
+                          </span>
+                        </div>
+                        <div className="text-xs text-brand-gray/80 truncate">
+                          {folderName(folderPaths.get(item.folderId) ?? '')} · {new Date(when).toLocaleString()}
+                          {item.attempts > 1 ? ` · ${item.attempts} attempts` : ''}
+                          {isCurrent && state.current!.message ? ` · ${state.current!.message}` : ''}
+                        </div>
+                        {item.error ? <div className="text-xs text-red-300 break-words">{item.error}</div> : null}
+                      </div>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        {item.status === 'done' && item.libraryId ? (
+                          <button
+                            type="button"
+                            onClick={() => handleOpen(item)}
+                            className="px-3 py-1.5 rounded-md bg-brand-blue hover:bg-blue-600 text-white text-sm"
+                          >
+                            Open
+                          </button>
+                        ) : null}
+                        {item.status === 'failed' ? (
+                          <button type="button" onClick={() => run(() => window.desktopAPI!.retryWatchedFile(item.filePath))} className={buttonClass}>
+                            Retry
+                          </button>
+                        ) : null}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+              {filtered.length > MAX_SHOWN ? (
+                <div className="text-xs text-brand-gray/80">Showing the newest {MAX_SHOWN} of {filtered.length} files.</div>
+              ) : null}
+            </>
+          ) : null}
+        </>
+      )}
+    </div>
+  );
+};
@@ -1,7 +1,168 @@
-import type { AnalysisReport } from './types';
+import type { AnalysisReport, ReportReview, ReviewStatus } from './types';
 
 export {};
 
+export interface CachedAnalysisInfo {
+  key: string;
+  createdAt: string;
+  pdfSha256: string;
+  modelId: string;
+  promptHash: string;
+  fileName: string;
+  engine: string;
+  sizeBytes?: number;
+}
+
+export interface GeminiKeyStatus {
+  configured: boolean;
+  source: 'stored' | 'environment' | null;
+  // Last 4 characters of the active key; the key itself never leaves the main process.
+  hint: string | null;
+  encryptionAvailable: boolean;
+}
+
+export type AnalysisEngine = 'offline' | 'gemini' | 'openai-compatible';
+
+export type OnlineProviderId = Exclude<AnalysisEngine, 'offline'>;
+
+export interface AnalysisProviderInfo {
+  id: AnalysisEngine;
+  label: string;
+  input: 'pdf' | 'pages';
+  online: boolean;
+}
+
+export interface OpenAiCompatibleSettings {
+  baseUrl: string;
+  model: string;
+  contextSize: number;
+  apiKeyHint: string | null;
+}
+
+export interface AnalysisProviderSettings {
+  onlineProviderId: OnlineProviderId;
+  openAiCompatible: OpenAiCompatibleSettings;
+}
+
+export interface LibraryEntry {
+  id: string;
+  createdAt: string;
+  fileName: string;
+  filePath?: string;
+  pdfSha256?: string;
+  engine: AnalysisEngine;
+  modelId?: string;
+  durationMs?: number;
+  // The model's output, never edited.
+  report: AnalysisReport;
+  review?: ReportReview;
+}
+
+export interface ReportTemplate {
+  id: string;
+  name: string;
+  organizationName: string;
+  logoPath: string;
+  accentColor: string;
+  headerText: string;
+  footerText: string;
+  documentControl: {
+    documentNumber: string;
+    revision: string;
+    classification: string;
+    effectiveDate: string;
+    preparedBy: string;
+    reviewedBy: string;
+    approvedBy: string;
+  };
+}
+
+// One line of userData/audit-log.jsonl (see desktop-app/src/storage/auditLog.js).
+export interface AuditLogEntry {
+  seq: number | null;
+  timestamp?: string;
+  user?: { username: string; host: string };
+  action: string;
+  details: Record<string, unknown>;
+  prevHash?: string;
+  hash?: string;
+}
+
+export interface AuditLogVerification {
+  ok: boolean;
+  count: number;
+  // Hash of the last intact entry; note it to detect entries later cut off the end.
+  lastHash: string;
+  brokenAt?: number;
+  message: string;
+}
+
+export type WatchedFolderEngine = 'offline' | 'online';
+
+export interface WatchedFolder {
+  id: string;
+  path: string;
+  // 'online' uses the online provider chosen in Settings at the time each file runs.
+  engine: WatchedFolderEngine;
+  recursive: boolean;
+  enabled: boolean;
+  lastScanAt: string | null;
+  // Why the last scan failed (e.g. an unreachable share), if it did.
+  error: string | null;
+}
+
+// One file in the watched-folder queue (userData/intake-queue.json).
+export interface WatchedFileItem {
+  filePath: string;
+  fileName: string;
+  folderId: string;
+  status: 'queued' | 'running' | 'done' | 'failed';
+  // Content hash the status applies to; the file is queued again when it changes.
+  pdfSha256: string;
+  size: number;
+  mtimeMs: number;
+  queuedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  libraryId: string | null;
+  error: string | null;
+  attempts: number;
+}
+
+export interface WatchedFolderState {
+  paused: boolean;
+  folders: WatchedFolder[];
+  // Newest first.
+  items: WatchedFileItem[];
+  current: { filePath: string; percent: number; message: string | null } | null;
+}
+
+// Opt-in HTTP API on 127.0.0.1 for other tools (src/server/localApiServer.js).
+export interface LocalApiStatus {
+  enabled: boolean;
+  running: boolean;
+  port: number;
+  url: string;
+  // Why the server couldn't start (e.g. the port is taken), if it didn't.
+  error: string | null;
+  hasToken: boolean;
+  tokenCreatedAt: string | null;
+  // API analyses queued or running.
+  activeCount: number;
+  // Only right after a token is created; it can't be read back later.
+  token?: string;
+}
+
+export type AnalyzePathsResult =
+  | { ok: true; filePath: string; report: AnalysisReport; cached?: boolean; cachedAt?: string; libraryId?: string; review?: ReportReview }
+  | { ok: false; filePath: string; error: string; cancelled?: boolean };
+
+export type LibraryEntryInfo = Omit<LibraryEntry, 'report' | 'review'> & {
+  sopTitle: string | null;
+  opportunityCount: number;
+  reviewStatus: ReviewStatus | null;
+};
+
 declare global {
   interface Window {
     desktopAPI?: {
@@ -11,11 +172,82 @@ declare global {
 
       // Offline desktop additions
       pickPdfFiles: () => Promise<Array<{ path: string; name: string; url: string }>>;
-      analyzePdfPaths: (
-        filePaths: string[]
-      ) => Promise<Array<{ ok: true; filePath: string; report: AnalysisReport } | { ok: false; filePath: string; error: string }>>;
-      onAnalysisProgress: (callback: (payload: { status: string; percent?: number; filePath?: string; fileIndex?: number; fileCount?: number; stage?: string; message?: string; filePercent?: number; tokens?: number; targetTokens?: number }) => void) => () => void;
+      analyzePdfPaths: (filePaths: string[], options?: { force?: boolean }) => Promise<AnalyzePathsResult[]>;
+      // Same as analyzePdfPaths, but uses the online provider chosen in Settings (from the main process).
+      analyzeOnlinePaths: (filePaths: string[], options?: { force?: boolean }) => Promise<AnalyzePathsResult[]>;
+      cancelAnalysis: () => Promise<{ ok: boolean; message?: string }>;
+      onAnalysisProgress: (callback: (payload: { status: string; percent?: number; filePath?: string; fileIndex?: number; fileCount?: number; stage?: string; message?: string; filePercent?: number; tokens?: number; targetTokens?: number; chunkIndex?: number; chunkCount?: number }) => void) => () => void;
       pathToFileUrl: (filePath: string) => Promise<string | null>;
+      readPdfFile: (fileUrl: string) => Promise<Uint8Array>;
+
+      // Gemini API key, stored encrypted with safeStorage (userData/gemini-api-key.bin)
+      getGeminiKeyStatus: () => Promise<GeminiKeyStatus>;
+      saveGeminiKey: (apiKey: string) => Promise<GeminiKeyStatus>;
+      deleteGeminiKey: () => Promise<GeminiKeyStatus>;
+      testGeminiKey: (apiKey?: string) => Promise<{ ok: boolean; message: string }>;
+
+      // Analysis providers (src/providers): which one backs "Online", endpoint settings
+      listAnalysisProviders: () => Promise<AnalysisProviderInfo[]>;
+      getAnalysisProviderSettings: () => Promise<AnalysisProviderSettings>;
+      saveAnalysisProviderSettings: (patch: {
+        onlineProviderId?: OnlineProviderId;
+        openAiCompatible?: Partial<Omit<OpenAiCompatibleSettings, 'apiKeyHint'>> & { apiKey?: string; clearApiKey?: boolean };
+      }) => Promise<AnalysisProviderSettings>;
+      testAnalysisProvider: (id: string) => Promise<{ ok: boolean; message: string }>;
+
+      // Analysis result cache (userData/analysis-cache)
+      listCachedAnalyses: () => Promise<CachedAnalysisInfo[]>;
+      deleteCachedAnalysis: (key: string) => Promise<{ ok: boolean }>;
+      clearAnalysisCache: () => Promise<{ ok: boolean }>;
+
+      // Report library (userData/library)
+      listLibraryEntries: () => Promise<LibraryEntryInfo[]>;
+      getLibraryEntry: (id: string) => Promise<LibraryEntry | null>;
+      // Replace the entry's reviewed version; null removes it.
+      saveLibraryReview: (id: string, review: ReportReview | null) => Promise<LibraryEntryInfo>;
+      deleteLibraryEntry: (id: string) => Promise<{ ok: boolean }>;
+
+      // Audit trail (userData/audit-log.jsonl), newest entries first
+      listAuditLog: (options?: { limit?: number }) => Promise<{ entries: AuditLogEntry[]; total: number; verification: AuditLogVerification }>;
+      recordAuditEvent: (action: 'report.export' | 'report.import', details: Record<string, unknown>) => Promise<{ ok: boolean }>;
+      // Edits, decisions and approvals on a report that isn't in the history
+      recordReviewChange: (
+        opened: { fileName: string; report: AnalysisReport },
+        previousReview: ReportReview | null,
+        nextReview: ReportReview | null
+      ) => Promise<{ ok: boolean }>;
+      exportAuditLog: () => Promise<{ ok: true; filePath: string; verification: AuditLogVerification } | { ok: false; canceled: true }>;
+
+      // Watched folders: PDFs are queued and analyzed as they appear or change (src/intake)
+      getWatchedFolderState: () => Promise<WatchedFolderState>;
+      pickFolder: () => Promise<string | null>;
+      addWatchedFolder: (folder: { path: string; engine: WatchedFolderEngine; recursive: boolean }) => Promise<WatchedFolderState>;
+      updateWatchedFolder: (id: string, patch: Partial<Pick<WatchedFolder, 'engine' | 'recursive' | 'enabled'>>) => Promise<WatchedFolderState>;
+      removeWatchedFolder: (id: string) => Promise<WatchedFolderState>;
+      // Pausing stops the running file; it stays queued.
+      setWatchedFolderQueuePaused: (paused: boolean) => Promise<WatchedFolderState>;
+      retryWatchedFile: (filePath: string) => Promise<WatchedFolderState>;
+      rescanWatchedFolders: () => Promise<WatchedFolderState>;
+      onWatchedFolderState: (callback: (state: WatchedFolderState) => void) => () => void;
+
+      // Local HTTP API; enabling it the first time creates a token
+      getLocalApiStatus: () => Promise<LocalApiStatus>;
+      configureLocalApi: (patch: { enabled?: boolean; port?: number }) => Promise<LocalApiStatus>;
+      regenerateLocalApiToken: () => Promise<LocalApiStatus>;
+      onLocalApiStatus: (callback: (status: LocalApiStatus) => void) => () => void;
+
+      // Printable PDF reports rendered by the main process
+      getReportTemplates: () => Promise<ReportTemplate[]>;
+      saveReportTemplates: (templates: ReportTemplate[]) => Promise<ReportTemplate[]>;
+      pickLogoImage: () => Promise<string | null>;
+      exportReportPdf: (request: {
+        report: AnalysisReport;
+        fileName: string;
+        sourceUrl?: string;
+        templateId?: string;
+        // Which version is exported, e.g. "AI draft" or "Approved by J. Doe on 3/4/2026".
+        reviewStatus?: string;
+      }) => Promise<{ ok: true; filePath: string } | { ok: false; canceled: true }>;
 
       // Auto-updater
       checkForUpdates: () => Promise<{ ok: boolean; message?: string; result?: unknown }>;
@@ -0,0 +1,150 @@
+const path = require('node:path');
+const { isAbortError } = require('../offline/abort');
+const { hashFile, buildCacheKey, getCachedAnalysis, putCachedAnalysis } = require('../storage/analysisCache');
+const { addLibraryEntry, findLibraryEntry } = require('../storage/reportLibrary');
+const { appendAuditEvent } = require('../storage/auditLog');
+
+// The per-file analysis pipeline shared by the app (src/main.js) and the command-line interface
+// (src/cli): every analysis goes through the same cache, report library and audit log.
+
+/**
+ * Model details a provider adds to audit entries (see AnalysisProvider.getAuditInfo).
+ */
+async function getAuditModelInfo(provider, log = console) {
+  try {
+    return (await provider.getAuditInfo?.()) ?? {};
+  } catch (e) {
+    log.warn('Failed to read model details for the audit log', e);
+    return {};
+  }
+}
+
+/**
+ * The per-file part of an `analysis:progress` event, from a provider's progress callback. Also
+ * what the local API server (src/server) reports while a file runs.
+ */
+function describeProgress(p) {
+  const percent = typeof p?.percent === 'number' ? p.percent : 0;
+  return {
+    stage: p?.stage,
+    message: p?.message,
+    percent: Math.max(0, Math.min(100, Math.round(percent))),
+    tokens: p?.tokens,
+    targetTokens: p?.targetTokens,
+    chunkIndex: p?.chunkIndex,
+    chunkCount: p?.chunkCount
+  };
+}
+
+/**
+ * Analyze one PDF with `provider`: cache lookup, analysis, cache write, report library entry and
+ * one audit entry per outcome. Never throws; returns the per-file result of
+ * `analysis:analyzePdfPaths`. With `saveCachedToLibrary`, a cached report that has no library
+ * entry yet gets one, so every analyzed file ends up in the history.
+ *
+ * @param {string} filePath
+ * @param {import('../providers').AnalysisProvider} provider
+ * @param {{ force?: boolean, signal?: AbortSignal, onProgress?: Function, modelInfo?: object, saveCachedToLibrary?: boolean, auditDetails?: object, log?: { info: Function, warn: Function } }} [options]
+ */
+async function analyzeFile(filePath, provider, options = {}) {
+  const { force = false, signal, onProgress, modelInfo = {}, saveCachedToLibrary = false, auditDetails = {}, log = console } = options;
+
+  const audit = (cacheEntry, details) =>
+    appendAuditEvent('analysis.run', {
+      filePath,
+      fileName: path.basename(filePath),
+      engine: provider.id,
+      pdfSha256: cacheEntry?.pdfSha256 ?? null,
+      modelId: cacheEntry?.modelId ?? null,
+      promptHash: cacheEntry?.promptHash ?? null,
+      ...modelInfo,
+      ...auditDetails,
+      ...details
+    }).catch((e) => log.warn('Failed to write the audit log', e));
+
+  const saveToLibrary = async (cacheEntry, report, durationMs) => {
+    try {
+      const entry = await addLibraryEntry({
+        fileName: path.basename(filePath),
+        filePath,
+        pdfSha256: cacheEntry?.pdfSha256,
+        engine: provider.id,
+        modelId: cacheEntry?.modelId,
+        durationMs,
+        report
+      });
+      return entry.id;
+    } catch (e) {
+      log.warn('Failed to save report to the library', e);
+      return undefined;
+    }
+  };
+
+  if (signal?.aborted) {
+    await audit(null, { outcome: 'cancelled' });
+    return { ok: false, filePath, error: 'Cancelled before analysis started.', cancelled: true };
+  }
+
+  let cacheEntry = null;
+  try {
+    const identity = await provider.getIdentity();
+    cacheEntry = { ...identity, pdfSha256: await hashFile(filePath), fileName: path.basename(filePath) };
+    const cached = force ? null : await getCachedAnalysis(buildCacheKey(cacheEntry));
+    if (cached?.report) {
+      onProgress?.({ stage: 'cached', message: 'Using cached analysis…', percent: 100 });
+      // Reopen the review of the analysis that produced the cached report, if there is one.
+      const entry = await findLibraryEntry(cacheEntry).catch((e) => {
+        log.warn('Failed to look up the library entry for a cached report', e);
+        return null;
+      });
+      const libraryId = entry?.id ?? (saveCachedToLibrary ? await saveToLibrary(cacheEntry, cached.report) : undefined);
+      await audit(cacheEntry, { outcome: 'cached', libraryId: libraryId ?? null });
+      return {
+        ok: true,
+        filePath,
+        report: cached.report,
+        cached: true,
+        cachedAt: cached.createdAt,
+        libraryId,
+        review: entry?.review
+      };
+    }
+  } catch (e) {
+    // The cache is an optimization; never fail the analysis because of it.
+    log.warn('Analysis cache lookup failed', e);
+  }
+
+  const startedAt = Date.now();
+  try {
+    const report = await provider.analyzePdf(filePath, {
+      signal,
+      onRepair: (record) => {
+        // Keep a record of every time a model needed help producing valid JSON.
+        log.info('Analysis output repair', { filePath, provider: provider.id, ...record });
+      },
+      onProgress
+    });
+    const durationMs = Date.now() - startedAt;
+    if (cacheEntry) {
+      putCachedAnalysis({ ...cacheEntry, report }).catch((e) => log.warn('Failed to write analysis cache', e));
+    }
+    const libraryId = await saveToLibrary(cacheEntry, report, durationMs);
+    await audit(cacheEntry, {
+      outcome: 'completed',
+      libraryId: libraryId ?? null,
+      durationMs,
+      opportunityCount: report?.detailedAnalysis?.automationOpportunities?.length ?? 0
+    });
+    return { ok: true, filePath, report, libraryId };
+  } catch (e) {
+    if (isAbortError(e)) {
+      await audit(cacheEntry, { outcome: 'cancelled' });
+      return { ok: false, filePath, error: 'Analysis cancelled.', cancelled: true };
+    }
+    const message = e instanceof Error ? e.message : 'An unexpected error occurred.';
+    await audit(cacheEntry, { outcome: 'failed', error: message });
+    return { ok: false, filePath, error: message };
+  }
+}
+
+module.exports = { analyzeFile, describeProgress, getAuditModelInfo };
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+
+// Headless batch analysis for build boxes and scripted re-analysis runs:
+//
+//   sop-analyzer analyze ./sops/*.pdf --engine offline --out ./reports --format json,xlsx
+//
+// Runs under plain Node (no Electron, no display) through the same pipeline as the app: text
+// extraction with OCR fallback, the local model or an online provider, schema validation and
+// repair, and the app's cache, report history and audit log (see src/storage/userData.js for
+// where those live). Progress goes to stderr; the output folder gets one file per report, an
+// optional workbook and summary.json.
+
+const { version } = require('../../package.json');
+
+const USAGE = `Usage: sop-analyzer analyze <pdf | folder | pattern>... [options]
+
+Options:
+  --engine <id>      offline (default), gemini, openai-compatible, or online for the
+                     provider chosen in the app's Settings
+  --out <dir>        output folder (default: ./sop-reports)
+  --format <list>    comma-separated output formats: json, xlsx (default: json)
+  --recursive        include PDFs in subfolders of folder arguments
+  --force            re-analyze files that have a cached result
+  --user-data <dir>  app data folder with the cache, history and offline pack
+                     (default: the desktop app's; or set SOP_ANALYZER_USER_DATA)
+  -h, --help         show this help
+  -v, --version      show the version
+
+API keys come from GEMINI_API_KEY and OPENAI_COMPATIBLE_API_KEY; keys saved in the app are
+encrypted for the app only. Endpoint settings are read from the app's settings.
+
+Exit codes: 0 every file analyzed, 1 at least one file (or the workbook) failed, 2 invalid
+arguments, 130 interrupted.`;
+
+const ENGINES = ['offline', 'gemini', 'openai-compatible', 'online'];
+const FORMATS = ['json', 'xlsx'];
+const WORKBOOK_NAME = 'sop-automation-analysis.xlsx';
+const SUMMARY_NAME = 'summary.json';
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+// Invalid arguments: reported with the usage text and exit code 2.
+function createUsageError(message) {
+  const err = new Error(message);
+  err.name = 'UsageError';
+  return err;
+}
+
+const print = (line) => process.stderr.write(`${line}\n`);
+
+const log = {
+  info: () => {},
+  warn: (message, e) => print(`warning: ${message}${e ? `: ${e instanceof Error ? e.message : JSON.stringify(e)}` : ''}`)
+};
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        engine: { type: 'string', default: 'offline' },
+        out: { type: 'string', default: 'sop-reports' },
+        format: { type: 'string', default: 'json' },
+        recursive: { type: 'boolean', default: false },
+        force: { type: 'boolean', default: false },
+        'user-data': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', short: 'v', default: false }
+      }
+    });
+  } catch (e) {
+    throw createUsageError(e.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help || values.version) return { ...values, command: null, inputs: [] };
+
+  const [command, ...inputs] = positionals;
+  if (command !== 'analyze') {
+    throw createUsageError(command ? `Unknown command: ${command}` : 'Missing command.');
+  }
+  if (inputs.length === 0) {
+    throw createUsageError('No PDFs given.');
+  }
+  if (!ENGINES.includes(values.engine)) {
+    throw createUsageError(`Unknown engine "${values.engine}". Use one of: ${ENGINES.join(', ')}.`);
+  }
+  const formats = [...new Set(values.format.split(',').map((f) => f.trim().toLowerCase()).filter(Boolean))];
+  const unknown = formats.filter((f) => !FORMATS.includes(f));
+  if (formats.length === 0 || unknown.length > 0) {
+    throw createUsageError(`Unknown format "${unknown.join(', ') || values.format}". Use json, xlsx or both.`);
+  }
+  return { ...values, command, inputs, formats };
+}
+
+// Shell-style `*` and `?` in the file name part, for shells that don't expand them (cmd.exe).
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+async function listPdfs(dir, recursive) {
+  const out = [];
+  for (const dirent of await fsp.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, dirent.name);
+    if (dirent.isDirectory() && recursive) out.push(...(await listPdfs(full, true)));
+    else if (dirent.isFile() && dirent.name.toLowerCase().endsWith('.pdf')) out.push(full);
+  }
+  return out.sort();
+}
+
+async function expandInputs(inputs, recursive) {
+  const files = [];
+  for (const input of inputs) {
+    const resolved = path.resolve(input);
+    if (/[*?]/.test(path.basename(resolved))) {
+      const matcher = wildcardToRegExp(path.basename(resolved));
+      const dir = path.dirname(resolved);
+      const names = await fsp.readdir(dir).catch(() => {
+        throw createUsageError(`No such folder: ${dir}`);
+      });
+      files.push(...names.filter((name) => matcher.test(name)).sort().map((name) => path.join(dir, name)));
+      continue;
+    }
+    const stat = await fsp.stat(resolved).catch(() => null);
+    if (!stat) {
+      throw createUsageError(`No such file or folder: ${input}`);
+    }
+    files.push(...(stat.isDirectory() ? await listPdfs(resolved, recursive) : [resolved]));
+  }
+  return [...new Set(files)];
+}
+
+// `<name>.report.json`, numbered when two inputs share a file name.
+function uniqueOutputName(fileName, used) {
+  const base = fileName.replace(/\.pdf$/i, '').replace(/[\\/:*?"<>|]+/g, '_');
+  let name = `${base}.report.json`;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n}).report.json`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+async function resolveProvider(engine) {
+  const { getProvider, getOnlineProvider } = require('../providers');
+  return engine === 'online' ? await getOnlineProvider() : getProvider(engine);
+}
+
+async function runAnalyze(options) {
+  const startedAt = new Date();
+  const files = await expandInputs(options.inputs, options.recursive);
+  if (files.length === 0) {
+    throw createUsageError('No PDFs found.');
+  }
+  const outDir = path.resolve(options.out);
+  await fsp.mkdir(outDir, { recursive: true });
+
+  const { analyzeFile, getAuditModelInfo } = require('../analysis/analyzeFile');
+  const { stopLlamaServer } = require('../offline/llamaRunner');
+  const { createReportBundle } = await import('../shared/reportBundle.mjs');
+  const provider = await resolveProvider(options.engine);
+
+  // First Ctrl+C cancels the running file and skips the rest (the summary is still written);
+  // a second one exits right away.
+  const controller = new AbortController();
+  const onSigint = () => {
+    if (controller.signal.aborted) {
+      stopLlamaServer();
+      process.exit(EXIT_INTERRUPTED);
+    }
+    print('Interrupted: cancelling the current file (press Ctrl+C again to exit now)…');
+    controller.abort();
+  };
+  process.on('SIGINT', onSigint);
+
+  print(`Analyzing ${files.length} PDF${files.length === 1 ? '' : 's'} with ${provider.label} into ${outDir}`);
+  const results = [];
+  const usedNames = new Set();
+  try {
+    const modelInfo = await getAuditModelInfo(provider, log);
+    for (let i = 0; i < files.length && !controller.signal.aborted; i++) {
+      const filePath = files[i];
+      const prefix = `[${i + 1}/${files.length}]`;
+      print(`${prefix} ${path.basename(filePath)}`);
+      let lastLine = '';
+      const fileStartedAt = Date.now();
+      const result = await analyzeFile(filePath, provider, {
+        force: options.force,
+        signal: controller.signal,
+        modelInfo,
+        auditDetails: { source: 'cli' },
+        log,
+        onProgress: (p) => {
+          const line = `${p?.message || p?.stage || 'Working…'}${typeof p?.percent === 'number' ? ` (${Math.round(p.percent)}%)` : ''}`;
+          if (line !== lastLine) print(`${prefix}   ${line}`);
+          lastLine = line;
+        }
+      });
+
+      const entry = {
+        filePath,
+        status: result.ok ? 'ok' : result.cancelled ? 'cancelled' : 'failed',
+        cached: !!result.cached,
+        durationMs: Date.now() - fileStartedAt,
+        libraryId: result.libraryId ?? null,
+        opportunityCount: result.ok ? result.report.detailedAnalysis.automationOpportunities.length : null,
+        outputs: [],
+        error: result.ok ? null : result.error
+      };
+      if (result.ok && options.formats.includes('json')) {
+        const target = path.join(outDir, uniqueOutputName(path.basename(filePath), usedNames));
+        const bundle = createReportBundle({ fileName: path.basename(filePath), report: result.report });
+        await fsp.writeFile(target, JSON.stringify(bundle, null, 2), 'utf8');
+        entry.outputs.push(target);
+      }
+      results.push({ ...entry, report: result.ok ? result.report : null });
+      print(
+        result.ok
+          ? `${prefix}   done: ${entry.opportunityCount} opportunities${result.cached ? ' (cached)' : ''}`
+          : `${prefix}   ${entry.status}: ${result.error}`
+      );
+    }
+  } finally {
+    process.off('SIGINT', onSigint);
+    // Don't leave the local model server running after the batch.
+    stopLlamaServer();
+  }
+
+  const succeeded = results.filter((r) => r.status === 'ok');
+  let workbookPath = null;
+  let workbookError = null;
+  if (options.formats.includes('xlsx') && succeeded.length > 0) {
+    // A failed workbook must not cost the summary of a long run.
+    try {
+      const { buildReportWorkbook } = await import('../shared/reportWorkbook.mjs');
+      const workbook = await buildReportWorkbook(
+        succeeded.map((r) => ({ fileName: path.basename(r.filePath), report: r.report, reviewStatus: 'AI draft' }))
+      );
+      const target = path.join(outDir, WORKBOOK_NAME);
+      await workbook.xlsx.writeFile(target);
+      workbookPath = target;
+    } catch (e) {
+      workbookError = e instanceof Error ? e.message : String(e);
+      print(`Failed to write the workbook: ${workbookError}`);
+    }
+  }
+
+  const counts = {
+    total: files.length,
+    succeeded: succeeded.length,
+    cached: results.filter((r) => r.cached).length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    // Including files skipped after an interrupt.
+    cancelled: files.length - results.length + results.filter((r) => r.status === 'cancelled').length
+  };
+  const finishedAt = new Date();
+  const summary = {
+    tool: 'sop-analyzer',
+    version,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    engine: provider.id,
+    formats: options.formats,
+    counts,
+    workbook: workbookPath,
+    workbookError,
+    files: [
+      ...results.map(({ report, ...rest }) => rest),
+      ...files.slice(results.length).map((filePath) => ({ filePath, status: 'cancelled', error: 'Skipped after an interrupt.' }))
+    ]
+  };
+  const summaryPath = path.join(outDir, SUMMARY_NAME);
+  await fsp.writeFile(summaryPath, JSON.stringify(summary, null, 2), 'utf8');
+
+  print(
+    `Finished: ${counts.succeeded} analyzed (${counts.cached} cached), ${counts.failed} failed, ${counts.cancelled} cancelled. Summary: ${summaryPath}`
+  );
+  if (controller.signal.aborted) return EXIT_INTERRUPTED;
+  return counts.failed > 0 || workbookError ? EXIT_FAILED : EXIT_OK;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+    if (options.help) {
+      process.stdout.write(`${USAGE}\n`);
+      return EXIT_OK;
+    }
+    if (options.version) {
+      process.stdout.write(`${version}\n`);
+      return EXIT_OK;
+    }
+    if (options['user-data']) {
+      process.env.SOP_ANALYZER_USER_DATA = path.resolve(options['user-data']);
+    }
+    return await runAnalyze(options);
+  } catch (e) {
+    if (e?.name === 'UsageError') {
+      print(`sop-analyzer: ${e.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    print(`sop-analyzer: ${e instanceof Error ? e.message : String(e)}`);
+    return EXIT_FAILED;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
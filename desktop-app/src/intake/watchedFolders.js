@@ -0,0 +1,462 @@
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getUserDataDir } = require('../storage/userData');
+const { getSetting, updateSetting } = require('../storage/settingsStore');
+const { hashFile } = require('../storage/analysisCache');
+
+// Continuous intake from watched folders (e.g. a synced document-control export). New or changed
+// PDFs are queued and analyzed one at a time with the folder's engine. The folder list lives in
+// settings.json; the queue, with one record per file, in userData/intake-queue.json so it
+// survives restarts. A file is only queued again when its content hash changes.
+
+const SETTING_KEY = 'watchedFolders';
+const ENGINES = ['offline', 'online'];
+const STATUSES = ['queued', 'running', 'done', 'failed'];
+
+// Full rescan interval; file system events only trigger an earlier one, since they are
+// unreliable on network shares and sync folders.
+const SCAN_INTERVAL_MS = 60_000;
+const WATCH_DEBOUNCE_MS = 2_000;
+// Files modified more recently than this may still be being written or synced.
+const SETTLE_MS = 10_000;
+// Progress of the running file is reported at most this often.
+const PROGRESS_INTERVAL_MS = 1_000;
+
+function getQueuePath() {
+  return path.join(getUserDataDir(), 'intake-queue.json');
+}
+
+function isPdfName(name) {
+  // Skip hidden files and Office lock files ("~$name.pdf").
+  return name.toLowerCase().endsWith('.pdf') && !name.startsWith('.') && !name.startsWith('~$');
+}
+
+async function listPdfs(dir, recursive) {
+  const out = [];
+  for (const dirent of await fsp.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      if (recursive && !dirent.name.startsWith('.')) out.push(...(await listPdfs(full, true)));
+    } else if (dirent.isFile() && isPdfName(dirent.name)) {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+function normalizeFolder(value) {
+  if (!value || typeof value !== 'object' || typeof value.path !== 'string' || !value.path) return null;
+  return {
+    id: typeof value.id === 'string' ? value.id : crypto.randomUUID(),
+    path: value.path,
+    engine: ENGINES.includes(value.engine) ? value.engine : 'offline',
+    recursive: !!value.recursive,
+    enabled: value.enabled !== false
+  };
+}
+
+async function readConfig() {
+  const stored = await getSetting(SETTING_KEY, {});
+  return {
+    paused: !!stored?.paused,
+    folders: (Array.isArray(stored?.folders) ? stored.folders : []).map(normalizeFolder).filter(Boolean)
+  };
+}
+
+async function readQueue() {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(getQueuePath(), 'utf8'));
+    return (Array.isArray(parsed?.items) ? parsed.items : [])
+      .filter((item) => typeof item?.filePath === 'string' && STATUSES.includes(item.status))
+      .map((item) => ({ ...item, attempts: Number.isInteger(item.attempts) ? item.attempts : 0 }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @typedef {object} IntakeItem
+ * @property {string} filePath
+ * @property {string} fileName
+ * @property {string} folderId
+ * @property {'queued' | 'running' | 'done' | 'failed'} status
+ * @property {string} pdfSha256 content hash the status applies to
+ * @property {number} size
+ * @property {number} mtimeMs
+ * @property {string} queuedAt
+ * @property {string | null} startedAt
+ * @property {string | null} finishedAt
+ * @property {string | null} libraryId report library entry of the last successful analysis
+ * @property {string | null} error
+ * @property {number} attempts
+ */
+
+/**
+ * @param {{
+ *   analyze: (filePath: string, engine: 'offline' | 'online', options: { signal: AbortSignal, onProgress: Function }) =>
+ *     Promise<{ ok: boolean, libraryId?: string, error?: string, cancelled?: boolean }>,
+ *   onChange?: (state: object) => void,
+ *   log?: { warn: Function, info: Function }
+ * }} deps `analyze` runs the shared analysis pipeline and must not throw
+ */
+function createWatchedFolderIntake({ analyze, onChange, log = console }) {
+  let config = { paused: false, folders: [] };
+  /** @type {Map<string, IntakeItem>} */
+  const items = new Map();
+  const watchers = new Map();
+  // Per folder: last scan time and error (not persisted).
+  const folderStatus = new Map();
+  let current = null;
+  let working = false;
+  let started = false;
+  let scanTimer = null;
+  let pollTimer = null;
+  let scanning = null;
+  let rescanRequested = false;
+  let lastProgressAt = 0;
+  let persistQueue = Promise.resolve();
+
+  const persist = () => {
+    const run = async () => {
+      const target = getQueuePath();
+      const tmp = `${target}.tmp`;
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.writeFile(tmp, JSON.stringify({ items: [...items.values()] }), 'utf8');
+      await fsp.rename(tmp, target);
+    };
+    const result = persistQueue.then(run, run);
+    persistQueue = result.catch((e) => log.warn('Failed to save the watched-folder queue', e));
+    return persistQueue;
+  };
+
+  const getState = () => ({
+    paused: config.paused,
+    folders: config.folders.map((folder) => ({
+      ...folder,
+      lastScanAt: folderStatus.get(folder.id)?.lastScanAt ?? null,
+      error: folderStatus.get(folder.id)?.error ?? null
+    })),
+    items: [...items.values()].sort((a, b) => b.queuedAt.localeCompare(a.queuedAt)),
+    current: current && { filePath: current.filePath, percent: current.percent, message: current.message }
+  });
+
+  const notify = () => {
+    try {
+      onChange?.(getState());
+    } catch {
+      // ignore
+    }
+  };
+
+  const changed = () => {
+    void persist();
+    notify();
+  };
+
+  const saveConfig = async () => {
+    await updateSetting(SETTING_KEY, config);
+  };
+
+  const findFolder = (id) => {
+    const folder = config.folders.find((f) => f.id === id);
+    if (!folder) {
+      throw new Error('Unknown watched folder.');
+    }
+    return folder;
+  };
+
+  const nextQueued = () => {
+    let next = null;
+    for (const item of items.values()) {
+      if (item.status !== 'queued') continue;
+      if (!config.folders.some((f) => f.id === item.folderId && f.enabled)) continue;
+      if (!next || item.queuedAt < next.queuedAt) next = item;
+    }
+    return next;
+  };
+
+  const work = async () => {
+    if (working || !started) return;
+    working = true;
+    try {
+      while (started && !config.paused) {
+        const item = nextQueued();
+        if (!item) break;
+        const folder = config.folders.find((f) => f.id === item.folderId);
+        const controller = new AbortController();
+        current = { filePath: item.filePath, controller, percent: 0, message: null };
+        Object.assign(item, { status: 'running', startedAt: new Date().toISOString(), error: null, attempts: item.attempts + 1 });
+        changed();
+
+        const result = await analyze(item.filePath, folder.engine, {
+          signal: controller.signal,
+          onProgress: (p) => {
+            if (!current) return;
+            if (typeof p?.percent === 'number') current.percent = Math.round(p.percent);
+            if (p?.message) current.message = p.message;
+            if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+              lastProgressAt = Date.now();
+              notify();
+            }
+          }
+        });
+        current = null;
+        // The file may have been dropped meanwhile (folder removed).
+        if (items.get(item.filePath) !== item) continue;
+        if (result.cancelled) {
+          // Paused, folder disabled or app quitting: run it again later.
+          Object.assign(item, { status: 'queued', startedAt: null, attempts: item.attempts - 1 });
+        } else if (result.ok) {
+          Object.assign(item, { status: 'done', finishedAt: new Date().toISOString(), libraryId: result.libraryId ?? null });
+        } else {
+          Object.assign(item, { status: 'failed', finishedAt: new Date().toISOString(), error: result.error || 'Analysis failed.' });
+        }
+        changed();
+      }
+    } finally {
+      working = false;
+    }
+  };
+
+  const scanFolder = async (folder) => {
+    let filePaths;
+    try {
+      filePaths = await listPdfs(folder.path, folder.recursive);
+      folderStatus.set(folder.id, { lastScanAt: new Date().toISOString(), error: null });
+    } catch (e) {
+      // Unreachable share or removed folder: keep its records and try again on the next scan.
+      folderStatus.set(folder.id, { lastScanAt: new Date().toISOString(), error: e?.message || String(e) });
+      return false;
+    }
+
+    let didChange = false;
+    const seen = new Set(filePaths);
+    for (const item of items.values()) {
+      if (item.folderId === folder.id && !seen.has(item.filePath) && item.status !== 'running') {
+        items.delete(item.filePath);
+        didChange = true;
+      }
+    }
+
+    for (const filePath of filePaths) {
+      let stat;
+      try {
+        stat = await fsp.stat(filePath);
+      } catch {
+        continue;
+      }
+      const item = items.get(filePath);
+      // A file in two watched folders (nested paths) belongs to the first one that found it.
+      if (item && item.folderId !== folder.id && config.folders.some((f) => f.id === item.folderId)) continue;
+      if (item && item.size === stat.size && item.mtimeMs === stat.mtimeMs) continue;
+      if (item?.status === 'running') continue;
+      if (Date.now() - stat.mtimeMs < SETTLE_MS) {
+        scheduleScan(SETTLE_MS);
+        continue;
+      }
+      let pdfSha256;
+      try {
+        pdfSha256 = await hashFile(filePath);
+      } catch {
+        continue;
+      }
+      if (item && item.pdfSha256 === pdfSha256) {
+        // Touched but not changed (e.g. re-synced): keep its status.
+        Object.assign(item, { size: stat.size, mtimeMs: stat.mtimeMs, folderId: folder.id });
+      } else {
+        items.set(filePath, {
+          filePath,
+          fileName: path.basename(filePath),
+          folderId: folder.id,
+          status: 'queued',
+          pdfSha256,
+          size: stat.size,
+          mtimeMs: stat.mtimeMs,
+          queuedAt: new Date().toISOString(),
+          startedAt: null,
+          finishedAt: null,
+          libraryId: item?.libraryId ?? null,
+          error: null,
+          attempts: 0
+        });
+      }
+      didChange = true;
+    }
+    return didChange;
+  };
+
+  const scanAll = async () => {
+    if (scanning) {
+      rescanRequested = true;
+      return scanning;
+    }
+    scanning = (async () => {
+      do {
+        rescanRequested = false;
+        let didChange = false;
+        for (const folder of config.folders.filter((f) => f.enabled)) {
+          if (await scanFolder(folder)) didChange = true;
+        }
+        if (didChange) changed();
+        else notify();
+      } while (rescanRequested && started);
+    })();
+    try {
+      await scanning;
+    } finally {
+      scanning = null;
+    }
+    void work();
+  };
+
+  const scheduleScan = (delayMs) => {
+    if (!started) return;
+    clearTimeout(scanTimer);
+    scanTimer = setTimeout(() => {
+      scanTimer = null;
+      void scanAll();
+    }, delayMs);
+  };
+
+  const unwatch = (folderId) => {
+    try {
+      watchers.get(folderId)?.close();
+    } catch {
+      // ignore
+    }
+    watchers.delete(folderId);
+  };
+
+  const watch = (folder) => {
+    unwatch(folder.id);
+    if (!started || !folder.enabled) return;
+    try {
+      const watcher = fs.watch(folder.path, { recursive: folder.recursive }, () => scheduleScan(WATCH_DEBOUNCE_MS));
+      watcher.on('error', (e) => {
+        log.warn('Watched folder event stream failed; relying on periodic scans', { folder: folder.path, error: e?.message });
+        unwatch(folder.id);
+      });
+      watchers.set(folder.id, watcher);
+    } catch (e) {
+      log.warn('Could not watch folder; relying on periodic scans', { folder: folder.path, error: e?.message });
+    }
+  };
+
+  // Stop the running file when its folder goes away or is disabled, or the queue is paused.
+  const abortCurrent = (predicate = () => true) => {
+    if (!current) return;
+    const item = items.get(current.filePath);
+    if (!item || predicate(item)) current.controller.abort();
+  };
+
+  return {
+    async start() {
+      if (started) return;
+      config = await readConfig();
+      for (const item of await readQueue()) {
+        // Interrupted by a quit or crash: run it again.
+        items.set(item.filePath, item.status === 'running' ? { ...item, status: 'queued', startedAt: null } : item);
+      }
+      started = true;
+      config.folders.forEach(watch);
+      pollTimer = setInterval(() => void scanAll(), SCAN_INTERVAL_MS);
+      void scanAll();
+    },
+
+    async stop() {
+      started = false;
+      clearTimeout(scanTimer);
+      clearInterval(pollTimer);
+      [...watchers.keys()].forEach(unwatch);
+      abortCurrent();
+      await persistQueue;
+    },
+
+    getState,
+
+    // A watched-folder file is being analyzed (a batch from the UI will wait for it).
+    isBusy: () => !!current,
+
+    async addFolder({ path: folderPath, engine, recursive } = {}) {
+      if (typeof folderPath !== 'string' || !path.isAbsolute(folderPath)) {
+        throw new Error('Invalid request: expected an absolute folder path.');
+      }
+      const stat = await fsp.stat(folderPath).catch(() => null);
+      if (!stat?.isDirectory()) {
+        throw new Error(`Not a folder: ${folderPath}`);
+      }
+      const resolved = path.resolve(folderPath);
+      if (config.folders.some((f) => path.resolve(f.path) === resolved)) {
+        throw new Error('This folder is already watched.');
+      }
+      const folder = normalizeFolder({ path: resolved, engine, recursive, enabled: true });
+      config = { ...config, folders: [...config.folders, folder] };
+      await saveConfig();
+      watch(folder);
+      void scanAll();
+      return getState();
+    },
+
+    async updateFolder(id, patch = {}) {
+      const folder = findFolder(id);
+      const next = normalizeFolder({
+        ...folder,
+        ...(patch.engine !== undefined ? { engine: patch.engine } : {}),
+        ...(patch.recursive !== undefined ? { recursive: patch.recursive } : {}),
+        ...(patch.enabled !== undefined ? { enabled: patch.enabled } : {})
+      });
+      config = { ...config, folders: config.folders.map((f) => (f.id === id ? next : f)) };
+      await saveConfig();
+      if (!next.enabled) abortCurrent((item) => item.folderId === id);
+      watch(next);
+      void scanAll();
+      return getState();
+    },
+
+    async removeFolder(id) {
+      findFolder(id);
+      config = { ...config, folders: config.folders.filter((f) => f.id !== id) };
+      await saveConfig();
+      unwatch(id);
+      folderStatus.delete(id);
+      abortCurrent((item) => item.folderId === id);
+      for (const item of [...items.values()]) {
+        if (item.folderId === id) items.delete(item.filePath);
+      }
+      changed();
+      return getState();
+    },
+
+    async setPaused(paused) {
+      config = { ...config, paused: !!paused };
+      await saveConfig();
+      if (config.paused) abortCurrent();
+      notify();
+      void work();
+      return getState();
+    },
+
+    // Queue a failed (or finished) file again, e.g. after fixing the model or API key.
+    async retry(filePath) {
+      const item = items.get(filePath);
+      if (!item) {
+        throw new Error('The file is no longer in the queue.');
+      }
+      if (item.status !== 'running') {
+        Object.assign(item, { status: 'queued', queuedAt: new Date().toISOString(), error: null });
+        changed();
+        void work();
+      }
+      return getState();
+    },
+
+    async rescan() {
+      await scanAll();
+      return getState();
+    }
+  };
+}
+
+module.exports = { ENGINES, getQueuePath, createWatchedFolderIntake };
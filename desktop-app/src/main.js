@@ -1,9 +1,33 @@
 const path = require('node:path');
-const { pathToFileURL } = require('node:url');
+const { pathToFileURL, fileURLToPath } = require('node:url');
+const fs = require('node:fs/promises');
 const { app, BrowserWindow, dialog, ipcMain } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const log = require('electron-log');
-const { analyzePdfAtPath } = require('./offline/offlineAnalyzer');
+const { stopLlamaServer } = require('./offline/llamaRunner');
+const { testGeminiApiKey } = require('./online/geminiAnalyzer');
+const {
+  getProvider,
+  listProviders,
+  getOnlineProvider,
+  getProviderSettings,
+  saveProviderSettings,
+  testProvider
+} = require('./providers');
+const { analyzeFile, describeProgress, getAuditModelInfo } = require('./analysis/analyzeFile');
+const { listCachedAnalyses, deleteCachedAnalysis, clearAnalysisCache } = require('./storage/analysisCache');
+const { getLibraryEntry, saveLibraryReview, listLibraryEntries, deleteLibraryEntry } = require('./storage/reportLibrary');
+const {
+  RENDERER_ACTIONS,
+  appendAuditEvent,
+  readAuditLog,
+  exportAuditLog,
+  recordReviewChange
+} = require('./storage/auditLog');
+const { createWatchedFolderIntake } = require('./intake/watchedFolders');
+const { createLocalApiServer, getUploadsDir } = require('./server/localApiServer');
+const { saveGeminiApiKey, deleteGeminiApiKey, getGeminiApiKeyStatus } = require('./storage/apiKeyStore');
+const { getReportTemplates, saveReportTemplates, renderReportPdf } = require('./reports/pdfReport');
 const {
   getOfflineResourcesStatus,
   installOfflineResources,
@@ -20,6 +44,38 @@ const isDev = process.env.NODE_ENV === 'development';
 let mainWindow;
 let shouldQuit = false;
 let updateIntervalHandle = null;
+// AbortController for the batch currently running through `analysis:analyzePdfPaths` or
+// `analysis:analyzeOnline` (if any).
+let activeAnalysis = null;
+// Watched-folder intake (src/intake), started once the app is ready.
+let intake = null;
+// Opt-in local HTTP API (src/server), started once the app is ready.
+let localApi = null;
+// PDFs the renderer has been handed a path to (file picks and history entries). `file:readPdf`
+// only serves these, watched-folder items and local API uploads.
+const grantedPdfPaths = new Set();
+
+const pdfPathKey = (filePath) => {
+  const resolved = path.resolve(filePath);
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+};
+
+const grantPdfPath = (filePath) => {
+  if (typeof filePath === 'string' && filePath) {
+    grantedPdfPaths.add(pdfPathKey(filePath));
+  }
+};
+
+const isGrantedPdfPath = (filePath) => {
+  const key = pdfPathKey(filePath);
+  if (grantedPdfPaths.has(key)) {
+    return true;
+  }
+  if (intake?.getState().items.some((item) => pdfPathKey(item.filePath) === key)) {
+    return true;
+  }
+  return key.startsWith(pdfPathKey(getUploadsDir()) + path.sep);
+};
 
 const initAutoUpdater = () => {
   // electron-updater requires the app-update.yml produced by electron-builder.
@@ -108,6 +164,110 @@ const initAutoUpdater = () => {
   }
 };
 
+// Analyses take turns: the local model runs one at a time, and watched-folder files and API
+// uploads must not interleave with a batch started from the UI.
+let analysisLock = Promise.resolve();
+const withAnalysisLock = (fn) => {
+  const result = analysisLock.then(fn, fn);
+  analysisLock = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Queue one file for the watched folders or the local API: it runs after the analyses ahead of
+ * it, with the engine resolved at that point. Never throws; `source` tags the audit entry.
+ */
+const analyzeQueued = (filePath, engine, { force = false, signal, onStart, onProgress, source }) =>
+  withAnalysisLock(async () => {
+    onStart?.();
+    try {
+      const provider = engine === 'online' ? await getOnlineProvider() : getProvider('offline');
+      return await analyzeFile(filePath, provider, {
+        force,
+        signal,
+        onProgress,
+        modelInfo: await getAuditModelInfo(provider, log),
+        saveCachedToLibrary: true,
+        auditDetails: { source },
+        log
+      });
+    } catch (e) {
+      return { ok: false, filePath, error: e instanceof Error ? e.message : String(e) };
+    }
+  });
+
+/**
+ * Analyze PDFs one after another with `provider` (see src/providers), reporting progress on
+ * `analysis:progress`. Every provider shares the cache, the report library, the audit log and
+ * `analysis:cancel`, and returns the same per-file result shape.
+ */
+const runAnalysisBatch = async (filePaths, options, provider) => {
+  if (!Array.isArray(filePaths)) {
+    throw new Error('Invalid request: filePaths must be an array of strings.');
+  }
+  const force = !!options?.force;
+
+  const send = (payload) => {
+    try {
+      mainWindow?.webContents.send('analysis:progress', payload);
+    } catch {
+      // ignore
+    }
+  };
+
+  const total = filePaths.length || 1;
+  const out = [];
+  const controller = new AbortController();
+  activeAnalysis = controller;
+
+  if (intake?.isBusy() || localApi?.isBusy()) {
+    send({ status: 'progress', stage: 'waiting', message: 'Waiting for watched-folder or API analyses in progress…', percent: 0 });
+  }
+
+  await withAnalysisLock(async () => {
+    const modelInfo = await getAuditModelInfo(provider, log);
+    for (let i = 0; i < filePaths.length; i++) {
+      const filePath = filePaths[i];
+      if (typeof filePath !== 'string' || filePath.length === 0) {
+        out.push({ ok: false, filePath: String(filePath), error: 'Invalid file path.' });
+        continue;
+      }
+
+      if (!controller.signal.aborted) {
+        send({ status: 'starting', filePath, fileIndex: i + 1, fileCount: total, percent: Math.round((i / total) * 100) });
+      }
+
+      out.push(
+        await analyzeFile(filePath, provider, {
+          force,
+          signal: controller.signal,
+          modelInfo,
+          log,
+          onProgress: (p) => {
+            const { percent: filePercent, ...progress } = describeProgress(p);
+            const overall = ((i + filePercent / 100) / total) * 100;
+            send({
+              status: 'progress',
+              filePath,
+              fileIndex: i + 1,
+              fileCount: total,
+              ...progress,
+              percent: Math.max(0, Math.min(99, Math.round(overall))),
+              filePercent
+            });
+          }
+        })
+      );
+    }
+  });
+
+  if (activeAnalysis === controller) {
+    activeAnalysis = null;
+  }
+  send({ status: controller.signal.aborted ? 'cancelled' : 'done', percent: 100 });
+  return out;
+};
+
 const getStartUrl = () => {
   if (isDev) {
     return process.env.ELECTRON_START_URL || 'http://localhost:5173';
@@ -177,6 +337,33 @@ app.on('ready', () => {
   createWindow();
   initAutoUpdater();
 
+  intake = createWatchedFolderIntake({
+    analyze: (filePath, engine, options) => analyzeQueued(filePath, engine, { ...options, source: 'watched-folder' }),
+    onChange: (state) => {
+      try {
+        mainWindow?.webContents.send('intake:state', state);
+      } catch {
+        // ignore
+      }
+    },
+    log
+  });
+  intake.start().catch((e) => log.error('Failed to start the watched-folder intake', e));
+
+  localApi = createLocalApiServer({
+    analyze: (filePath, engine, options) => analyzeQueued(filePath, engine, { ...options, source: 'local-api' }),
+    version: app.getVersion(),
+    onChange: (status) => {
+      try {
+        mainWindow?.webContents.send('localApi:status', status);
+      } catch {
+        // ignore
+      }
+    },
+    log
+  });
+  localApi.start().catch((e) => log.error('Failed to start the local API', e));
+
   ipcMain.handle('app:getVersion', () => app.getVersion());
   ipcMain.handle('app:getName', () => app.getName());
   ipcMain.handle('app:getStartUrl', () => getStartUrl());
@@ -240,6 +427,22 @@ app.on('ready', () => {
     return pathToFileURL(filePath).toString();
   });
 
+  // Bytes for the embedded PDF viewer. Limited to PDFs the app handed out itself so the
+  // renderer can't use this to read arbitrary files.
+  ipcMain.handle('file:readPdf', async (_event, fileUrl) => {
+    if (typeof fileUrl !== 'string' || !fileUrl.startsWith('file:')) {
+      throw new Error('Invalid request: expected a file:// URL.');
+    }
+    const filePath = fileURLToPath(fileUrl);
+    if (path.extname(filePath).toLowerCase() !== '.pdf') {
+      throw new Error('Only PDF files can be opened in the viewer.');
+    }
+    if (!isGrantedPdfPath(filePath)) {
+      throw new Error('This PDF was not opened through the app.');
+    }
+    return new Uint8Array(await fs.readFile(filePath));
+  });
+
   ipcMain.handle('dialog:pickPdfFiles', async () => {
     if (!mainWindow) {
       return [];
@@ -255,6 +458,7 @@ app.on('ready', () => {
       return [];
     }
 
+    result.filePaths.forEach(grantPdfPath);
     return result.filePaths.map((p) => ({
       path: p,
       name: path.basename(p),
@@ -262,6 +466,23 @@ app.on('ready', () => {
     }));
   });
 
+  ipcMain.handle('dialog:pickFolder', async () => {
+    if (!mainWindow) {
+      return null;
+    }
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select Folder to Watch',
+      properties: ['openDirectory']
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return null;
+    }
+
+    return result.filePaths[0];
+  });
+
   ipcMain.handle('dialog:pickOfflinePackZip', async () => {
     if (!mainWindow) {
       return null;
@@ -280,59 +501,249 @@ app.on('ready', () => {
     return result.filePaths[0];
   });
 
-  ipcMain.handle('analysis:analyzePdfPaths', async (_event, filePaths) => {
-    if (!Array.isArray(filePaths)) {
-      throw new Error('Invalid request: filePaths must be an array of strings.');
+  ipcMain.handle('dialog:pickLogoImage', async () => {
+    if (!mainWindow) {
+      return null;
     }
 
-    const send = (payload) => {
-      try {
-        mainWindow?.webContents.send('analysis:progress', payload);
-      } catch {
-        // ignore
-      }
-    };
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select Logo Image',
+      properties: ['openFile'],
+      filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'] }]
+    });
 
-    const total = filePaths.length || 1;
-    const out = [];
+    if (result.canceled || result.filePaths.length === 0) {
+      return null;
+    }
 
-    for (let i = 0; i < filePaths.length; i++) {
-      const filePath = filePaths[i];
-      if (typeof filePath !== 'string' || filePath.length === 0) {
-        out.push({ ok: false, filePath: String(filePath), error: 'Invalid file path.' });
-        continue;
-      }
+    return result.filePaths[0];
+  });
 
-      send({ status: 'starting', filePath, fileIndex: i + 1, fileCount: total, percent: Math.round((i / total) * 100) });
+  ipcMain.handle('report:getTemplates', async () => {
+    return await getReportTemplates();
+  });
 
-      try {
-        const report = await analyzePdfAtPath(filePath, {
-          onProgress: (p) => {
-            const filePct = typeof p?.percent === 'number' ? p.percent : 0;
-            const overall = ((i + filePct / 100) / total) * 100;
-            send({
-              status: 'progress',
-              filePath,
-              fileIndex: i + 1,
-              fileCount: total,
-              stage: p?.stage,
-              message: p?.message,
-              percent: Math.max(0, Math.min(99, Math.round(overall))),
-              filePercent: Math.max(0, Math.min(100, Math.round(filePct))),
-              tokens: p?.tokens,
-              targetTokens: p?.targetTokens
-            });
-          }
-        });
-        out.push({ ok: true, filePath, report });
-      } catch (e) {
-        const message = e instanceof Error ? e.message : 'An unexpected error occurred.';
-        out.push({ ok: false, filePath, error: message });
-      }
+  ipcMain.handle('report:saveTemplates', async (_event, templates) => {
+    return await saveReportTemplates(templates);
+  });
+
+  ipcMain.handle('report:exportPdf', async (_event, request) => {
+    const { report, fileName, sourceUrl, templateId, reviewStatus } = request || {};
+    if (!report?.executiveSummary || !report?.detailedAnalysis) {
+      throw new Error('Invalid request: report is missing.');
     }
+    if (!mainWindow) {
+      return { ok: false, canceled: true };
+    }
+
+    const baseName = String(fileName || 'SOP').replace(/\.pdf$/i, '');
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Report PDF',
+      defaultPath: `${baseName} - Automation Report.pdf`,
+      filters: [{ name: 'PDF Documents', extensions: ['pdf'] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { ok: false, canceled: true };
+    }
+
+    const templates = await getReportTemplates();
+    const template = templates.find((t) => t.id === templateId) || templates[0];
+    const pdf = await renderReportPdf({
+      report,
+      fileName: String(fileName || ''),
+      // Only local files can be linked from a saved document; blob: URLs die with the window.
+      sourceUrl: typeof sourceUrl === 'string' && sourceUrl.startsWith('file:') ? sourceUrl : null,
+      template,
+      reviewStatus: typeof reviewStatus === 'string' ? reviewStatus : null
+    });
+    await fs.writeFile(result.filePath, pdf);
+    await appendAuditEvent('report.export', {
+      format: 'pdf',
+      fileName: String(fileName || ''),
+      filePath: result.filePath,
+      reviewStatus: typeof reviewStatus === 'string' ? reviewStatus : null,
+      opportunityCount: report.detailedAnalysis.automationOpportunities?.length ?? 0
+    }).catch((e) => log.warn('Failed to write the audit log', e));
+    return { ok: true, filePath: result.filePath };
+  });
 
-    send({ status: 'done', percent: 100 });
-    return out;
+  ipcMain.handle('analysis:analyzePdfPaths', async (_event, filePaths, options) => {
+    return await runAnalysisBatch(filePaths, options, getProvider('offline'));
+  });
+
+  // The online provider chosen in Settings (Gemini or an OpenAI-compatible endpoint), called
+  // from the main process so API keys never reach the renderer.
+  ipcMain.handle('analysis:analyzeOnline', async (_event, filePaths, options) => {
+    return await runAnalysisBatch(filePaths, options, await getOnlineProvider());
+  });
+
+  ipcMain.handle('providers:list', () => listProviders());
+
+  ipcMain.handle('providers:getSettings', async () => {
+    return await getProviderSettings();
+  });
+
+  ipcMain.handle('providers:saveSettings', async (_event, patch) => {
+    return await saveProviderSettings(patch);
+  });
+
+  ipcMain.handle('providers:test', async (_event, id) => {
+    return await testProvider(id);
+  });
+
+  // The key only travels renderer -> main; none of these handlers send it back.
+  ipcMain.handle('gemini:getKeyStatus', async () => {
+    return await getGeminiApiKeyStatus();
+  });
+
+  ipcMain.handle('gemini:saveKey', async (_event, apiKey) => {
+    await saveGeminiApiKey(apiKey);
+    return await getGeminiApiKeyStatus();
+  });
+
+  ipcMain.handle('gemini:deleteKey', async () => {
+    await deleteGeminiApiKey();
+    return await getGeminiApiKeyStatus();
+  });
+
+  ipcMain.handle('gemini:testKey', async (_event, apiKey) => {
+    return await testGeminiApiKey(typeof apiKey === 'string' ? apiKey : undefined);
+  });
+
+  ipcMain.handle('cache:list', async () => {
+    return await listCachedAnalyses();
+  });
+
+  ipcMain.handle('cache:delete', async (_event, key) => {
+    await deleteCachedAnalysis(key);
+    return { ok: true };
+  });
+
+  ipcMain.handle('cache:clear', async () => {
+    await clearAnalysisCache();
+    return { ok: true };
+  });
+
+  ipcMain.handle('library:list', async () => {
+    return await listLibraryEntries();
+  });
+
+  ipcMain.handle('library:get', async (_event, id) => {
+    const entry = await getLibraryEntry(id);
+    grantPdfPath(entry?.filePath);
+    return entry;
+  });
+
+  ipcMain.handle('library:saveReview', async (_event, id, review) => {
+    const before = await getLibraryEntry(id);
+    if (!before) {
+      throw new Error('The report is no longer in the history.');
+    }
+    const info = await saveLibraryReview(id, review ?? null);
+    const after = review ? await getLibraryEntry(id) : null;
+    await recordReviewChange(before, before.review ?? null, after?.review ?? null).catch((e) => log.warn('Failed to write the audit log', e));
+    return info;
+  });
+
+  // Review changes to a report that isn't in the history (opened from a report file). There is
+  // no entry to compare against, so the renderer sends the version it last recorded.
+  ipcMain.handle('audit:recordReview', async (_event, opened, previousReview, nextReview) => {
+    if (!opened || typeof opened.fileName !== 'string' || !opened.report || typeof opened.report !== 'object') {
+      throw new Error('Invalid request: expected the opened report.');
+    }
+    const entry = { id: null, fileName: opened.fileName, pdfSha256: null, report: opened.report };
+    await recordReviewChange(entry, previousReview ?? null, nextReview ?? null).catch((e) => log.warn('Failed to write the audit log', e));
+    return { ok: true };
+  });
+
+  ipcMain.handle('audit:list', async (_event, options) => {
+    const limit = Number.isInteger(options?.limit) && options.limit > 0 ? options.limit : undefined;
+    return await readAuditLog({ limit });
+  });
+
+  ipcMain.handle('audit:record', async (_event, action, details) => {
+    if (!RENDERER_ACTIONS.includes(action)) {
+      throw new Error(`Unknown audit action: ${action}`);
+    }
+    await appendAuditEvent(action, details && typeof details === 'object' ? details : {});
+    return { ok: true };
+  });
+
+  ipcMain.handle('audit:export', async () => {
+    if (!mainWindow) {
+      return { ok: false, canceled: true };
+    }
+    const stamp = new Date().toISOString().slice(0, 10);
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Audit Log',
+      defaultPath: `audit-log-${stamp}.jsonl`,
+      filters: [{ name: 'JSON Lines', extensions: ['jsonl'] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { ok: false, canceled: true };
+    }
+    const verification = await exportAuditLog(result.filePath);
+    await appendAuditEvent('audit.export', { filePath: result.filePath, entryCount: verification.count, lastHash: verification.lastHash }).catch((e) =>
+      log.warn('Failed to write the audit log', e)
+    );
+    return { ok: true, filePath: result.filePath, verification };
+  });
+
+  ipcMain.handle('library:delete', async (_event, id) => {
+    const entry = await getLibraryEntry(id).catch(() => null);
+    await deleteLibraryEntry(id);
+    await appendAuditEvent('library.delete', {
+      libraryId: id,
+      fileName: entry?.fileName ?? null,
+      pdfSha256: entry?.pdfSha256 ?? null,
+      reviewStatus: entry?.review?.status ?? null
+    }).catch((e) => log.warn('Failed to write the audit log', e));
+    return { ok: true };
+  });
+
+  ipcMain.handle('intake:getState', () => intake.getState());
+
+  ipcMain.handle('intake:addFolder', async (_event, folder) => {
+    return await intake.addFolder(folder);
+  });
+
+  ipcMain.handle('intake:updateFolder', async (_event, id, patch) => {
+    return await intake.updateFolder(id, patch);
+  });
+
+  ipcMain.handle('intake:removeFolder', async (_event, id) => {
+    return await intake.removeFolder(id);
+  });
+
+  ipcMain.handle('intake:setPaused', async (_event, paused) => {
+    return await intake.setPaused(paused);
+  });
+
+  ipcMain.handle('intake:retry', async (_event, filePath) => {
+    return await intake.retry(filePath);
+  });
+
+  ipcMain.handle('intake:rescan', async () => {
+    return await intake.rescan();
+  });
+
+  ipcMain.handle('localApi:getStatus', () => localApi.getStatus());
+
+  ipcMain.handle('localApi:configure', async (_event, patch) => {
+    return await localApi.configure(patch);
+  });
+
+  // The only place the token is handed out; the main process keeps just its hash.
+  ipcMain.handle('localApi:regenerateToken', async () => {
+    return await localApi.regenerateToken();
+  });
+
+  ipcMain.handle('analysis:cancel', () => {
+    if (!activeAnalysis) {
+      return { ok: false, message: 'No analysis is running.' };
+    }
+    activeAnalysis.abort();
+    return { ok: true };
   });
 
   app.on('activate', () => {
@@ -342,6 +753,14 @@ app.on('ready', () => {
   });
 });
 
+app.on('will-quit', () => {
+  // The file being analyzed stays queued and runs again on the next start.
+  intake?.stop().catch(() => {});
+  localApi?.stop().catch(() => {});
+  // Don't leave the persistent llama-server (and the loaded model) running after we exit.
+  stopLlamaServer();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -0,0 +1,44 @@
+// Cancellation helpers shared by the offline pipeline. Cancelling uses a standard AbortSignal;
+// every stage rejects with an error named 'AbortError' so callers can tell it apart from failures.
+
+function createAbortError(message = 'Analysis cancelled.') {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
+function isAbortError(err) {
+  return !!err && typeof err === 'object' && err.name === 'AbortError';
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Resolve/reject with `promise`, or reject with an AbortError as soon as `signal` aborts.
+ * The underlying work is not stopped; use this for shared work (e.g. server startup) that
+ * other callers may still be waiting on.
+ */
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (err) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+module.exports = { createAbortError, isAbortError, throwIfAborted, raceAbort };
@@ -0,0 +1,198 @@
+const { unwrapZod } = require('./reportGrammar');
+
+// Deterministic clean-up of local model output before we fall back to re-prompting.
+// Every change is recorded as a short human-readable "fix" string so callers can log
+// how often (and how) the model needed help.
+
+function stripCodeFence(text) {
+  const fenceMatch = text.match(/```json\s*([\s\S]*?)(?:```|$)/i) || text.match(/```\s*([\s\S]*?)(?:```|$)/);
+  return fenceMatch ? fenceMatch[1] : text;
+}
+
+// Removes a half-written member left behind by truncation: a trailing separator, a key without
+// a value, or a key that was still being written when the output stopped.
+function dropDanglingTail(text, container) {
+  let out = text.replace(/\s+$/, '');
+  for (;;) {
+    const before = out;
+    out = out.replace(/,\s*$/, '');
+    out = out.replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '');
+    if (container === '}') {
+      // A string directly after `{` or `,` inside an object is a key, not a value.
+      out = out.replace(/([{,])\s*"(?:[^"\\]|\\.)*"$/, (_m, sep) => (sep === '{' ? '{' : ''));
+    }
+    out = out.replace(/\s+$/, '');
+    if (out === before) return out;
+  }
+}
+
+/**
+ * Best-effort textual repair of a JSON object: trailing commas, unquoted keys, and
+ * truncated output (unterminated strings and missing closing brackets).
+ *
+ * @param {string} input
+ * @returns {{ text: string, fixes: string[] }}
+ */
+function repairJsonText(input) {
+  const fixes = [];
+  const source = stripCodeFence(input);
+  const start = source.indexOf('{');
+  if (start === -1) {
+    return { text: source, fixes };
+  }
+
+  const stack = [];
+  let out = '';
+  let inString = false;
+  let escaped = false;
+  let trailingCommas = 0;
+  let unquotedKeys = 0;
+  let i = start;
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (inString) {
+      out += ch;
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+      out += ch;
+      i++;
+      continue;
+    }
+    if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+      out += ch;
+      i++;
+      continue;
+    }
+    if (ch === '}' || ch === ']') {
+      const trimmed = out.replace(/\s+$/, '');
+      if (trimmed.endsWith(',')) {
+        out = trimmed.slice(0, -1);
+        trailingCommas++;
+      }
+      stack.pop();
+      out += ch;
+      i++;
+      // Stop at the end of the top-level object; anything after it is commentary.
+      if (stack.length === 0) break;
+      continue;
+    }
+    if (/[A-Za-z_$]/.test(ch) && stack[stack.length - 1] === '}' && /[{,]\s*$/.test(out)) {
+      const m = /^([A-Za-z_$][\w$]*)\s*:/.exec(source.slice(i));
+      if (m) {
+        out += `"${m[1]}"`;
+        i += m[1].length;
+        unquotedKeys++;
+        continue;
+      }
+    }
+    out += ch;
+    i++;
+  }
+
+  if (trailingCommas) fixes.push(`removed ${trailingCommas} trailing comma(s)`);
+  if (unquotedKeys) fixes.push(`quoted ${unquotedKeys} unquoted key(s)`);
+
+  if (inString) {
+    if (escaped) out = out.slice(0, -1);
+    out += '"';
+    fixes.push('closed unterminated string');
+  }
+  if (stack.length > 0) {
+    out = dropDanglingTail(out, stack[stack.length - 1]);
+    const closing = stack.reverse().join('');
+    out += closing;
+    fixes.push(`closed ${closing.length} truncated bracket(s)`);
+  }
+
+  return { text: out, fixes };
+}
+
+/**
+ * Parse model output as JSON, applying the textual repairs above where they are needed.
+ *
+ * @param {string} raw
+ * @returns {{ ok: true, data: unknown, fixes: string[] } | { ok: false, error: string, text: string, fixes: string[] }}
+ */
+function parseModelJson(raw) {
+  if (stripCodeFence(raw).indexOf('{') === -1) {
+    return { ok: false, error: 'Model output did not contain a JSON object.', text: raw, fixes: [] };
+  }
+
+  // Well-formed output passes through repairJsonText unchanged (and with no fixes recorded).
+  const repaired = repairJsonText(raw);
+  try {
+    return { ok: true, data: JSON.parse(repaired.text), fixes: repaired.fixes };
+  } catch (e) {
+    return { ok: false, error: e instanceof Error ? e.message : String(e), text: repaired.text, fixes: repaired.fixes };
+  }
+}
+
+/**
+ * Coerce values the model commonly gets "almost right" towards what the Zod schema expects:
+ * numeric strings for number fields and wrong enum casing (e.g. "medium" -> "Medium").
+ * Mutates and returns `value`.
+ *
+ * @param {unknown} value
+ * @param {import('zod').ZodTypeAny} schema
+ * @param {string[]} fixes
+ * @param {Array<string|number>} [pathParts]
+ */
+function repairReportValues(value, schema, fixes, pathParts = []) {
+  const inner = unwrapZod(schema);
+  const where = pathParts.join('.') || '(root)';
+
+  switch (inner?._def?.typeName) {
+    case 'ZodObject': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+      for (const [key, child] of Object.entries(inner.shape)) {
+        if (key in value) {
+          value[key] = repairReportValues(value[key], child, fixes, [...pathParts, key]);
+        }
+      }
+      return value;
+    }
+    case 'ZodArray': {
+      if (!Array.isArray(value)) return value;
+      return value.map((item, index) => repairReportValues(item, inner.element, fixes, [...pathParts, index]));
+    }
+    case 'ZodNumber': {
+      if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+        fixes.push(`${where}: converted string "${value}" to number`);
+        return Number(value);
+      }
+      return value;
+    }
+    case 'ZodString': {
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        fixes.push(`${where}: converted ${typeof value} to string`);
+        return String(value);
+      }
+      return value;
+    }
+    case 'ZodEnum': {
+      if (typeof value !== 'string' || inner.options.includes(value)) return value;
+      const match = inner.options.find((o) => o.toLowerCase() === value.trim().toLowerCase());
+      if (match) {
+        fixes.push(`${where}: normalized "${value}" to "${match}"`);
+        return match;
+      }
+      return value;
+    }
+    default:
+      return value;
+  }
+}
+
+function formatZodIssues(error) {
+  return error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
+
+module.exports = { repairJsonText, parseModelJson, repairReportValues, formatZodIssues };
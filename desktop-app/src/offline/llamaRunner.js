@@ -2,8 +2,30 @@ const fs = require('node:fs');
 const fsp = require('node:fs/promises');
 const os = require('node:os');
 const path = require('node:path');
+const http = require('node:http');
+const net = require('node:net');
 const { spawn } = require('node:child_process');
 const { getUserOfflineResourcesDir } = require('./offlineResourcesInstaller');
+const { createAbortError, isAbortError, throwIfAborted, raceAbort } = require('./abort');
+
+// Sampling/context settings shared by the CLI and server backends.
+//
+// Defaults here are intentionally conservative for Windows CPU runs:
+// - Many Llama-2-style models train at 4k context; using 8k can error unless the prompt is trimmed.
+// - Larger ctx also increases memory usage (KV cache).
+const CTX_SIZE = 4096;
+const N_PREDICT = 1536;
+const SAMPLING = { temperature: 0.2, topP: 0.9, repeatPenalty: 1.1 };
+
+// The persistent llama-server is shut down after this long without requests so the model
+// doesn't sit in memory forever. Override with OFFLINE_LLAMA_SERVER_IDLE_MS.
+const DEFAULT_SERVER_IDLE_MS = 10 * 60 * 1000;
+const SERVER_STARTUP_TIMEOUT_MS = 5 * 60 * 1000;
+// A /health probe that gets no answer in this time counts as "not ready yet".
+const HEALTH_PROBE_TIMEOUT_MS = 5_000;
+// A completion with no data for this long is treated as hung. Generous, because nothing is
+// streamed while a long prompt is evaluated on a slow CPU.
+const COMPLETION_STALL_TIMEOUT_MS = 5 * 60 * 1000;
 
 function isPackaged() {
   // Electron sets this in main/preload contexts.
@@ -57,54 +79,41 @@ function findLlamaBinary(resourcesBase) {
   return null;
 }
 
-function getModelPath(resourcesBase) {
-  // Expected location. Users can replace with their chosen 8B GGUF.
-  return path.join(resourcesBase, 'models', 'model-8b-q4.gguf');
-}
+function findLlamaServerBinary(resourcesBase) {
+  const binDir = path.join(resourcesBase, 'llama', getPlatformKey());
+  const candidates = process.platform === 'win32'
+    ? ['llama-server.exe', 'server.exe']
+    : ['llama-server', 'server'];
 
-function extractJsonObject(text) {
-  // Common case: fenced output
-  const fenceMatch = text.match(/```json\s*([\s\S]*?)\s*```/i) || text.match(/```\s*([\s\S]*?)\s*```/);
-  const source = fenceMatch ? fenceMatch[1] : text;
-
-  // Find the first balanced JSON object starting at the first '{'
-  const start = source.indexOf('{');
-  if (start === -1) {
-    throw new Error('Model output did not contain a JSON object.');
-  }
-  let depth = 0;
-  let inString = false;
-  let escaped = false;
-  for (let i = start; i < source.length; i++) {
-    const ch = source[i];
-    if (inString) {
-      if (escaped) {
-        escaped = false;
-      } else if (ch === '\\') {
-        escaped = true;
-      } else if (ch === '"') {
-        inString = false;
-      }
-      continue;
-    }
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-    if (ch === '{') depth++;
-    if (ch === '}') depth--;
-    if (depth === 0) {
-      return source.slice(start, i + 1);
+  for (const name of candidates) {
+    const full = path.join(binDir, name);
+    if (fs.existsSync(full)) {
+      return full;
     }
   }
+  return null;
+}
+
+function getThreadCount() {
+  return Math.max(1, (os.cpus()?.length || 4) - 1);
+}
+
+function getLlamaEnv(binDir) {
+  const env = { ...process.env };
+  // Windows: ensure the llama folder is on PATH so adjacent DLLs can be resolved.
+  const pathKey = process.platform === 'win32' ? 'Path' : 'PATH';
+  const sep = process.platform === 'win32' ? ';' : ':';
+  env[pathKey] = `${binDir}${sep}${env[pathKey] || ''}`;
+  return env;
+}
 
-  // Fall back: last brace slice (better than nothing)
-  const last = source.lastIndexOf('}');
-  if (last !== -1 && last > start) return source.slice(start, last + 1);
-  throw new Error('Model output did not contain a complete JSON object.');
+function getModelPath(resourcesBase) {
+  // Expected location. Users can replace with their chosen 8B GGUF.
+  return path.join(resourcesBase, 'models', 'model-8b-q4.gguf');
 }
 
-async function runLlamaCli({ prompt, onProgress }) {
+async function runLlamaCli({ prompt, grammar, onProgress, signal }) {
+  throwIfAborted(signal);
   const resourcesBase = getResourcesBase();
   const llamaBin = findLlamaBinary(resourcesBase);
   const modelPath = getModelPath(resourcesBase);
@@ -125,37 +134,38 @@ async function runLlamaCli({ prompt, onProgress }) {
   const promptPath = path.join(promptFile, 'prompt.txt');
   await fsp.writeFile(promptPath, prompt, 'utf8');
 
+  // Optional GBNF grammar constraining sampling to valid report JSON (see reportGrammar.js).
+  let grammarPath = null;
+  if (grammar) {
+    grammarPath = path.join(promptFile, 'report.gbnf');
+    await fsp.writeFile(grammarPath, grammar, 'utf8');
+  }
+
   // NOTE: llama.cpp CLIs differ by build. We aim for common flags used by `llama-cli` / `main`.
-  //
-  // Defaults here are intentionally conservative for Windows CPU runs:
-  // - Many Llama-2-style models train at 4k context; using 8k can error unless the prompt is trimmed.
-  // - Larger ctx also increases memory usage (KV cache).
-  const threads = Math.max(1, (os.cpus()?.length || 4) - 1);
-  const nPredict = 1536;
+  const nPredict = N_PREDICT;
   const args = [
     '-m', modelPath,
     '-f', promptPath,
-    '--ctx-size', '4096',
+    '--ctx-size', String(CTX_SIZE),
     '--n-predict', String(nPredict),
-    '-t', String(threads),
-    '--temp', '0.2',
-    '--top-p', '0.9',
-    '--repeat-penalty', '1.1',
+    '-t', String(getThreadCount()),
+    '--temp', String(SAMPLING.temperature),
+    '--top-p', String(SAMPLING.topP),
+    '--repeat-penalty', String(SAMPLING.repeatPenalty),
     '--no-display-prompt'
   ];
+  if (grammarPath) {
+    args.push('--grammar-file', grammarPath);
+  }
 
   return await new Promise((resolve, reject) => {
     const binDir = path.dirname(llamaBin);
-    const env = { ...process.env };
-    // Windows: ensure the llama folder is on PATH so adjacent DLLs can be resolved.
-    const pathKey = process.platform === 'win32' ? 'Path' : 'PATH';
-    const sep = process.platform === 'win32' ? ';' : ':';
-    env[pathKey] = `${binDir}${sep}${env[pathKey] || ''}`;
-
     const child = spawn(llamaBin, args, {
       cwd: binDir,
-      env,
-      stdio: ['ignore', 'pipe', 'pipe']
+      env: getLlamaEnv(binDir),
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Aborting kills the llama.cpp process.
+      signal
     });
     let stdout = '';
     let stderr = '';
@@ -186,7 +196,7 @@ async function runLlamaCli({ prompt, onProgress }) {
       stderr += chunk.toString('utf8');
     });
 
-    child.on('error', (err) => reject(err));
+    child.on('error', (err) => reject(isAbortError(err) ? createAbortError() : err));
     child.on('close', (code) => {
       if (code === 0) {
         return resolve(stdout);
@@ -208,17 +218,301 @@ async function runLlamaCli({ prompt, onProgress }) {
   });
 }
 
-async function runLlamaJson({ prompt, onProgress }) {
-  const raw = await runLlamaCli({ prompt, onProgress });
-  const jsonText = extractJsonObject(raw);
+// --- Persistent llama-server backend ---------------------------------------------------------
+//
+// Spawning the CLI per document reloads the model from disk every time. When the offline pack
+// ships `llama-server`, we start it once, keep the model resident, and talk to its local HTTP
+// completion endpoint. The server is stopped when the app quits or after it has been idle.
+
+let server = null; // { child, port, modelPath, ready: Promise<void>, activeRequests, idleTimer, exited }
+let serverUnavailable = false;
+
+function getLlamaBackend() {
+  // 'auto' (default): use llama-server when it is present, otherwise the CLI.
+  const value = (process.env.OFFLINE_LLAMA_BACKEND || 'auto').toLowerCase();
+  return value === 'cli' || value === 'server' ? value : 'auto';
+}
+
+function getServerIdleMs() {
+  const fromEnv = Number.parseInt(process.env.OFFLINE_LLAMA_SERVER_IDLE_MS || '', 10);
+  return Number.isFinite(fromEnv) && fromEnv > 0 ? fromEnv : DEFAULT_SERVER_IDLE_MS;
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// The request got no data within its `timeoutMs`.
+function createTimeoutError(message) {
+  const err = new Error(message);
+  err.name = 'TimeoutError';
+  return err;
+}
+
+/**
+ * `timeoutMs` limits how long the connection may stay silent, both before the response and
+ * between chunks of a streamed one.
+ */
+function httpRequest({ port, method = 'GET', pathname, body, onData, signal, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        method,
+        path: pathname,
+        signal,
+        headers: payload
+          ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+          : undefined
+      },
+      (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          if (onData) onData(chunk);
+          else text += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode || 0, text }));
+        res.on('error', reject);
+      }
+    );
+    req.on('error', (err) => reject(isAbortError(err) ? createAbortError() : err));
+    if (timeoutMs) {
+      req.setTimeout(timeoutMs, () => {
+        req.destroy(createTimeoutError(`llama-server sent nothing for ${Math.round(timeoutMs / 1000)} s on ${pathname}.`));
+      });
+    }
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+async function waitForServerReady(state) {
+  const deadline = Date.now() + SERVER_STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (state.exited) {
+      throw new Error(`llama-server exited during startup. ${state.stderr.slice(-2000)}`.trim());
+    }
+    try {
+      // /health returns 503 while the model is still loading and 200 once it can serve requests.
+      const res = await httpRequest({ port: state.port, pathname: '/health', timeoutMs: HEALTH_PROBE_TIMEOUT_MS });
+      if (res.status === 200) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((r) => setTimeout(r, 500));
+  }
+  throw new Error('llama-server did not become ready in time.');
+}
+
+function clearIdleTimer() {
+  if (server?.idleTimer) {
+    clearTimeout(server.idleTimer);
+    server.idleTimer = null;
+  }
+}
+
+function scheduleIdleShutdown() {
+  if (!server || server.activeRequests > 0) return;
+  clearIdleTimer();
+  server.idleTimer = setTimeout(() => stopLlamaServer(), getServerIdleMs());
+  server.idleTimer.unref?.();
+}
+
+/**
+ * Stop the persistent llama-server (if running). Safe to call at any time.
+ */
+function stopLlamaServer() {
+  if (!server) return;
+  clearIdleTimer();
+  const { child } = server;
+  server = null;
+  try {
+    child.kill();
+  } catch {
+    // ignore
+  }
+}
+
+async function ensureLlamaServer({ serverBin, modelPath }) {
+  if (server && !server.exited && server.modelPath === modelPath) {
+    clearIdleTimer();
+    await server.ready;
+    return server;
+  }
+  stopLlamaServer();
+
+  const port = await getFreePort();
+  const binDir = path.dirname(serverBin);
+  const args = [
+    '-m', modelPath,
+    '--host', '127.0.0.1',
+    '--port', String(port),
+    '--ctx-size', String(CTX_SIZE),
+    '-t', String(getThreadCount()),
+    '--parallel', '1'
+  ];
+  const child = spawn(serverBin, args, {
+    cwd: binDir,
+    env: getLlamaEnv(binDir),
+    stdio: ['ignore', 'ignore', 'pipe'],
+    windowsHide: true
+  });
+
+  const state = { child, port, modelPath, ready: null, activeRequests: 0, idleTimer: null, exited: false, stderr: '' };
+  child.stderr.on('data', (chunk) => {
+    // Keep only the tail; the server logs every request.
+    state.stderr = (state.stderr + chunk.toString('utf8')).slice(-8000);
+  });
+  child.on('error', () => {
+    state.exited = true;
+  });
+  child.on('exit', () => {
+    state.exited = true;
+    if (server === state) server = null;
+  });
+
+  server = state;
+  state.ready = waitForServerReady(state).catch((e) => {
+    if (server === state) stopLlamaServer();
+    throw e;
+  });
+  await state.ready;
+  return state;
+}
+
+async function runLlamaServer({ prompt, grammar, onProgress, signal, serverBin, modelPath }) {
+  // Cancelling only stops *waiting* for startup; the server stays up for the next document.
+  const state = await raceAbort(ensureLlamaServer({ serverBin, modelPath }), signal);
+  state.activeRequests++;
+
+  const nPredict = N_PREDICT;
+  let content = '';
+  let tokens = 0;
+  let lastProgressAt = 0;
+  let buffered = '';
+  let streamError = null;
+
+  const handleEvent = (line) => {
+    if (!line.startsWith('data:')) return;
+    const json = line.slice(5).trim();
+    if (!json || json === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(json);
+    } catch {
+      return;
+    }
+    if (event.error) {
+      streamError = event.error.message || JSON.stringify(event.error);
+      return;
+    }
+    if (typeof event.content === 'string') {
+      content += event.content;
+    }
+    // Each streamed event carries one sampled token; the final event reports the exact count.
+    tokens = typeof event.tokens_predicted === 'number' ? event.tokens_predicted : tokens + 1;
+    if (onProgress) {
+      const now = Date.now();
+      if (event.stop || now - lastProgressAt > 750) {
+        lastProgressAt = now;
+        try {
+          const pct = Math.max(0, Math.min(99, (tokens / Math.max(1, nPredict)) * 100));
+          onProgress({ stage: 'model', percent: pct, tokens, targetTokens: nPredict });
+        } catch {
+          // ignore
+        }
+      }
+    }
+  };
+
   try {
-    return JSON.parse(jsonText);
+    const res = await httpRequest({
+      port: state.port,
+      method: 'POST',
+      pathname: '/completion',
+      body: {
+        prompt,
+        n_predict: nPredict,
+        temperature: SAMPLING.temperature,
+        top_p: SAMPLING.topP,
+        repeat_penalty: SAMPLING.repeatPenalty,
+        ...(grammar ? { grammar } : {}),
+        stream: true,
+        cache_prompt: false
+      },
+      // Closing the connection makes llama-server stop generating for this request.
+      signal,
+      timeoutMs: COMPLETION_STALL_TIMEOUT_MS,
+      onData: (chunk) => {
+        buffered += chunk;
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+          handleEvent(buffered.slice(0, newline).trim());
+          buffered = buffered.slice(newline + 1);
+        }
+      }
+    });
+    if (buffered.trim()) handleEvent(buffered.trim());
+
+    if (res.status !== 200) {
+      throw new Error(`llama-server completion failed with status ${res.status}. ${streamError || ''}`.trim());
+    }
+    if (streamError) {
+      throw new Error(`llama-server completion failed: ${streamError}`);
+    }
+    return content;
   } catch (e) {
-    const snippet = jsonText.slice(0, 600).replace(/\s+/g, ' ').trim();
-    throw new Error(`Offline analysis returned invalid JSON (parse failed). Snippet: ${snippet}`);
+    // A hung server would stall every later document too; the next one starts a fresh server.
+    if (e?.name === 'TimeoutError' && server === state) stopLlamaServer();
+    throw e;
+  } finally {
+    state.activeRequests--;
+    if (server === state) scheduleIdleShutdown();
+  }
+}
+
+/**
+ * Run the local model and return its raw text output, using the persistent llama-server when
+ * available (see OFFLINE_LLAMA_BACKEND) and the one-shot CLI otherwise.
+ */
+async function runLlamaText({ prompt, grammar, onProgress, signal }) {
+  const backend = getLlamaBackend();
+  if (backend !== 'cli' && !(backend === 'auto' && serverUnavailable)) {
+    const resourcesBase = getResourcesBase();
+    const serverBin = findLlamaServerBinary(resourcesBase);
+    const modelPath = getModelPath(resourcesBase);
+
+    if (!serverBin && backend === 'server') {
+      throw new Error(
+        `Offline analysis is configured for llama-server, but it is missing. Expected under: ${path.join(resourcesBase, 'llama', getPlatformKey())}`
+      );
+    }
+    if (serverBin && fs.existsSync(modelPath)) {
+      try {
+        return await runLlamaServer({ prompt, grammar, onProgress, signal, serverBin, modelPath });
+      } catch (e) {
+        // In auto mode, a server that can't start (old build, unsupported flags, ...) shouldn't
+        // block analysis: remember that and use the CLI for the rest of the session.
+        // A stalled completion is a failed document, not a sign the server can't run.
+        if (backend === 'server' || server || isAbortError(e) || e?.name === 'TimeoutError') throw e;
+        serverUnavailable = true;
+      }
+    }
   }
+  return await runLlamaCli({ prompt, grammar, onProgress, signal });
 }
 
-module.exports = { runLlamaJson, getResourcesBase, getPlatformKey, getModelPath };
+module.exports = { runLlamaText, stopLlamaServer, getResourcesBase, getPlatformKey, getModelPath };
 
 
@@ -3,6 +3,7 @@ const path = require('node:path');
 const fsp = require('node:fs/promises');
 const { spawn } = require('node:child_process');
 const { getUserOfflineResourcesDir, getExpectedPaths } = require('./offlineResourcesInstaller');
+const { throwIfAborted } = require('./abort');
 
 function run(cmd, args, opts = {}) {
   return new Promise((resolve) => {
@@ -39,8 +40,9 @@ async function hasOcrMyPdf() {
  * Notes:
  * - We use `--skip-text` so OCR only runs when the PDF lacks a text layer (fastest and safest).
  * - This is intentionally "best effort": we don't want hard dependency bloat inside the installer.
+ * - Aborting `signal` kills the running `ocrmypdf` process and rejects with an AbortError.
  */
-async function ocrToSearchablePdfBestEffort(inputPdfPath) {
+async function ocrToSearchablePdfBestEffort(inputPdfPath, { signal } = {}) {
   const ok = await hasOcrMyPdf();
   if (!ok) return null;
 
@@ -68,7 +70,8 @@ async function ocrToSearchablePdfBestEffort(inputPdfPath) {
     // ignore
   }
 
-  const res = await run(cmd, args, { windowsHide: true });
+  const res = await run(cmd, args, { windowsHide: true, signal });
+  throwIfAborted(signal);
   if (res.code === 0) return outputPdfPath;
   return null;
 }
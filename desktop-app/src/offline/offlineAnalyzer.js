@@ -1,6 +1,12 @@
-const { AnalysisReportSchema } = require('./reportSchema');
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { AnalysisReportSchema, REPORT_JSON_TEMPLATE } = require('./reportSchema');
 const { extractPdfPagesText } = require('./pdfTextExtractor');
-const { runLlamaJson } = require('./llamaRunner');
+const { runLlamaText, getResourcesBase, getModelPath } = require('./llamaRunner');
+const { getReportGrammar } = require('./reportGrammar');
+const { parseModelJson, repairReportValues, formatZodIssues } = require('./jsonRepair');
+const { throwIfAborted } = require('./abort');
 const { ocrToSearchablePdfBestEffort, hasOcrMyPdf } = require('./ocrRunner');
 
 // We must keep the prompt within the model context window.
@@ -9,88 +15,368 @@ const APPROX_CHARS_PER_TOKEN = 4;
 const DEFAULT_CTX_SIZE = 4096;
 const DEFAULT_N_PREDICT = 1536;
 const SAFETY_TOKENS = 256;
+// How many times we re-prompt the model with its own validation errors before giving up.
+// Override with OFFLINE_REPAIR_ATTEMPTS (0 disables re-prompting; deterministic fixes still apply).
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+// Bump when analysis behaviour changes in a way that makes previously cached reports stale
+// (chunk merging, repair rules, ...) without changing the prompt or schema text.
+const ANALYZER_REVISION = 2;
+
+function getDefaultRepairAttempts() {
+  const fromEnv = Number.parseInt(process.env.OFFLINE_REPAIR_ATTEMPTS || '', 10);
+  return Number.isFinite(fromEnv) && fromEnv >= 0 ? fromEnv : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+function getMaxPromptChars({ ctxSize = DEFAULT_CTX_SIZE, nPredict = DEFAULT_N_PREDICT } = {}) {
+  // Budget: prompt tokens + predicted tokens must fit ctx window.
+  const maxPromptTokens = Math.max(512, ctxSize - nPredict - SAFETY_TOKENS);
+  return maxPromptTokens * APPROX_CHARS_PER_TOKEN;
+}
+
+function buildPromptHeader({ chunk } = {}) {
+  // When a long SOP is split into page windows, tell the model which slice it is looking at
+  // so it doesn't try to summarize pages it hasn't seen.
+  const scope = chunk
+    ? [
+        `Scope: this is part ${chunk.index} of ${chunk.count} of a longer SOP (${chunk.totalPages} pages).`,
+        `Only pages ${chunk.firstPage}-${chunk.lastPage} are included below. Analyze ONLY these pages; other parts are analyzed separately and merged afterwards.`,
+        ''
+      ]
+    : [];
 
-function buildPrompt({ pages, ctxSize = DEFAULT_CTX_SIZE, nPredict = DEFAULT_N_PREDICT }) {
   // Keep the prompt deterministic and highly structured to maximize JSON compliance.
-  const header = [
+  return [
     'You are an Expert Pharmaceutical Manufacturing Process Optimization Specialist.',
     '',
     'Task: Analyze the following SOP (PDF text extracted per page) and return ONLY a single JSON object.',
+    ...scope,
     'Requirements:',
     '- Output MUST be valid JSON (no markdown, no commentary).',
     '- Output MUST match the JSON template below (same keys and structure).',
     '- Use proper JSON types: strings MUST be quoted, numbers MUST be numbers.',
     '- Every automation opportunity MUST include sopReference.stepIdentifier and sopReference.pageNumber (1-indexed).',
+    '- evidenceQuote MUST be a short verbatim excerpt (one sentence or less) copied exactly from that page of the SOP.',
     '',
     'JSON template (fill in values; arrays may be empty if not applicable):',
-    '{',
-    '  "executiveSummary": {',
-    '    "sopTitle": "",',
-    '    "complexityScore": "",',
-    '    "processEfficiencyRating": "",',
-    '    "totalManualTouchpoints": 0,',
-    '    "automationPotentialScore": "",',
-    '    "timeSavingsEstimate": "",',
-    '    "errorReductionProjection": "",',
-    '    "complianceRiskMitigation": "",',
-    '    "implementationPriority": ""',
-    '  },',
-    '  "detailedAnalysis": {',
-    '    "currentState": {',
-    '      "processBreakdown": [],',
-    '      "manualTouchpointInventory": [],',
-    '      "dataFlowMapping": "",',
-    '      "bottleneckIdentification": ""',
-    '    },',
-    '    "automationOpportunities": [',
-    '      {',
-    '        "opportunityCategory": "",',
-    '        "sopReference": { "stepIdentifier": "", "pageNumber": 1 },',
-    '        "currentManualProcess": "",',
-    '        "proposedAutomationSolution": "",',
-    '        "technologyRequired": "",',
-    '        "implementationComplexity": "Low",',
-    '        "roiPotential": "Low",',
-    '        "complianceImpact": "",',
-    '        "timelineEstimate": ""',
-    '      }',
-    '    ],',
-    '    "implementationRoadmap": [',
-    '      { "phase": "", "description": "" }',
-    '    ],',
-    '    "technicalRequirements": {',
-    '      "platformRequirements": "",',
-    '      "trainingRequirements": "",',
-    '      "budgetEstimate": "",',
-    '      "riskMitigation": ""',
-    '    }',
-    '  }',
-    '}',
+    REPORT_JSON_TEMPLATE,
     '',
     'SOP content (page-delimited):'
   ].join('\n');
+}
+
+function formatPage(page) {
+  const label = page.continued ? `${page.pageNumber} (continued)` : `${page.pageNumber}`;
+  return `\n--- PAGE ${label} ---\n${page.text || ''}`;
+}
+
+function buildPrompt({ pages, chunk }) {
+  return buildPromptHeader({ chunk }) + pages.map(formatPage).join('');
+}
 
-  const bodyParts = [];
-  for (const p of pages) {
-    bodyParts.push(`\n--- PAGE ${p.pageNumber} ---\n${p.text || ''}`);
+/**
+ * Split a single page whose text alone exceeds the window budget into several pieces.
+ * Pieces keep the original pageNumber so opportunity references still point at the real page.
+ */
+function splitOversizedPage(page, maxChars) {
+  if (formatPage(page).length <= maxChars) return [page];
+
+  const overhead = formatPage({ pageNumber: page.pageNumber, continued: true, text: '' }).length;
+  const sliceChars = Math.max(256, maxChars - overhead);
+  const text = page.text || '';
+  const pieces = [];
+  let offset = 0;
+  while (offset < text.length) {
+    let end = Math.min(text.length, offset + sliceChars);
+    if (end < text.length) {
+      // Prefer breaking on whitespace so we don't cut words in half.
+      const lastSpace = text.lastIndexOf(' ', end);
+      if (lastSpace > offset + sliceChars / 2) end = lastSpace;
+    }
+    pieces.push({ pageNumber: page.pageNumber, text: text.slice(offset, end).trim(), continued: pieces.length > 0 });
+    offset = end;
   }
+  return pieces;
+}
 
-  const full = header + bodyParts.join('');
+/**
+ * Group pages into windows that each fit the model context alongside the prompt header.
+ *
+ * @param {{ pages: Array<{pageNumber: number, text: string}>, ctxSize?: number, nPredict?: number }} options
+ * @returns {Array<Array<{pageNumber: number, text: string, continued?: boolean}>>}
+ */
+function chunkPages({ pages, ctxSize = DEFAULT_CTX_SIZE, nPredict = DEFAULT_N_PREDICT }) {
+  const maxPromptChars = getMaxPromptChars({ ctxSize, nPredict });
 
-  // Budget: prompt tokens + predicted tokens must fit ctx window.
-  const maxPromptTokens = Math.max(512, ctxSize - nPredict - SAFETY_TOKENS);
-  const maxPromptChars = maxPromptTokens * APPROX_CHARS_PER_TOKEN;
-  if (full.length <= maxPromptChars) return full;
+  // Fast path: the whole document fits in one prompt.
+  if (buildPrompt({ pages }).length <= maxPromptChars) return [pages];
+
+  // Measure the header with worst-case numbers so every window is guaranteed to fit.
+  const chunkHeader = buildPromptHeader({
+    chunk: { index: 9999, count: 9999, firstPage: 9999, lastPage: 9999, totalPages: 9999 }
+  });
+  const windowChars = maxPromptChars - chunkHeader.length;
+
+  const windows = [];
+  let current = [];
+  let used = 0;
+  for (const page of pages) {
+    for (const piece of splitOversizedPage(page, windowChars)) {
+      const size = formatPage(piece).length;
+      if (current.length > 0 && used + size > windowChars) {
+        windows.push(current);
+        current = [];
+        used = 0;
+      }
+      current.push(piece);
+      used += size;
+    }
+  }
+  if (current.length > 0) windows.push(current);
+  return windows;
+}
+
+function normalizeKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function uniqueStrings(values) {
+  const seen = new Set();
+  const out = [];
+  for (const v of values) {
+    const key = normalizeKey(v);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(v);
+  }
+  return out;
+}
+
+function joinDistinct(values) {
+  return uniqueStrings(values.map((v) => (typeof v === 'string' ? v.trim() : ''))).join(' ');
+}
+
+// Most frequent non-empty value across chunks; ties go to the earliest chunk.
+function pickConsensus(values) {
+  const counts = new Map();
+  let best = '';
+  let bestCount = 0;
+  for (const v of values) {
+    const key = normalizeKey(v);
+    if (!key) continue;
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    if (count > bestCount) {
+      best = v;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge per-window partial reports (in page order) into a single report covering every page.
+ * - Opportunities are deduplicated on step + manual process; the first occurrence (and its
+ *   original sopReference.pageNumber) wins.
+ * - Touchpoint inventories are concatenated and deduplicated; totalManualTouchpoints is
+ *   recomputed from the merged inventory.
+ */
+function mergeChunkReports(reports) {
+  const summaries = reports.map((r) => r.executiveSummary);
+  const details = reports.map((r) => r.detailedAnalysis);
+
+  const opportunities = [];
+  const seenOpportunities = new Set();
+  for (const d of details) {
+    for (const opp of d.automationOpportunities) {
+      const key = `${normalizeKey(opp.sopReference.stepIdentifier)}|${normalizeKey(opp.currentManualProcess)}`;
+      if (seenOpportunities.has(key)) continue;
+      seenOpportunities.add(key);
+      opportunities.push(opp);
+    }
+  }
+
+  // Phases with the same name are combined; their descriptions are joined in page order.
+  const phases = new Map();
+  for (const d of details) {
+    for (const phase of d.implementationRoadmap) {
+      const key = normalizeKey(phase.phase);
+      if (!phases.has(key)) phases.set(key, { phase: phase.phase, descriptions: [] });
+      phases.get(key).descriptions.push(phase.description);
+    }
+  }
+  const roadmap = [...phases.values()].map((p) => ({ phase: p.phase, description: joinDistinct(p.descriptions) }));
+
+  const manualTouchpointInventory = uniqueStrings(details.flatMap((d) => d.currentState.manualTouchpointInventory));
+  const chunkTouchpoints = summaries.reduce((sum, s) => sum + (s.totalManualTouchpoints || 0), 0);
+
+  const consensus = (field) => pickConsensus(summaries.map((s) => s[field]));
+  const technical = (field) => joinDistinct(details.map((d) => d.technicalRequirements[field]));
+
+  return {
+    executiveSummary: {
+      sopTitle: summaries.map((s) => s.sopTitle).find((t) => normalizeKey(t)) || '',
+      complexityScore: consensus('complexityScore'),
+      processEfficiencyRating: consensus('processEfficiencyRating'),
+      totalManualTouchpoints: manualTouchpointInventory.length > 0 ? manualTouchpointInventory.length : chunkTouchpoints,
+      automationPotentialScore: consensus('automationPotentialScore'),
+      timeSavingsEstimate: consensus('timeSavingsEstimate'),
+      errorReductionProjection: consensus('errorReductionProjection'),
+      complianceRiskMitigation: joinDistinct(summaries.map((s) => s.complianceRiskMitigation)),
+      implementationPriority: consensus('implementationPriority')
+    },
+    detailedAnalysis: {
+      currentState: {
+        processBreakdown: uniqueStrings(details.flatMap((d) => d.currentState.processBreakdown)),
+        manualTouchpointInventory,
+        dataFlowMapping: joinDistinct(details.map((d) => d.currentState.dataFlowMapping)),
+        bottleneckIdentification: joinDistinct(details.map((d) => d.currentState.bottleneckIdentification))
+      },
+      automationOpportunities: opportunities,
+      implementationRoadmap: roadmap,
+      technicalRequirements: {
+        platformRequirements: technical('platformRequirements'),
+        trainingRequirements: technical('trainingRequirements'),
+        budgetEstimate: technical('budgetEstimate'),
+        riskMitigation: technical('riskMitigation')
+      }
+    }
+  };
+}
+
+function buildRepairPrompt({ json, issues }, budget) {
+  const header = [
+    'You previously produced JSON for an SOP automation analysis report, but it failed validation.',
+    '',
+    'Task: Return the complete corrected JSON object. Fix ONLY the problems listed below and keep all other content.',
+    'Requirements:',
+    '- Output MUST be valid JSON (no markdown, no commentary).',
+    '- Keep the same keys and structure; strings MUST be quoted, numbers MUST be numbers.',
+    '- implementationComplexity and roiPotential MUST be exactly one of "Low", "Medium", "High".',
+    '',
+    'Validation errors:',
+    ...issues.slice(0, 20).map((issue) => `- ${issue}`),
+    '',
+    'JSON to fix:',
+    ''
+  ].join('\n');
+
+  const maxJsonChars = Math.max(0, getMaxPromptChars(budget) - header.length);
+  return header + (json.length > maxJsonChars ? json.slice(0, maxJsonChars) : json);
+}
+
+// Parse and validate one model output, applying deterministic fixes along the way.
+function validateModelOutput(raw) {
+  const parsedJson = parseModelJson(raw);
+  if (!parsedJson.ok) {
+    return {
+      ok: false,
+      fixes: parsedJson.fixes,
+      issues: [`(root): output is not valid JSON (${parsedJson.error})`],
+      json: parsedJson.text
+    };
+  }
+
+  const fixes = [...parsedJson.fixes];
+  let result = AnalysisReportSchema.safeParse(parsedJson.data);
+  if (!result.success) {
+    result = AnalysisReportSchema.safeParse(repairReportValues(parsedJson.data, AnalysisReportSchema, fixes));
+  }
+  if (result.success) {
+    return { ok: true, data: result.data, fixes };
+  }
+  return { ok: false, fixes, issues: formatZodIssues(result.error), json: JSON.stringify(parsedJson.data) };
+}
+
+/**
+ * Run the model once and validate its output. When validation fails even after deterministic
+ * fixes, re-prompt the model with the validation errors up to `repairAttempts` times.
+ * `complete` is the text completion backend (local llama.cpp unless a provider supplies another).
+ * Every attempt (and the fixes applied to it) is reported through `onRepair` whenever the
+ * model needed help, so callers can track how often that happens.
+ */
+async function runModelPass({ prompt, label, complete, budget, engineLabel, onModelProgress, onRepairProgress, repairAttempts, onRepair, signal }) {
+  const grammar = getReportGrammar();
+  const attempts = [];
+
+  let outcome = validateModelOutput(await complete({ prompt, grammar, onProgress: onModelProgress, signal }));
+  attempts.push({ kind: 'initial', ok: outcome.ok, fixes: outcome.fixes, issues: outcome.ok ? [] : outcome.issues });
+
+  for (let attempt = 1; !outcome.ok && attempt <= repairAttempts; attempt++) {
+    if (onRepairProgress) onRepairProgress({ attempt, maxAttempts: repairAttempts });
+    const raw = await complete({ prompt: buildRepairPrompt(outcome, budget), grammar, onProgress: onModelProgress, signal });
+    outcome = validateModelOutput(raw);
+    attempts.push({ kind: 'reprompt', attempt, ok: outcome.ok, fixes: outcome.fixes, issues: outcome.ok ? [] : outcome.issues });
+  }
+
+  const neededHelp = attempts.length > 1 || attempts[0].fixes.length > 0;
+  if (neededHelp && onRepair) {
+    try {
+      onRepair({ label: label || null, ok: outcome.ok, attempts });
+    } catch {
+      // ignore
+    }
+  }
+
+  if (!outcome.ok) {
+    const where = label ? ` (${label})` : '';
+    const retried = attempts.length > 1 ? ` after ${attempts.length - 1} repair attempt(s)` : '';
+    throw new Error(`${engineLabel} produced invalid JSON schema${where}${retried}: ${outcome.issues.slice(0, 10).join('; ')}`);
+  }
+  return outcome.data;
+}
 
-  // If the PDF is very long, truncate while preserving early pages (often contain scope/definitions)
-  // and later pages (often contain forms/records/review steps).
-  const head = full.slice(0, Math.floor(maxPromptChars * 0.7));
-  const tail = full.slice(-Math.floor(maxPromptChars * 0.3));
-  return `${head}\n\n[TRUNCATED TO FIT CONTEXT]\n\n${tail}`;
+/**
+ * Hash of everything in the page-based pipeline that shapes the output (prompt template,
+ * grammar/schema, analyzer revision), independent of which model runs it.
+ */
+function getPipelinePromptHash() {
+  return crypto
+    .createHash('sha256')
+    .update([ANALYZER_REVISION, buildPromptHeader(), buildRepairPrompt({ json: '', issues: [] }), getReportGrammar()].join('\n'))
+    .digest('hex');
 }
 
-async function analyzePdfAtPath(filePath, { onProgress } = {}) {
-  const emit = (payload) => {
+/**
+ * Identifies "the same analysis" for caching: which local model file is installed and the
+ * pipeline prompt hash.
+ */
+function getOfflineAnalysisIdentity() {
+  const modelPath = getModelPath(getResourcesBase());
+  let modelId = path.basename(modelPath);
+  try {
+    // Hashing a multi-GB model on every run is too slow; size + mtime identifies the installed file.
+    const stat = fs.statSync(modelPath);
+    modelId += `:${stat.size}:${Math.round(stat.mtimeMs)}`;
+  } catch {
+    // ignore
+  }
+  return { engine: 'offline', modelId, promptHash: getPipelinePromptHash() };
+}
+
+/**
+ * The model file behind offline analyses, for the audit log: its SHA-256 as listed in the
+ * offline pack manifest (checked when the pack was installed) and the pack version. Both are
+ * null for resources installed without a manifest.
+ */
+async function getOfflineModelInfo() {
+  const base = getResourcesBase();
+  const modelFile = path.relative(base, getModelPath(base)).split(path.sep).join('/');
+  let manifest = null;
+  try {
+    manifest = JSON.parse(await fs.promises.readFile(path.join(base, 'manifest.json'), 'utf8'));
+  } catch {
+    // ignore
+  }
+  const entry = Array.isArray(manifest?.files) ? manifest.files.find((f) => f?.path === modelFile) : null;
+  return { modelFile, modelSha256: entry?.sha256 ?? null, offlinePackVersion: manifest?.version ?? null };
+}
+
+function createEmitter(onProgress) {
+  return (payload) => {
     if (!onProgress) return;
     try {
       onProgress(payload);
@@ -98,10 +384,17 @@ async function analyzePdfAtPath(filePath, { onProgress } = {}) {
       // ignore
     }
   };
+}
 
-  emit({ stage: 'starting', percent: 0 });
+/**
+ * Per-page text for analysis, with a best-effort OCR pass for scanned PDFs (progress 0..50).
+ * Throws with guidance when no usable text can be extracted.
+ */
+async function extractSopPages(filePath, { onProgress, signal } = {}) {
+  const emit = createEmitter(onProgress);
 
   let pages = await extractPdfPagesText(filePath, {
+    signal,
     onProgress: ({ stage, pageNumber, totalPages }) => {
       if (stage !== 'extracting') return;
       const pct = totalPages ? Math.round((pageNumber / totalPages) * 30) : 0; // 0..30
@@ -118,9 +411,10 @@ async function analyzePdfAtPath(filePath, { onProgress } = {}) {
     const ocrAvailable = await hasOcrMyPdf();
     if (ocrAvailable) {
       emit({ stage: 'ocr', percent: 35, message: 'Running OCR…' });
-      const ocrPdfPath = await ocrToSearchablePdfBestEffort(filePath);
+      const ocrPdfPath = await ocrToSearchablePdfBestEffort(filePath, { signal });
       if (ocrPdfPath) {
         pages = await extractPdfPagesText(ocrPdfPath, {
+          signal,
           onProgress: ({ stage, pageNumber, totalPages }) => {
             if (stage !== 'extracting') return;
             const pct = 35 + (totalPages ? Math.round((pageNumber / totalPages) * 15) : 0); // 35..50
@@ -150,29 +444,137 @@ async function analyzePdfAtPath(filePath, { onProgress } = {}) {
       throw new Error(base.concat(next).join(' '));
     }
   }
+  return pages;
+}
+
+/**
+ * Analyze already-extracted pages: split them into windows that fit the context, run each
+ * through `complete` with validation and repair, merge, and verify citations (progress 55..100).
+ *
+ * @param {Array<{pageNumber: number, text: string}>} pages
+ * @param {{
+ *   complete?: (request: { prompt: string, grammar: string, onProgress?: Function, signal?: AbortSignal }) => Promise<string>,
+ *   ctxSize?: number,
+ *   nPredict?: number,
+ *   engineLabel?: string,
+ *   modelMessage?: string,
+ *   onProgress?: Function,
+ *   onRepair?: Function,
+ *   signal?: AbortSignal,
+ *   repairAttempts?: number
+ * }} [options]
+ */
+async function analyzePages(
+  pages,
+  {
+    complete = runLlamaText,
+    ctxSize = DEFAULT_CTX_SIZE,
+    nPredict = DEFAULT_N_PREDICT,
+    engineLabel = 'Offline analysis',
+    modelMessage = 'Running local model…',
+    onProgress,
+    onRepair,
+    signal,
+    repairAttempts = getDefaultRepairAttempts()
+  } = {}
+) {
+  const emit = createEmitter(onProgress);
+  const budget = { ctxSize, nPredict };
+  const pass = { complete, budget, engineLabel, repairAttempts, onRepair, signal };
+
   emit({ stage: 'prompt', percent: 55, message: 'Building prompt…' });
-  const prompt = buildPrompt({ pages });
-
-  emit({ stage: 'model', percent: 60, message: 'Running local model…' });
-  const data = await runLlamaJson({
-    prompt,
-    onProgress: (p) => {
-      // Map model progress (0..99) into 60..95
-      const modelPct = typeof p?.percent === 'number' ? p.percent : 0;
-      const pct = 60 + Math.round((Math.max(0, Math.min(99, modelPct)) / 100) * 35);
-      emit({ stage: 'model', percent: Math.min(95, pct), tokens: p.tokens, targetTokens: p.targetTokens });
-    }
-  });
-  emit({ stage: 'parsing', percent: 96, message: 'Validating output…' });
-  const parsed = AnalysisReportSchema.safeParse(data);
-  if (!parsed.success) {
-    throw new Error(`Offline analysis produced invalid JSON schema: ${parsed.error.message}`);
+  const windows = chunkPages({ pages, ctxSize, nPredict });
+
+  // Check every evidence quote against the extracted (or OCR'd) page text.
+  const finishReport = async (report) => {
+    emit({ stage: 'verifying', percent: 98, message: 'Verifying citations…' });
+    const { verifyCitations } = await import('../shared/citationVerifier.mjs');
+    const { stampReportSchemaVersion } = await import('../shared/reportMigrations.mjs');
+    const verified = verifyCitations(report, pages);
+    emit({ stage: 'done', percent: 100 });
+    return stampReportSchemaVersion(verified.report);
+  };
+
+  // Model progress (0..99) is mapped into 60..95, split evenly across page windows.
+  const modelPercent = (chunkIndex, p) => {
+    const modelPct = typeof p?.percent === 'number' ? Math.max(0, Math.min(99, p.percent)) : 0;
+    return Math.min(95, 60 + Math.round(((chunkIndex + modelPct / 100) / windows.length) * 35));
+  };
+
+  if (windows.length === 1) {
+    emit({ stage: 'model', percent: 60, message: modelMessage });
+    const report = await runModelPass({
+      ...pass,
+      prompt: buildPrompt({ pages: windows[0] }),
+      onModelProgress: (p) => {
+        emit({ stage: 'model', percent: modelPercent(0, p), tokens: p.tokens, targetTokens: p.targetTokens });
+      },
+      onRepairProgress: ({ attempt, maxAttempts }) => {
+        emit({ stage: 'repairing', percent: modelPercent(0), message: `Repairing model output (attempt ${attempt}/${maxAttempts})…` });
+      }
+    });
+    emit({ stage: 'parsing', percent: 96, message: 'Validating output…' });
+    return await finishReport(report);
   }
-  emit({ stage: 'done', percent: 100 });
-  return parsed.data;
-}
 
-module.exports = { analyzePdfAtPath };
+  const partials = [];
+  for (let i = 0; i < windows.length; i++) {
+    throwIfAborted(signal);
+    const windowPages = windows[i];
+    const chunk = {
+      index: i + 1,
+      count: windows.length,
+      firstPage: windowPages[0].pageNumber,
+      lastPage: windowPages[windowPages.length - 1].pageNumber,
+      totalPages: pages.length
+    };
+    const message = `Analyzing pages ${chunk.firstPage}–${chunk.lastPage} (part ${chunk.index}/${chunk.count})…`;
+    const progressBase = { stage: 'model', message, chunkIndex: chunk.index, chunkCount: chunk.count };
 
+    emit({ ...progressBase, percent: modelPercent(i) });
+    partials.push(
+      await runModelPass({
+        ...pass,
+        prompt: buildPrompt({ pages: windowPages, chunk }),
+        label: `pages ${chunk.firstPage}-${chunk.lastPage}`,
+        onModelProgress: (p) => {
+          emit({ ...progressBase, percent: modelPercent(i, p), tokens: p.tokens, targetTokens: p.targetTokens });
+        },
+        onRepairProgress: ({ attempt, maxAttempts }) => {
+          emit({
+            ...progressBase,
+            stage: 'repairing',
+            percent: modelPercent(i),
+            message: `Repairing output for pages ${chunk.firstPage}–${chunk.lastPage} (attempt ${attempt}/${maxAttempts})…`
+          });
+        }
+      })
+    );
+  }
+
+  emit({ stage: 'parsing', percent: 96, message: `Merging ${partials.length} partial analyses…` });
+  const parsed = AnalysisReportSchema.safeParse(mergeChunkReports(partials));
+  if (!parsed.success) {
+    throw new Error(`${engineLabel} produced invalid JSON schema after merging: ${parsed.error.message}`);
+  }
+  return await finishReport(parsed.data);
+}
 
+/**
+ * Extract the PDF's pages and analyze them. Options are passed on to `analyzePages`, so the
+ * same pipeline can run against another completion backend.
+ */
+async function analyzePdfAtPath(filePath, options = {}) {
+  createEmitter(options.onProgress)({ stage: 'starting', percent: 0 });
+  const pages = await extractSopPages(filePath, { onProgress: options.onProgress, signal: options.signal });
+  return await analyzePages(pages, options);
+}
 
+module.exports = {
+  analyzePdfAtPath,
+  analyzePages,
+  extractSopPages,
+  getOfflineAnalysisIdentity,
+  getOfflineModelInfo,
+  getPipelinePromptHash
+};
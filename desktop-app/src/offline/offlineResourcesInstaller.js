@@ -3,7 +3,7 @@ const fsp = require('node:fs/promises');
 const path = require('node:path');
 const os = require('node:os');
 const { spawn } = require('node:child_process');
-const { app } = require('electron');
+const { getUserDataDir } = require('../storage/userData');
 const https = require('node:https');
 const http = require('node:http');
 const { URL } = require('node:url');
@@ -29,7 +29,7 @@ function getOfflinePackManifestUrl() {
 
 function getUserOfflineResourcesDir() {
   // Store outside the app bundle so it survives auto-updates and stays writable.
-  return path.join(app.getPath('userData'), 'offline-resources');
+  return path.join(getUserDataDir(), 'offline-resources');
 }
 
 function getLocalManifestPath(baseDir) {
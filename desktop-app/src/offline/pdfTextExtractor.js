@@ -1,13 +1,15 @@
 const fs = require('node:fs/promises');
+const { throwIfAborted } = require('./abort');
 
 /**
  * Extract per-page text from a text-based PDF.
  * Uses pdfjs-dist (loaded via dynamic import because it is ESM).
  *
  * @param {string} filePath
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} [options]
  * @returns {Promise<Array<{pageNumber: number, text: string}>>}
  */
-async function extractPdfPagesText(filePath, { onProgress } = {}) {
+async function extractPdfPagesText(filePath, { onProgress, signal } = {}) {
   const data = await fs.readFile(filePath);
   // pdfjs expects Uint8Array for binary input (Node's Buffer can break on some platforms/runtimes).
   const uint8 = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
@@ -23,6 +25,7 @@ async function extractPdfPagesText(filePath, { onProgress } = {}) {
 
   const pages = [];
   for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    throwIfAborted(signal);
     const page = await pdf.getPage(pageNumber);
     const content = await page.getTextContent();
     const text = (content.items || [])
@@ -0,0 +1,124 @@
+const { AnalysisReportSchema } = require('./reportSchema');
+
+// Derives a llama.cpp GBNF grammar from the Zod report schema so the local model can only
+// emit JSON with the exact keys, key order, types and enum values we validate against.
+// Grammar syntax reference: https://github.com/ggerganov/llama.cpp/blob/master/grammars/README.md
+
+const PRIMITIVE_RULES = {
+  ws: 'ws ::= | " " | "\\n" [ \\t]*',
+  string: 'string ::= "\\"" ( [^"\\\\\\x7F\\x00-\\x1F] | "\\\\" (["\\\\/bfnrt] | "u" [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F]) )* "\\"" ws',
+  number: 'number ::= "-"? ("0" | [1-9] [0-9]*) ("." [0-9]+)? ([eE] [-+]? [0-9]+)? ws',
+  integer: 'integer ::= "-"? ("0" | [1-9] [0-9]*) ws',
+  'nonnegative-integer': 'nonnegative-integer ::= ("0" | [1-9] [0-9]*) ws',
+  'positive-integer': 'positive-integer ::= [1-9] [0-9]* ws',
+  boolean: 'boolean ::= ("true" | "false") ws'
+};
+
+function toRuleName(pathParts) {
+  return pathParts
+    .join('-')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+// GBNF literal for a JSON string token, e.g. "\"Low\"".
+function jsonLiteral(value) {
+  return `"${JSON.stringify(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function unwrapZod(schema) {
+  let current = schema;
+  for (;;) {
+    const typeName = current?._def?.typeName;
+    if (typeName === 'ZodOptional' || typeName === 'ZodNullable' || typeName === 'ZodDefault') {
+      current = current._def.innerType;
+    } else if (typeName === 'ZodEffects') {
+      current = current._def.schema;
+    } else {
+      return current;
+    }
+  }
+}
+
+function integerRule(schema) {
+  const checks = schema._def.checks || [];
+  const min = checks.find((c) => c.kind === 'min');
+  if (!min) return 'integer';
+  if (min.value > 0 || (min.value === 0 && !min.inclusive)) return 'positive-integer';
+  if (min.value === 0) return 'nonnegative-integer';
+  return 'integer';
+}
+
+/**
+ * Convert a Zod schema (objects, arrays, strings, numbers, enums, booleans) into GBNF.
+ *
+ * @param {import('zod').ZodTypeAny} schema
+ * @param {{ rootName?: string }} [options]
+ * @returns {string}
+ */
+function zodToGbnf(schema, { rootName = 'report' } = {}) {
+  const rules = new Map();
+  const primitives = new Set(['ws']);
+
+  const visit = (node, pathParts) => {
+    const inner = unwrapZod(node);
+    const typeName = inner?._def?.typeName;
+
+    switch (typeName) {
+      case 'ZodString':
+        primitives.add('string');
+        return 'string';
+      case 'ZodBoolean':
+        primitives.add('boolean');
+        return 'boolean';
+      case 'ZodNumber': {
+        const isInt = (inner._def.checks || []).some((c) => c.kind === 'int');
+        const name = isInt ? integerRule(inner) : 'number';
+        primitives.add(name);
+        return name;
+      }
+      case 'ZodEnum': {
+        const name = toRuleName(pathParts);
+        rules.set(name, `${name} ::= (${inner.options.map(jsonLiteral).join(' | ')}) ws`);
+        return name;
+      }
+      case 'ZodArray': {
+        const name = toRuleName(pathParts);
+        const item = visit(inner.element, [...pathParts, 'item']);
+        rules.set(name, `${name} ::= "[" ws ( ${item} ( "," ws ${item} )* )? "]" ws`);
+        return name;
+      }
+      case 'ZodObject': {
+        const name = toRuleName(pathParts);
+        // Reserve the name first so nested rules are emitted after their parent.
+        rules.set(name, '');
+        const members = Object.entries(inner.shape).map(([key, value]) => {
+          const valueRule = visit(value, [...pathParts, key]);
+          return `${jsonLiteral(key)} ws ":" ws ${valueRule}`;
+        });
+        rules.set(name, `${name} ::= "{" ws ${members.join(' "," ws ')} "}" ws`);
+        return name;
+      }
+      default:
+        throw new Error(`Cannot build a grammar for schema type ${typeName || 'unknown'} at ${pathParts.join('.')}`);
+    }
+  };
+
+  const rootRule = visit(schema, [rootName]);
+  const lines = [`root ::= ws ${rootRule}`, ...rules.values()];
+  for (const name of Object.keys(PRIMITIVE_RULES)) {
+    if (primitives.has(name)) lines.push(PRIMITIVE_RULES[name]);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+let cachedReportGrammar = null;
+
+function getReportGrammar() {
+  if (!cachedReportGrammar) {
+    cachedReportGrammar = zodToGbnf(AnalysisReportSchema);
+  }
+  return cachedReportGrammar;
+}
+
+module.exports = { zodToGbnf, getReportGrammar, unwrapZod };
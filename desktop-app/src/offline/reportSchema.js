@@ -1,7 +1,7 @@
+// Generated by scripts/generate-report-schema.mjs from desktop-app/src/shared/reportDefinition.mjs.
+// Do not edit by hand: change the definition and run `npm run generate:schema`.
 const { z } = require('zod');
 
-// Mirrors the shape of `AnalysisReport` in the web app (`/types.ts`).
-// Keep this schema in sync with the UI expectations.
 const ExecutiveSummarySchema = z.object({
   sopTitle: z.string(),
   complexityScore: z.string(),
@@ -27,6 +27,7 @@ const AutomationOpportunitySchema = z.object({
     stepIdentifier: z.string(),
     pageNumber: z.number().int().positive()
   }),
+  evidenceQuote: z.string(),
   currentManualProcess: z.string(),
   proposedAutomationSolution: z.string(),
   technologyRequired: z.string(),
@@ -58,8 +59,58 @@ const AnalysisReportSchema = z.object({
   })
 });
 
-module.exports = { AnalysisReportSchema };
-
-
-
+// JSON template shown to the offline model (same keys and order as the schema).
+const REPORT_JSON_TEMPLATE = [
+  '{',
+  '  "executiveSummary": {',
+  '    "sopTitle": "",',
+  '    "complexityScore": "",',
+  '    "processEfficiencyRating": "",',
+  '    "totalManualTouchpoints": 0,',
+  '    "automationPotentialScore": "",',
+  '    "timeSavingsEstimate": "",',
+  '    "errorReductionProjection": "",',
+  '    "complianceRiskMitigation": "",',
+  '    "implementationPriority": ""',
+  '  },',
+  '  "detailedAnalysis": {',
+  '    "currentState": {',
+  '      "processBreakdown": [],',
+  '      "manualTouchpointInventory": [],',
+  '      "dataFlowMapping": "",',
+  '      "bottleneckIdentification": ""',
+  '    },',
+  '    "automationOpportunities": [',
+  '      {',
+  '        "opportunityCategory": "",',
+  '        "sopReference": {',
+  '          "stepIdentifier": "",',
+  '          "pageNumber": 1',
+  '        },',
+  '        "evidenceQuote": "",',
+  '        "currentManualProcess": "",',
+  '        "proposedAutomationSolution": "",',
+  '        "technologyRequired": "",',
+  '        "implementationComplexity": "Low",',
+  '        "roiPotential": "Low",',
+  '        "complianceImpact": "",',
+  '        "timelineEstimate": ""',
+  '      }',
+  '    ],',
+  '    "implementationRoadmap": [',
+  '      {',
+  '        "phase": "",',
+  '        "description": ""',
+  '      }',
+  '    ],',
+  '    "technicalRequirements": {',
+  '      "platformRequirements": "",',
+  '      "trainingRequirements": "",',
+  '      "budgetEstimate": "",',
+  '      "riskMitigation": ""',
+  '    }',
+  '  }',
+  '}'
+].join('\n');
 
+module.exports = { AnalysisReportSchema, REPORT_JSON_TEMPLATE };
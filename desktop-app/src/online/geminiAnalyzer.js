@@ -0,0 +1,132 @@
+const fs = require('node:fs/promises');
+const crypto = require('node:crypto');
+const { extractPdfPagesText } = require('../offline/pdfTextExtractor');
+const { createAbortError, isAbortError, throwIfAborted } = require('../offline/abort');
+const { readStoredGeminiApiKey } = require('../storage/apiKeyStore');
+
+// Online (Gemini) analysis from the main process. The API key stays in the main process; the
+// renderer only ever sees the resulting report.
+
+// The key saved in Settings wins; the environment variables remain for development.
+async function getGeminiApiKey() {
+  return (await readStoredGeminiApiKey()) || process.env.GEMINI_API_KEY || process.env.API_KEY || '';
+}
+
+function loadPrompt() {
+  return import('../shared/geminiPrompt.mjs');
+}
+
+/**
+ * Cache identity for online results. Matches the web app's key scheme (model ID + hash of the
+ * prompt and schema), so the same PDF analyzed either way is cached the same way.
+ */
+async function getOnlineAnalysisIdentity() {
+  const { GEMINI_MODEL, SYSTEM_PROMPT, RESPONSE_SCHEMA } = await loadPrompt();
+  const promptHash = crypto
+    .createHash('sha256')
+    .update(`${SYSTEM_PROMPT}\n${JSON.stringify(RESPONSE_SCHEMA)}`)
+    .digest('hex');
+  return { engine: 'gemini', modelId: GEMINI_MODEL, promptHash };
+}
+
+async function verifyReportCitations(report, filePath, signal) {
+  try {
+    const pages = await extractPdfPagesText(filePath, { signal });
+    const { hasVerifiableText, verifyCitations } = await import('../shared/citationVerifier.mjs');
+    if (!hasVerifiableText(pages)) {
+      return report;
+    }
+    return verifyCitations(report, pages).report;
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    // Verification only annotates the report; a PDF that pdfjs can't read shouldn't fail the run.
+    return report;
+  }
+}
+
+/**
+ * Make the smallest authenticated request we can (model metadata lookup) to check a key.
+ *
+ * @param {string} [apiKey] defaults to the configured key
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+async function testGeminiApiKey(apiKey) {
+  const key = (typeof apiKey === 'string' && apiKey.trim()) || (await getGeminiApiKey());
+  if (!key) {
+    return { ok: false, message: 'No API key is configured.' };
+  }
+  const { GEMINI_MODEL } = await loadPrompt();
+  const { GoogleGenAI } = await import('@google/genai');
+  try {
+    const ai = new GoogleGenAI({ apiKey: key });
+    await ai.models.get({ model: GEMINI_MODEL });
+    return { ok: true, message: `Connected. ${GEMINI_MODEL} is available for this key.` };
+  } catch (e) {
+    const message = e instanceof Error ? e.message : String(e);
+    return { ok: false, message: `Connection failed: ${message}` };
+  }
+}
+
+async function analyzePdfOnline(filePath, { onProgress, signal, apiKey } = {}) {
+  const emit = (payload) => {
+    if (!onProgress) return;
+    try {
+      onProgress(payload);
+    } catch {
+      // ignore
+    }
+  };
+
+  const key = apiKey || (await getGeminiApiKey());
+  if (!key) {
+    throw new Error('Online analysis is not configured. Add your Gemini API key under Settings.');
+  }
+  throwIfAborted(signal);
+
+  emit({ stage: 'reading', percent: 5, message: 'Reading PDF…' });
+  const data = await fs.readFile(filePath);
+
+  const { GEMINI_MODEL, SYSTEM_PROMPT, RESPONSE_SCHEMA, buildValidationRetryPrompt } = await loadPrompt();
+  const { validateReportText } = await import('../shared/reportValidator.mjs');
+  const { GoogleGenAI } = await import('@google/genai');
+  const ai = new GoogleGenAI({ apiKey: key });
+  const pdfPart = { inlineData: { data: data.toString('base64'), mimeType: 'application/pdf' } };
+
+  const request = async (parts) => {
+    try {
+      const response = await ai.models.generateContent({
+        model: GEMINI_MODEL,
+        contents: { parts },
+        config: {
+          responseMimeType: 'application/json',
+          responseSchema: RESPONSE_SCHEMA,
+          abortSignal: signal
+        }
+      });
+      throwIfAborted(signal);
+      return validateReportText(response.text);
+    } catch (e) {
+      if (signal?.aborted) throw createAbortError();
+      const message = e instanceof Error ? e.message : String(e);
+      throw new Error(`Failed to analyze SOP: ${message}`);
+    }
+  };
+
+  emit({ stage: 'requesting', percent: 15, message: 'Waiting for Gemini…' });
+  let outcome = await request([{ text: SYSTEM_PROMPT }, pdfPart]);
+  if (!outcome.ok) {
+    // One retry with the validation errors; a second failure is reported as is.
+    emit({ stage: 'repairing', percent: 50, message: 'Gemini response failed validation, retrying…' });
+    outcome = await request([{ text: SYSTEM_PROMPT }, pdfPart, { text: buildValidationRetryPrompt(outcome.issues) }]);
+  }
+  if (!outcome.ok) {
+    throw new Error(`Failed to analyze SOP: Gemini returned an invalid report: ${outcome.issues.slice(0, 10).join('; ')}`);
+  }
+  const report = outcome.data;
+
+  emit({ stage: 'verifying', percent: 90, message: 'Checking citations against the PDF…' });
+  const { stampReportSchemaVersion } = await import('../shared/reportMigrations.mjs');
+  return stampReportSchemaVersion(await verifyReportCitations(report, filePath, signal));
+}
+
+module.exports = { analyzePdfOnline, getOnlineAnalysisIdentity, getGeminiApiKey, testGeminiApiKey };
@@ -7,7 +7,9 @@ contextBridge.exposeInMainWorld('desktopAPI', {
   }),
   getStartUrl: () => ipcRenderer.invoke('app:getStartUrl'),
   pickPdfFiles: () => ipcRenderer.invoke('dialog:pickPdfFiles'),
-  analyzePdfPaths: (filePaths) => ipcRenderer.invoke('analysis:analyzePdfPaths', filePaths),
+  analyzePdfPaths: (filePaths, options) => ipcRenderer.invoke('analysis:analyzePdfPaths', filePaths, options),
+  analyzeOnlinePaths: (filePaths, options) => ipcRenderer.invoke('analysis:analyzeOnline', filePaths, options),
+  cancelAnalysis: () => ipcRenderer.invoke('analysis:cancel'),
   onAnalysisProgress: (callback) => {
     if (typeof callback !== 'function') return () => {};
     const handler = (_event, payload) => {
@@ -21,6 +23,65 @@ contextBridge.exposeInMainWorld('desktopAPI', {
     return () => ipcRenderer.removeListener('analysis:progress', handler);
   },
   pathToFileUrl: (filePath) => ipcRenderer.invoke('util:pathToFileUrl', filePath),
+  readPdfFile: (fileUrl) => ipcRenderer.invoke('file:readPdf', fileUrl),
+  getGeminiKeyStatus: () => ipcRenderer.invoke('gemini:getKeyStatus'),
+  saveGeminiKey: (apiKey) => ipcRenderer.invoke('gemini:saveKey', apiKey),
+  deleteGeminiKey: () => ipcRenderer.invoke('gemini:deleteKey'),
+  testGeminiKey: (apiKey) => ipcRenderer.invoke('gemini:testKey', apiKey),
+  listAnalysisProviders: () => ipcRenderer.invoke('providers:list'),
+  getAnalysisProviderSettings: () => ipcRenderer.invoke('providers:getSettings'),
+  saveAnalysisProviderSettings: (patch) => ipcRenderer.invoke('providers:saveSettings', patch),
+  testAnalysisProvider: (id) => ipcRenderer.invoke('providers:test', id),
+  listCachedAnalyses: () => ipcRenderer.invoke('cache:list'),
+  deleteCachedAnalysis: (key) => ipcRenderer.invoke('cache:delete', key),
+  clearAnalysisCache: () => ipcRenderer.invoke('cache:clear'),
+  listLibraryEntries: () => ipcRenderer.invoke('library:list'),
+  getLibraryEntry: (id) => ipcRenderer.invoke('library:get', id),
+  saveLibraryReview: (id, review) => ipcRenderer.invoke('library:saveReview', id, review),
+  deleteLibraryEntry: (id) => ipcRenderer.invoke('library:delete', id),
+  listAuditLog: (options) => ipcRenderer.invoke('audit:list', options),
+  recordAuditEvent: (action, details) => ipcRenderer.invoke('audit:record', action, details),
+  recordReviewChange: (opened, previousReview, nextReview) => ipcRenderer.invoke('audit:recordReview', opened, previousReview, nextReview),
+  exportAuditLog: () => ipcRenderer.invoke('audit:export'),
+  getWatchedFolderState: () => ipcRenderer.invoke('intake:getState'),
+  pickFolder: () => ipcRenderer.invoke('dialog:pickFolder'),
+  addWatchedFolder: (folder) => ipcRenderer.invoke('intake:addFolder', folder),
+  updateWatchedFolder: (id, patch) => ipcRenderer.invoke('intake:updateFolder', id, patch),
+  removeWatchedFolder: (id) => ipcRenderer.invoke('intake:removeFolder', id),
+  setWatchedFolderQueuePaused: (paused) => ipcRenderer.invoke('intake:setPaused', paused),
+  retryWatchedFile: (filePath) => ipcRenderer.invoke('intake:retry', filePath),
+  rescanWatchedFolders: () => ipcRenderer.invoke('intake:rescan'),
+  onWatchedFolderState: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const handler = (_event, payload) => {
+      try {
+        callback(payload);
+      } catch {
+        // ignore
+      }
+    };
+    ipcRenderer.on('intake:state', handler);
+    return () => ipcRenderer.removeListener('intake:state', handler);
+  },
+  getLocalApiStatus: () => ipcRenderer.invoke('localApi:getStatus'),
+  configureLocalApi: (patch) => ipcRenderer.invoke('localApi:configure', patch),
+  regenerateLocalApiToken: () => ipcRenderer.invoke('localApi:regenerateToken'),
+  onLocalApiStatus: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const handler = (_event, payload) => {
+      try {
+        callback(payload);
+      } catch {
+        // ignore
+      }
+    };
+    ipcRenderer.on('localApi:status', handler);
+    return () => ipcRenderer.removeListener('localApi:status', handler);
+  },
+  getReportTemplates: () => ipcRenderer.invoke('report:getTemplates'),
+  saveReportTemplates: (templates) => ipcRenderer.invoke('report:saveTemplates', templates),
+  pickLogoImage: () => ipcRenderer.invoke('dialog:pickLogoImage'),
+  exportReportPdf: (request) => ipcRenderer.invoke('report:exportPdf', request),
   checkForUpdates: () => ipcRenderer.invoke('update:check'),
   quitAndInstallUpdate: () => ipcRenderer.invoke('update:quitAndInstall'),
   onUpdateStatus: (callback) => {
@@ -0,0 +1,13 @@
+const { analyzePdfOnline, getOnlineAnalysisIdentity, testGeminiApiKey } = require('../online/geminiAnalyzer');
+
+// Google Gemini. PDF-based: the whole file is sent and Gemini's response schema does the shaping.
+
+/** @type {import('./index').AnalysisProvider} */
+module.exports = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  input: 'pdf',
+  getIdentity: getOnlineAnalysisIdentity,
+  analyzePdf: (filePath, { onProgress, signal } = {}) => analyzePdfOnline(filePath, { onProgress, signal }),
+  testConnection: () => testGeminiApiKey()
+};
@@ -0,0 +1,76 @@
+const { getSetting, updateSetting } = require('../storage/settingsStore');
+const llamaProvider = require('./llamaProvider');
+const geminiProvider = require('./geminiProvider');
+const openAiCompatibleProvider = require('./openAiCompatibleProvider');
+
+/**
+ * An analysis backend. Every provider turns a PDF into an `AnalysisReport` (validated against
+ * the shared report schema); page-based providers can also analyze already-extracted pages.
+ *
+ * @typedef {object} AnalysisProvider
+ * @property {string} id stored as `engine` in the cache and report library
+ * @property {string} label
+ * @property {'pdf' | 'pages'} input what the provider sends to the model
+ * @property {() => Promise<{ engine: string, modelId: string, promptHash: string }>} getIdentity cache identity
+ * @property {(filePath: string, options?: { onProgress?: Function, onRepair?: Function, signal?: AbortSignal }) => Promise<object>} analyzePdf
+ * @property {(pages: Array<{ pageNumber: number, text: string }>, options?: object) => Promise<object>} [analyzePages]
+ * @property {() => Promise<{ ok: boolean, message: string }>} [testConnection]
+ * @property {() => Promise<object>} [getAuditInfo] model details recorded in the audit log beyond the identity
+ */
+
+/** @type {AnalysisProvider[]} */
+const PROVIDERS = [llamaProvider, geminiProvider, openAiCompatibleProvider];
+
+// Providers that can back "Online" analysis; the local model is always the offline one.
+const ONLINE_PROVIDER_IDS = [geminiProvider.id, openAiCompatibleProvider.id];
+const ONLINE_PROVIDER_SETTING = 'onlineProvider';
+
+function getProvider(id) {
+  const provider = PROVIDERS.find((p) => p.id === id);
+  if (!provider) {
+    throw new Error(`Unknown analysis provider: ${id}`);
+  }
+  return provider;
+}
+
+function listProviders() {
+  return PROVIDERS.map(({ id, label, input }) => ({ id, label, input, online: ONLINE_PROVIDER_IDS.includes(id) }));
+}
+
+async function getOnlineProvider() {
+  const id = await getSetting(ONLINE_PROVIDER_SETTING, geminiProvider.id);
+  return getProvider(ONLINE_PROVIDER_IDS.includes(id) ? id : geminiProvider.id);
+}
+
+async function getProviderSettings() {
+  return {
+    onlineProviderId: (await getOnlineProvider()).id,
+    openAiCompatible: await openAiCompatibleProvider.getPublicSettings()
+  };
+}
+
+/**
+ * @param {{ onlineProviderId?: string, openAiCompatible?: object }} patch
+ */
+async function saveProviderSettings(patch) {
+  if (patch?.onlineProviderId !== undefined) {
+    if (!ONLINE_PROVIDER_IDS.includes(patch.onlineProviderId)) {
+      throw new Error(`Invalid online provider: ${patch.onlineProviderId}`);
+    }
+    await updateSetting(ONLINE_PROVIDER_SETTING, patch.onlineProviderId);
+  }
+  if (patch?.openAiCompatible) {
+    await openAiCompatibleProvider.saveSettings(patch.openAiCompatible);
+  }
+  return await getProviderSettings();
+}
+
+async function testProvider(id) {
+  const provider = getProvider(id);
+  if (!provider.testConnection) {
+    return { ok: false, message: `${provider.label} has no connection test.` };
+  }
+  return await provider.testConnection();
+}
+
+module.exports = { getProvider, listProviders, getOnlineProvider, getProviderSettings, saveProviderSettings, testProvider };
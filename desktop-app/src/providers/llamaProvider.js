@@ -0,0 +1,15 @@
+const { analyzePdfAtPath, analyzePages, getOfflineAnalysisIdentity, getOfflineModelInfo } = require('../offline/offlineAnalyzer');
+
+// Local llama.cpp (offline pack). Page-based: the PDF text is extracted (OCR'd if needed),
+// windowed to fit the context and validated against AnalysisReportSchema.
+
+/** @type {import('./index').AnalysisProvider} */
+module.exports = {
+  id: 'offline',
+  label: 'Local model (offline)',
+  input: 'pages',
+  getIdentity: async () => getOfflineAnalysisIdentity(),
+  getAuditInfo: () => getOfflineModelInfo(),
+  analyzePdf: (filePath, options) => analyzePdfAtPath(filePath, options),
+  analyzePages: (pages, options) => analyzePages(pages, options)
+};
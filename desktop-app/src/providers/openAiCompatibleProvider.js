@@ -0,0 +1,169 @@
+const { analyzePdfAtPath, analyzePages, getPipelinePromptHash } = require('../offline/offlineAnalyzer');
+const { createAbortError } = require('../offline/abort');
+const { getSetting, updateSetting } = require('../storage/settingsStore');
+const { readStoredApiKey, saveApiKey, deleteApiKey, maskKey } = require('../storage/apiKeyStore');
+
+// Any server speaking the OpenAI `/v1/chat/completions` API (vLLM, Ollama, an internal
+// inference gateway, ...). Runs the same page-based pipeline as the local model, so long SOPs
+// are windowed and every response goes through schema validation and repair.
+
+const ID = 'openai-compatible';
+const SETTINGS_KEY = 'openAiCompatible';
+const DEFAULT_CONTEXT_SIZE = 32768;
+const MAX_OUTPUT_TOKENS = 4096;
+
+function normalizeConfig(value) {
+  const contextSize = Number.parseInt(value?.contextSize, 10);
+  return {
+    baseUrl: typeof value?.baseUrl === 'string' ? value.baseUrl.trim() : '',
+    model: typeof value?.model === 'string' ? value.model.trim() : '',
+    contextSize: Number.isFinite(contextSize) && contextSize >= 2048 ? contextSize : DEFAULT_CONTEXT_SIZE
+  };
+}
+
+async function getConfig() {
+  return normalizeConfig(await getSetting(SETTINGS_KEY, {}));
+}
+
+/**
+ * Accepts `https://host`, `https://host/v1` or the full `.../chat/completions` URL.
+ */
+function resolveChatCompletionsUrl(baseUrl) {
+  const trimmed = String(baseUrl || '').replace(/\/+$/, '');
+  if (/\/chat\/completions$/.test(trimmed)) return trimmed;
+  if (/\/v1$/.test(trimmed)) return `${trimmed}/chat/completions`;
+  return `${trimmed}/v1/chat/completions`;
+}
+
+async function createChatCompletion({ config, apiKey, messages, maxTokens, jsonMode, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  let response;
+  try {
+    response = await fetch(resolveChatCompletionsUrl(config.baseUrl), {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        temperature: 0,
+        max_tokens: maxTokens,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      })
+    });
+  } catch (e) {
+    if (signal?.aborted && signal.reason?.name !== 'TimeoutError') throw createAbortError();
+    const message = e instanceof Error ? e.message : String(e);
+    throw new Error(`Could not reach ${config.baseUrl}: ${message}`);
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`Endpoint returned HTTP ${response.status}: ${text.slice(0, 300)}`);
+  }
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    throw new Error('Endpoint returned a response that is not JSON.');
+  }
+  const content = body?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error('Endpoint response has no choices[0].message.content.');
+  }
+  return content;
+}
+
+async function getRunOptions(options) {
+  const config = await getConfig();
+  if (!config.baseUrl || !config.model) {
+    throw new Error('The OpenAI-compatible endpoint is not configured. Set its base URL and model under Settings.');
+  }
+  // The environment variable is for the CLI, which can't read keys saved by the app.
+  const apiKey = (await readStoredApiKey(ID)) || process.env.OPENAI_COMPATIBLE_API_KEY || null;
+  return {
+    ...options,
+    ctxSize: config.contextSize,
+    nPredict: MAX_OUTPUT_TOKENS,
+    engineLabel: 'Endpoint analysis',
+    modelMessage: `Waiting for ${config.model}…`,
+    // The llama.cpp grammar doesn't apply here; JSON mode plus schema validation/repair does the job.
+    complete: ({ prompt, signal }) =>
+      createChatCompletion({
+        config,
+        apiKey,
+        messages: [{ role: 'user', content: prompt }],
+        maxTokens: MAX_OUTPUT_TOKENS,
+        jsonMode: true,
+        signal
+      })
+  };
+}
+
+/**
+ * Settings as shown in the UI: never the key itself, only whether one is saved and its last 4 characters.
+ */
+async function getPublicSettings() {
+  const apiKey = await readStoredApiKey(ID);
+  return { ...(await getConfig()), apiKeyHint: apiKey ? maskKey(apiKey) : null };
+}
+
+/**
+ * @param {{ baseUrl?: string, model?: string, contextSize?: number, apiKey?: string, clearApiKey?: boolean }} patch
+ */
+async function saveSettings(patch) {
+  const next = normalizeConfig({ ...(await getConfig()), ...patch });
+  if (next.baseUrl && !/^https?:\/\//i.test(next.baseUrl)) {
+    throw new Error('The base URL must start with http:// or https://.');
+  }
+  await updateSetting(SETTINGS_KEY, next);
+  if (patch?.clearApiKey) {
+    await deleteApiKey(ID);
+  } else if (typeof patch?.apiKey === 'string' && patch.apiKey.trim()) {
+    await saveApiKey(ID, patch.apiKey);
+  }
+  return await getPublicSettings();
+}
+
+/** @type {import('./index').AnalysisProvider} */
+module.exports = {
+  id: ID,
+  label: 'OpenAI-compatible endpoint',
+  input: 'pages',
+  getIdentity: async () => {
+    const config = await getConfig();
+    // The context size and output cap decide how pages are windowed, so they change the report.
+    return {
+      engine: ID,
+      modelId: `${config.model}@${resolveChatCompletionsUrl(config.baseUrl)}:ctx${config.contextSize}:out${MAX_OUTPUT_TOKENS}`,
+      promptHash: getPipelinePromptHash()
+    };
+  },
+  analyzePdf: async (filePath, options) => analyzePdfAtPath(filePath, await getRunOptions(options)),
+  analyzePages: async (pages, options) => analyzePages(pages, await getRunOptions(options)),
+  testConnection: async () => {
+    try {
+      const config = await getConfig();
+      if (!config.baseUrl || !config.model) {
+        return { ok: false, message: 'Set the base URL and model first.' };
+      }
+      await createChatCompletion({
+        config,
+        apiKey: await readStoredApiKey(ID),
+        messages: [{ role: 'user', content: 'Reply with OK.' }],
+        maxTokens: 5,
+        jsonMode: false,
+        signal: AbortSignal.timeout(30_000)
+      });
+      return { ok: true, message: `Connected. ${config.model} responded.` };
+    } catch (e) {
+      const message = e instanceof Error ? e.message : String(e);
+      return { ok: false, message: `Connection failed: ${message}` };
+    }
+  },
+  getPublicSettings,
+  saveSettings,
+  resolveChatCompletionsUrl
+};
@@ -0,0 +1,338 @@
+const fsp = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { BrowserWindow } = require('electron');
+const { getSetting, updateSetting } = require('../storage/settingsStore');
+
+// Formal, printable PDF version of an AnalysisReport. The document is laid out as plain HTML,
+// loaded into a hidden window and printed with Chromium's PDF backend, so the output matches
+// what a user would get from "Print to PDF" without any extra dependencies.
+
+const DEFAULT_TEMPLATE = {
+  id: 'default',
+  name: 'Default',
+  organizationName: '',
+  logoPath: '',
+  accentColor: '#1d4ed8',
+  headerText: '',
+  footerText: 'Printed copies are uncontrolled. Verify the current revision before use.',
+  documentControl: {
+    documentNumber: '',
+    revision: '',
+    classification: '',
+    effectiveDate: '',
+    preparedBy: '',
+    reviewedBy: '',
+    approvedBy: ''
+  }
+};
+
+const LOGO_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+function normalizeTemplate(template) {
+  const t = template && typeof template === 'object' ? template : {};
+  const str = (value, fallback = '') => (typeof value === 'string' ? value : fallback);
+  const control = t.documentControl && typeof t.documentControl === 'object' ? t.documentControl : {};
+  return {
+    id: str(t.id) || crypto.randomUUID(),
+    name: str(t.name).trim() || 'Untitled template',
+    organizationName: str(t.organizationName),
+    logoPath: str(t.logoPath),
+    accentColor: /^#[0-9a-f]{6}$/i.test(str(t.accentColor)) ? t.accentColor : DEFAULT_TEMPLATE.accentColor,
+    headerText: str(t.headerText),
+    footerText: str(t.footerText, DEFAULT_TEMPLATE.footerText),
+    documentControl: Object.fromEntries(
+      Object.keys(DEFAULT_TEMPLATE.documentControl).map((key) => [key, str(control[key])])
+    )
+  };
+}
+
+async function getReportTemplates() {
+  const stored = await getSetting('reportTemplates', null);
+  if (!Array.isArray(stored) || stored.length === 0) {
+    return [normalizeTemplate(DEFAULT_TEMPLATE)];
+  }
+  return stored.map(normalizeTemplate);
+}
+
+async function saveReportTemplates(templates) {
+  if (!Array.isArray(templates) || templates.length === 0) {
+    throw new Error('At least one report template is required.');
+  }
+  const normalized = templates.map(normalizeTemplate);
+  await updateSetting('reportTemplates', normalized);
+  return normalized;
+}
+
+async function readLogoDataUrl(logoPath) {
+  if (!logoPath) return null;
+  const mime = LOGO_MIME_TYPES[path.extname(logoPath).toLowerCase()];
+  if (!mime) return null;
+  try {
+    const bytes = await fsp.readFile(logoPath);
+    return `data:${mime};base64,${bytes.toString('base64')}`;
+  } catch {
+    // A missing logo shouldn't block the export.
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function pageLink(sourceUrl, pageNumber, label) {
+  if (!sourceUrl || !Number.isFinite(pageNumber)) return escapeHtml(label);
+  return `<a href="${escapeHtml(`${sourceUrl}#page=${pageNumber}`)}">${escapeHtml(label)}</a>`;
+}
+
+function describeCitation(citation) {
+  if (!citation) return 'Not checked';
+  if (citation.status === 'verified') return 'Verified';
+  if (citation.status === 'corrected') return `Page corrected (model cited ${citation.citedPageNumber ?? '?'})`;
+  return citation.reason === 'missing-quote' ? 'Unverified (no quote)' : 'Unverified (quote not found)';
+}
+
+function keyValueTable(rows) {
+  return `<table class="kv">${rows
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value) || '&nbsp;'}</td></tr>`)
+    .join('')}</table>`;
+}
+
+const DECISION_LABELS = { accepted: 'Accepted', rejected: 'Rejected', 'needs-discussion': 'Needs discussion' };
+
+function describeDecision(review) {
+  const decision = DECISION_LABELS[review?.decision] || 'Undecided';
+  return review?.comment ? `${decision}: ${review.comment}` : decision;
+}
+
+/**
+ * @param {{ report: any, fileName: string, sourceUrl?: string | null, template: ReturnType<typeof normalizeTemplate>, logoDataUrl?: string | null, generatedAt?: Date, reviewStatus?: string | null }} options
+ */
+function buildReportHtml({ report, fileName, sourceUrl, template, logoDataUrl, generatedAt = new Date(), reviewStatus = null }) {
+  const { executiveSummary: summary, detailedAnalysis: detail } = report;
+  const control = template.documentControl;
+  const opportunities = detail.automationOpportunities || [];
+  // Reviewed reports get a column with each opportunity's decision and comment.
+  const hasDecisions = opportunities.some((opp) => opp.review);
+
+  const titlePage = `
+    <section class="title-page">
+      ${logoDataUrl ? `<img class="logo" src="${logoDataUrl}" alt="">` : ''}
+      ${template.organizationName ? `<div class="org">${escapeHtml(template.organizationName)}</div>` : ''}
+      <div class="doc-type">SOP Automation Analysis Report</div>
+      <h1>${escapeHtml(summary.sopTitle)}</h1>
+      <div class="meta">Source document: ${escapeHtml(fileName)}<br>Generated: ${escapeHtml(generatedAt.toLocaleString())}${
+        reviewStatus ? `<br>Review status: ${escapeHtml(reviewStatus)}` : ''
+      }</div>
+      <h3>Document control</h3>
+      ${keyValueTable([
+        ['Document number', control.documentNumber],
+        ['Revision', control.revision],
+        ['Classification', control.classification],
+        ['Effective date', control.effectiveDate]
+      ])}
+      <table class="signatures">
+        <tr><th>Role</th><th>Name</th><th>Signature</th><th>Date</th></tr>
+        ${[
+          ['Prepared by', control.preparedBy],
+          ['Reviewed by', control.reviewedBy],
+          ['Approved by', control.approvedBy]
+        ]
+          .map(([role, name]) => `<tr><td>${role}</td><td>${escapeHtml(name) || '&nbsp;'}</td><td></td><td></td></tr>`)
+          .join('')}
+      </table>
+    </section>`;
+
+  const executiveSummary = `
+    <section>
+      <h2>1. Executive summary</h2>
+      ${keyValueTable([
+        ['SOP title', summary.sopTitle],
+        ['Complexity score', summary.complexityScore],
+        ['Process efficiency rating', summary.processEfficiencyRating],
+        ['Total manual touchpoints', summary.totalManualTouchpoints],
+        ['Automation potential score', summary.automationPotentialScore],
+        ['Time savings estimate', summary.timeSavingsEstimate],
+        ['Error reduction projection', summary.errorReductionProjection],
+        ['Compliance risk mitigation', summary.complianceRiskMitigation],
+        ['Implementation priority', summary.implementationPriority]
+      ])}
+    </section>`;
+
+  const opportunityTable = `
+    <section class="landscape-friendly">
+      <h2>2. Automation opportunities</h2>
+      <table class="grid">
+        <thead><tr>
+          <th>#</th><th>Category</th><th>SOP ref.</th><th>Current manual process</th><th>Proposed solution</th>
+          <th>Technology</th><th>Complexity</th><th>ROI</th><th>Compliance impact</th><th>Timeline</th>
+          ${hasDecisions ? '<th>Review</th>' : ''}
+        </tr></thead>
+        <tbody>
+        ${opportunities
+          .map(
+            (opp, i) => `<tr>
+              <td>${i + 1}</td>
+              <td>${escapeHtml(opp.opportunityCategory)}</td>
+              <td><a href="#ref-${i + 1}">${escapeHtml(opp.sopReference?.stepIdentifier || 'N/A')}</a></td>
+              <td>${escapeHtml(opp.currentManualProcess)}</td>
+              <td>${escapeHtml(opp.proposedAutomationSolution)}</td>
+              <td>${escapeHtml(opp.technologyRequired)}</td>
+              <td>${escapeHtml(opp.implementationComplexity)}</td>
+              <td>${escapeHtml(opp.roiPotential)}</td>
+              <td>${escapeHtml(opp.complianceImpact)}</td>
+              <td>${escapeHtml(opp.timelineEstimate)}</td>
+              ${hasDecisions ? `<td>${escapeHtml(describeDecision(opp.review))}</td>` : ''}
+            </tr>`
+          )
+          .join('')}
+        </tbody>
+      </table>
+    </section>`;
+
+  const roadmap = `
+    <section>
+      <h2>3. Implementation roadmap</h2>
+      ${(detail.implementationRoadmap || [])
+        .map((phase) => `<h4>${escapeHtml(phase.phase)}</h4><p>${escapeHtml(phase.description)}</p>`)
+        .join('')}
+    </section>`;
+
+  const tech = detail.technicalRequirements || {};
+  const technicalRequirements = `
+    <section>
+      <h2>4. Technical requirements</h2>
+      ${keyValueTable([
+        ['Platform requirements', tech.platformRequirements],
+        ['Training requirements', tech.trainingRequirements],
+        ['Budget estimate', tech.budgetEstimate],
+        ['Risk mitigation', tech.riskMitigation]
+      ])}
+    </section>`;
+
+  const appendix = `
+    <section class="page-break">
+      <h2>Appendix A. SOP page references</h2>
+      ${sourceUrl ? '' : '<p class="note">The source PDF location is not available, so page references are not linked.</p>'}
+      <table class="grid">
+        <thead><tr><th>#</th><th>SOP step</th><th>Page</th><th>Evidence quote</th><th>Citation check</th></tr></thead>
+        <tbody>
+        ${opportunities
+          .map((opp, i) => {
+            const page = Number(opp.sopReference?.pageNumber);
+            return `<tr id="ref-${i + 1}">
+              <td>${i + 1}</td>
+              <td>${escapeHtml(opp.sopReference?.stepIdentifier || 'N/A')}</td>
+              <td>${Number.isFinite(page) ? pageLink(sourceUrl, page, `Page ${page}`) : 'N/A'}</td>
+              <td>${opp.evidenceQuote ? `“${escapeHtml(opp.evidenceQuote)}”` : escapeHtml(opp.currentManualProcess)}</td>
+              <td>${escapeHtml(describeCitation(opp.citation))}</td>
+            </tr>`;
+          })
+          .join('')}
+        </tbody>
+      </table>
+    </section>`;
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(summary.sopTitle)}</title>
+<style>
+  body { font-family: 'Segoe UI', Helvetica, Arial, sans-serif; font-size: 10pt; color: #111827; margin: 0; }
+  h1 { font-size: 22pt; margin: 8px 0 16px; }
+  h2 { font-size: 14pt; color: ${template.accentColor}; border-bottom: 2px solid ${template.accentColor}; padding-bottom: 4px; margin-top: 24px; }
+  h3 { font-size: 11pt; margin-top: 32px; }
+  h4 { margin: 12px 0 4px; }
+  p { margin: 0 0 8px; line-height: 1.4; }
+  a { color: ${template.accentColor}; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 6px; vertical-align: top; text-align: left; }
+  th { background: #f3f4f6; }
+  table.kv th { width: 32%; }
+  table.grid { font-size: 8pt; }
+  table.grid thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+  table.signatures { margin-top: 16px; }
+  table.signatures td { height: 28px; }
+  .title-page { page-break-after: always; padding-top: 40px; }
+  .title-page .logo { max-height: 80px; max-width: 240px; }
+  .org { font-size: 12pt; font-weight: 600; margin-top: 12px; }
+  .doc-type { text-transform: uppercase; letter-spacing: 0.08em; color: ${template.accentColor}; margin-top: 40px; }
+  .meta { color: #4b5563; }
+  .note { color: #6b7280; font-style: italic; }
+  .page-break { page-break-before: always; }
+</style></head>
+<body>${titlePage}${executiveSummary}${opportunityTable}${roadmap}${technicalRequirements}${appendix}</body></html>`;
+}
+
+function buildHeaderTemplate({ template, logoDataUrl }) {
+  const text = template.headerText || template.organizationName;
+  return `<div style="font-size:7pt;width:100%;padding:0 0.6in;display:flex;align-items:center;justify-content:space-between;color:#4b5563;">
+    <span>${logoDataUrl ? `<img src="${logoDataUrl}" style="height:14px;vertical-align:middle;margin-right:6px;">` : ''}${escapeHtml(text)}</span>
+    <span>${escapeHtml([template.documentControl.documentNumber, template.documentControl.revision && `Rev. ${template.documentControl.revision}`].filter(Boolean).join(' · '))}</span>
+  </div>`;
+}
+
+function buildFooterTemplate({ template }) {
+  return `<div style="font-size:7pt;width:100%;padding:0 0.6in;display:flex;justify-content:space-between;color:#4b5563;">
+    <span>${escapeHtml(template.footerText)}</span>
+    <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+  </div>`;
+}
+
+/**
+ * Render the report to PDF bytes.
+ *
+ * @param {{ report: any, fileName: string, sourceUrl?: string | null, template: any, reviewStatus?: string | null }} options
+ * @returns {Promise<Buffer>}
+ */
+async function renderReportPdf({ report, fileName, sourceUrl, template, reviewStatus = null }) {
+  const normalized = normalizeTemplate(template);
+  const logoDataUrl = await readLogoDataUrl(normalized.logoPath);
+  const html = buildReportHtml({ report, fileName, sourceUrl, template: normalized, logoDataUrl, reviewStatus });
+
+  // Reports with embedded logos easily exceed what a data: URL comfortably holds, so go
+  // through a temporary file instead.
+  const tmpFile = path.join(os.tmpdir(), `sop-report-${crypto.randomUUID()}.html`);
+  await fsp.writeFile(tmpFile, html, 'utf8');
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: { sandbox: true, javascript: false, contextIsolation: true, nodeIntegration: false }
+  });
+  try {
+    await win.loadFile(tmpFile);
+    return await win.webContents.printToPDF({
+      pageSize: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: buildHeaderTemplate({ template: normalized, logoDataUrl }),
+      footerTemplate: buildFooterTemplate({ template: normalized }),
+      margins: { top: 0.8, bottom: 0.8, left: 0.6, right: 0.6 },
+      generateDocumentOutline: true
+    });
+  } finally {
+    win.destroy();
+    await fsp.rm(tmpFile, { force: true });
+  }
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  normalizeTemplate,
+  getReportTemplates,
+  saveReportTemplates,
+  buildReportHtml,
+  renderReportPdf
+};
@@ -0,0 +1,449 @@
+const http = require('node:http');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getUserDataDir } = require('../storage/userData');
+const { getSetting, updateSetting } = require('../storage/settingsStore');
+const { describeProgress } = require('../analysis/analyzeFile');
+
+// Opt-in HTTP API on 127.0.0.1 so other tools on the analyst's machine (a document management
+// workflow, a notebook) can submit SOPs:
+//
+//   POST   /analyses              upload a PDF (application/pdf body or multipart/form-data)
+//   GET    /analyses              recent analyses
+//   GET    /analyses/:id          status and progress
+//   GET    /analyses/:id/report   the report JSON once done
+//   DELETE /analyses/:id          cancel a queued or running analysis
+//
+// Every request needs `Authorization: Bearer <token>`. Only a hash of the token is kept in
+// settings.json, so it is shown once when generated. Analyses run through the same pipeline and
+// queue as the UI and the watched folders, and end up in the history. Job status is kept in
+// memory only.
+
+const SETTING_KEY = 'localApi';
+const HOST = '127.0.0.1';
+const DEFAULT_PORT = 47615;
+const ENGINES = ['offline', 'online'];
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+// Finished analyses stay queryable until this many newer ones have finished.
+const MAX_FINISHED_JOBS = 200;
+
+function getUploadsDir() {
+  return path.join(getUserDataDir(), 'api-uploads');
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token, 'utf8').digest();
+
+async function readConfig() {
+  const stored = await getSetting(SETTING_KEY, {});
+  const port = Number(stored?.port);
+  return {
+    enabled: !!stored?.enabled,
+    port: Number.isInteger(port) && port >= 1024 && port <= 65535 ? port : DEFAULT_PORT,
+    tokenHash: /^[0-9a-f]{64}$/.test(stored?.tokenHash) ? stored.tokenHash : null,
+    tokenCreatedAt: typeof stored?.tokenCreatedAt === 'string' ? stored.tokenCreatedAt : null
+  };
+}
+
+// Request errors, answered with `status` and `{ error: message }`.
+function createHttpError(status, message) {
+  const err = new Error(message);
+  err.name = 'HttpError';
+  err.status = status;
+  return err;
+}
+
+function readBody(req) {
+  const tooLarge = () => createHttpError(413, `Uploads are limited to ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.`);
+  if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+    return Promise.reject(tooLarge());
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Past the limit the rest is dropped; the 413 response closes the connection.
+      if (size > MAX_UPLOAD_BYTES) reject(tooLarge());
+      else chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Enough of multipart/form-data for `curl -F file=@sop.pdf` and Python `requests` uploads: the
+// first part with a file name is the PDF, other parts are text fields.
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!match) {
+    throw createHttpError(400, 'The multipart body has no boundary.');
+  }
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  let file = null;
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    // Each part sits between the CRLF after one delimiter and the CRLF before the next.
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const name = /(?:^|;)\s*name="([^"]*)"/im.exec(headers)?.[1];
+      const fileName = /filename="([^"]*)"/i.exec(headers)?.[1];
+      if (fileName !== undefined) {
+        file ??= { fileName, data: part.subarray(headerEnd + 4) };
+      } else if (name) {
+        fields[name] = part.subarray(headerEnd + 4).toString('utf8');
+      }
+    }
+    start = next;
+  }
+  return { fields, file };
+}
+
+async function readUpload(req, url) {
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  const body = await readBody(req);
+  let upload;
+  if (contentType.startsWith('multipart/form-data')) {
+    const { fields, file } = parseMultipart(body, req.headers['content-type']);
+    if (!file) {
+      throw createHttpError(400, 'The multipart body has no file part.');
+    }
+    upload = { fileName: file.fileName, data: file.data, engine: fields.engine, force: fields.force };
+  } else if (contentType.startsWith('application/pdf') || contentType.startsWith('application/octet-stream')) {
+    upload = {
+      fileName: url.searchParams.get('fileName') || req.headers['x-file-name'],
+      data: body,
+      engine: url.searchParams.get('engine'),
+      force: url.searchParams.get('force')
+    };
+  } else {
+    throw createHttpError(415, 'Send the PDF as application/pdf or as the file part of multipart/form-data.');
+  }
+
+  if (!upload.data.subarray(0, 1024).includes('%PDF-')) {
+    throw createHttpError(415, 'The upload is not a PDF.');
+  }
+  const engine = upload.engine || 'offline';
+  if (!ENGINES.includes(engine)) {
+    throw createHttpError(400, `Unknown engine "${engine}". Use one of: ${ENGINES.join(', ')}.`);
+  }
+  // Only the base name is used, and it must not escape the upload folder.
+  let fileName = path.basename(String(upload.fileName || 'upload.pdf')).replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_');
+  if (!fileName.toLowerCase().endsWith('.pdf')) fileName = `${fileName || 'upload'}.pdf`;
+  return { fileName, data: upload.data, engine, force: upload.force === 'true' || upload.force === '1' };
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * @typedef {object} ApiJob
+ * @property {string} id
+ * @property {string} fileName
+ * @property {'offline' | 'online'} engine
+ * @property {'queued' | 'running' | 'done' | 'failed' | 'cancelled'} status
+ * @property {string} createdAt
+ * @property {string | null} startedAt
+ * @property {string | null} finishedAt
+ * @property {object | null} progress the running file's `analysis:progress` fields
+ * @property {boolean} cached
+ * @property {string | null} libraryId report library entry once done
+ * @property {string | null} error
+ */
+
+/**
+ * @param {{
+ *   analyze: (filePath: string, engine: 'offline' | 'online', options: { force: boolean, signal: AbortSignal, onStart: Function, onProgress: Function }) =>
+ *     Promise<{ ok: boolean, report?: object, cached?: boolean, libraryId?: string, error?: string, cancelled?: boolean }>,
+ *   version?: string,
+ *   onChange?: (status: object) => void,
+ *   log?: { warn: Function, info: Function }
+ * }} deps `analyze` queues the file on the shared analysis pipeline and must not throw
+ */
+function createLocalApiServer({ analyze, version = null, onChange, log = console }) {
+  let config = { enabled: false, port: DEFAULT_PORT, tokenHash: null, tokenCreatedAt: null };
+  let server = null;
+  let listenError = null;
+  /** @type {Map<string, ApiJob & { controller: AbortController, report: object | null }>} */
+  const jobs = new Map();
+  // An upload is held in memory until it is written to the uploads folder, so only one is
+  // received at a time.
+  let receivingUpload = false;
+
+  const publicJob = ({ controller, report, ...job }) => ({
+    ...job,
+    links: { self: `/analyses/${job.id}`, report: `/analyses/${job.id}/report` }
+  });
+
+  const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+  const getStatus = () => ({
+    enabled: config.enabled,
+    running: !!server?.listening,
+    port: config.port,
+    url: `http://${HOST}:${config.port}`,
+    error: listenError,
+    hasToken: !!config.tokenHash,
+    tokenCreatedAt: config.tokenCreatedAt,
+    activeCount: [...jobs.values()].filter(isActive).length
+  });
+
+  const notify = () => {
+    try {
+      onChange?.(getStatus());
+    } catch {
+      // ignore
+    }
+  };
+
+  const pruneJobs = () => {
+    const finished = [...jobs.values()].filter((job) => !isActive(job));
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      jobs.delete(job.id);
+    }
+  };
+
+  const isAuthorized = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ''));
+    if (!match || !config.tokenHash) return false;
+    return crypto.timingSafeEqual(hashToken(match[1]), Buffer.from(config.tokenHash, 'hex'));
+  };
+
+  const receiveUpload = async (req, url, id) => {
+    if (receivingUpload) {
+      throw createHttpError(429, 'Another upload is still being received. Try again once it has been accepted.');
+    }
+    receivingUpload = true;
+    try {
+      const { fileName, data, engine, force } = await readUpload(req, url);
+      // Uploads are kept so reports reopened from the history can still show their pages.
+      const filePath = path.join(getUploadsDir(), id, fileName);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, data);
+      return { fileName, filePath, engine, force };
+    } finally {
+      receivingUpload = false;
+    }
+  };
+
+  const submit = async (req, url) => {
+    const id = crypto.randomUUID();
+    const { fileName, filePath, engine, force } = await receiveUpload(req, url, id);
+
+    const job = {
+      id,
+      fileName,
+      engine,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      cached: false,
+      libraryId: null,
+      error: null,
+      controller: new AbortController(),
+      report: null
+    };
+    jobs.set(id, job);
+    log.info('Local API analysis queued', { id, fileName, engine });
+
+    void analyze(filePath, engine, {
+      force,
+      signal: job.controller.signal,
+      onStart: () => {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+      },
+      onProgress: (p) => {
+        job.progress = describeProgress(p);
+      }
+    }).then(async (result) => {
+      job.status = result.ok ? 'done' : result.cancelled ? 'cancelled' : 'failed';
+      job.finishedAt = new Date().toISOString();
+      job.cached = !!result.cached;
+      job.libraryId = result.libraryId ?? null;
+      job.error = result.ok ? null : result.error;
+      job.report = result.ok ? result.report : null;
+      if (!result.ok) {
+        await fsp.rm(path.dirname(filePath), { recursive: true, force: true }).catch(() => {});
+      }
+      pruneJobs();
+      notify();
+    });
+    notify();
+    return job;
+  };
+
+  const route = async (req, res) => {
+    // A page in the browser can reach 127.0.0.1 through a DNS name it controls; only answer
+    // requests addressed to this machine.
+    const host = String(req.headers.host || '').toLowerCase();
+    if (host !== `${HOST}:${config.port}` && host !== `localhost:${config.port}`) {
+      throw createHttpError(403, 'Requests must be addressed to 127.0.0.1 or localhost.');
+    }
+    if (!isAuthorized(req)) {
+      sendJson(res, 401, { error: 'Missing or invalid API token.' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    const url = new URL(req.url, `http://${HOST}:${config.port}`);
+    const [collection, id, sub, ...rest] = url.pathname.split('/').filter(Boolean);
+    if (collection !== 'analyses' || rest.length > 0 || (sub !== undefined && sub !== 'report')) {
+      throw createHttpError(404, 'Not found.');
+    }
+
+    if (!id) {
+      if (req.method === 'POST') {
+        const job = await submit(req, url);
+        sendJson(res, 202, publicJob(job), { Location: `/analyses/${job.id}` });
+        return;
+      }
+      if (req.method === 'GET') {
+        sendJson(res, 200, { version, analyses: [...jobs.values()].reverse().map(publicJob) });
+        return;
+      }
+      throw createHttpError(405, 'Use GET or POST.');
+    }
+
+    const job = jobs.get(id);
+    if (!job) {
+      throw createHttpError(404, 'No analysis with this id (finished analyses are forgotten when the app restarts).');
+    }
+
+    if (sub === 'report') {
+      if (req.method !== 'GET') throw createHttpError(405, 'Use GET.');
+      if (job.status !== 'done') {
+        sendJson(res, 409, { error: isActive(job) ? 'The analysis has not finished yet.' : job.error, status: job.status });
+        return;
+      }
+      sendJson(res, 200, job.report);
+      return;
+    }
+
+    if (req.method === 'GET') {
+      sendJson(res, 200, publicJob(job));
+      return;
+    }
+    if (req.method === 'DELETE') {
+      if (!isActive(job)) {
+        throw createHttpError(409, `The analysis has already ${job.status === 'done' ? 'finished' : job.status}.`);
+      }
+      job.controller.abort();
+      sendJson(res, 202, publicJob(job));
+      return;
+    }
+    throw createHttpError(405, 'Use GET or DELETE.');
+  };
+
+  const handleRequest = (req, res) => {
+    route(req, res).catch((e) => {
+      const status = e?.name === 'HttpError' ? e.status : 500;
+      if (status === 500) log.warn('Local API request failed', e);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      // Don't keep receiving an upload that was refused.
+      if (status === 413 || status === 429) res.setHeader('Connection', 'close');
+      if (status === 429) res.setHeader('Retry-After', '5');
+      sendJson(res, status, { error: e instanceof Error ? e.message : String(e) });
+    });
+  };
+
+  const close = async () => {
+    if (!server) return;
+    const closing = server;
+    server = null;
+    await new Promise((resolve) => {
+      closing.close(() => resolve());
+      closing.closeAllConnections?.();
+    });
+  };
+
+  const listen = async () => {
+    await close();
+    listenError = null;
+    if (!config.enabled) return;
+    const next = http.createServer(handleRequest);
+    try {
+      await new Promise((resolve, reject) => {
+        next.once('error', reject);
+        next.listen(config.port, HOST, () => {
+          next.off('error', reject);
+          resolve();
+        });
+      });
+      server = next;
+      log.info('Local API listening', { url: `http://${HOST}:${config.port}` });
+    } catch (e) {
+      listenError = e?.code === 'EADDRINUSE' ? `Port ${config.port} is already in use.` : e instanceof Error ? e.message : String(e);
+      log.warn('Local API failed to start', e);
+    }
+  };
+
+  const saveConfig = async () => {
+    const { enabled, port, tokenHash, tokenCreatedAt } = config;
+    await updateSetting(SETTING_KEY, { enabled, port, tokenHash, tokenCreatedAt });
+  };
+
+  const newToken = () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    config = { ...config, tokenHash: hashToken(token).toString('hex'), tokenCreatedAt: new Date().toISOString() };
+    return token;
+  };
+
+  return {
+    async start() {
+      config = await readConfig();
+      await listen();
+      notify();
+    },
+
+    async stop() {
+      for (const job of jobs.values()) {
+        if (isActive(job)) job.controller.abort();
+      }
+      await close();
+    },
+
+    getStatus,
+
+    // Analyses submitted through the API are queued or running (a batch from the UI waits for them).
+    isBusy: () => [...jobs.values()].some(isActive),
+
+    /**
+     * Turn the server on or off or move it to another port. Enabling it for the first time
+     * creates a token, returned once as `token`.
+     */
+    async configure(patch) {
+      const port = patch?.port === undefined ? config.port : Number(patch.port);
+      if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+        throw new Error('The port must be a whole number between 1024 and 65535.');
+      }
+      config = { ...config, port, enabled: patch?.enabled === undefined ? config.enabled : !!patch.enabled };
+      const token = config.enabled && !config.tokenHash ? newToken() : undefined;
+      await saveConfig();
+      await listen();
+      notify();
+      return token ? { ...getStatus(), token } : getStatus();
+    },
+
+    // Replace the token; the old one stops working right away.
+    async regenerateToken() {
+      const token = newToken();
+      await saveConfig();
+      notify();
+      return { ...getStatus(), token };
+    }
+  };
+}
+
+module.exports = { DEFAULT_PORT, createLocalApiServer, getUploadsDir };
@@ -0,0 +1,133 @@
+// Checks every automation opportunity's `evidenceQuote` against the SOP's per-page text.
+// Shared by the offline analyzer (main process, via dynamic import) and the web app's Gemini
+// path, so both engines label citations the same way.
+//
+// Each opportunity gets a `citation` object:
+//   - verified:   the quote was found on the cited page
+//   - corrected:  the quote was found on a different page; `sopReference.pageNumber` is moved
+//                 there and the model's page is kept in `citedPageNumber`
+//   - unverified: no page contains the quote (or the model gave no quote)
+
+export const CITATION_MATCH_THRESHOLD = 0.6;
+
+// Scanned PDFs have no text layer: Gemini still reads them (online analysis), but there is nothing to check the
+// quotes against, so those reports are left without citation checks rather than flag every row.
+export const MIN_VERIFIABLE_TEXT_CHARS = 200;
+
+/**
+ * Whether the extracted pages have enough text to verify quotes against.
+ *
+ * @param {Array<{ text: string }>} pages
+ * @returns {boolean}
+ */
+export function hasVerifiableText(pages) {
+  return (pages || []).reduce((sum, page) => sum + (page.text ? page.text.length : 0), 0) >= MIN_VERIFIABLE_TEXT_CHARS;
+}
+
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function ngrams(words, size) {
+  const out = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    out.add(words.slice(i, i + size).join(' '));
+  }
+  return out;
+}
+
+/**
+ * Similarity in [0, 1] between a quote and a page: 1 for a verbatim (normalized) match,
+ * otherwise the share of the quote's word bigrams that occur on the page. Bigrams keep
+ * common words from matching everywhere while tolerating small OCR or paraphrase drift.
+ *
+ * @param {string} quote
+ * @param {string} pageText
+ * @returns {number}
+ */
+export function scoreQuoteOnPage(quote, pageText) {
+  const q = normalizeText(quote);
+  const p = normalizeText(pageText);
+  if (!q || !p) return 0;
+  if (p.includes(q)) return 1;
+
+  const qWords = q.split(' ');
+  const size = qWords.length >= 4 ? 2 : 1;
+  const quoteGrams = ngrams(qWords, size);
+  const pageGrams = ngrams(p.split(' '), size);
+  let hits = 0;
+  for (const gram of quoteGrams) {
+    if (pageGrams.has(gram)) hits++;
+  }
+  return quoteGrams.size ? hits / quoteGrams.size : 0;
+}
+
+function verifyOpportunity(opp, pages, threshold) {
+  const quote = typeof opp.evidenceQuote === 'string' ? opp.evidenceQuote.trim() : '';
+  const citedPage = Number(opp.sopReference?.pageNumber);
+  if (!quote) {
+    return { ...opp, citation: { status: 'unverified', reason: 'missing-quote', score: 0 } };
+  }
+
+  const scored = pages.map((page) => ({ pageNumber: page.pageNumber, score: scoreQuoteOnPage(quote, page.text) }));
+  const cited = scored.find((s) => s.pageNumber === citedPage);
+  const citedScore = Math.round((cited?.score ?? 0) * 100) / 100;
+  if (cited && cited.score >= threshold) {
+    return { ...opp, citation: { status: 'verified', score: citedScore } };
+  }
+
+  // Best-scoring page; ties go to the page closest to the one the model cited.
+  let best = null;
+  for (const s of scored) {
+    if (
+      !best ||
+      s.score > best.score ||
+      (s.score === best.score && Math.abs(s.pageNumber - citedPage) < Math.abs(best.pageNumber - citedPage))
+    ) {
+      best = s;
+    }
+  }
+
+  if (best && best.score >= threshold) {
+    return {
+      ...opp,
+      sopReference: { ...opp.sopReference, pageNumber: best.pageNumber },
+      citation: {
+        status: 'corrected',
+        score: Math.round(best.score * 100) / 100,
+        citedPageNumber: Number.isFinite(citedPage) ? citedPage : undefined
+      }
+    };
+  }
+
+  return {
+    ...opp,
+    citation: { status: 'unverified', reason: 'not-found', score: Math.round(Math.max(citedScore, best?.score ?? 0) * 100) / 100 }
+  };
+}
+
+/**
+ * @template {{ detailedAnalysis: { automationOpportunities: any[] } }} R
+ * @param {R} report
+ * @param {Array<{ pageNumber: number, text: string }>} pages
+ * @param {{ threshold?: number }} [options]
+ * @returns {{ report: R, summary: { verified: number, corrected: number, unverified: number } }}
+ */
+export function verifyCitations(report, pages, { threshold = CITATION_MATCH_THRESHOLD } = {}) {
+  const opportunities = (report.detailedAnalysis.automationOpportunities || []).map((opp) =>
+    verifyOpportunity(opp, pages || [], threshold)
+  );
+  const summary = { verified: 0, corrected: 0, unverified: 0 };
+  for (const opp of opportunities) {
+    summary[opp.citation.status]++;
+  }
+  return {
+    report: { ...report, detailedAnalysis: { ...report.detailedAnalysis, automationOpportunities: opportunities } },
+    summary
+  };
+}
@@ -0,0 +1,76 @@
+// Report files that can be shared and opened without re-running the analysis. A bundle is one
+// JSON file holding the report and, optionally, the source PDF (base64) so page links keep
+// working for whoever opens it, and the reviewer's version when there is one (reportReview.mjs).
+// A bare AnalysisReport JSON is accepted as well. Both are migrated to the current schema
+// version and validated before they are shown.
+
+import { migrateReport } from './reportMigrations.mjs';
+import { validateReport } from './reportValidator.mjs';
+import { normalizeReview } from './reportReview.mjs';
+
+export const REPORT_BUNDLE_FORMAT = 'sop-automation-report';
+export const REPORT_BUNDLE_VERSION = 1;
+
+/**
+ * @param {{ fileName: string, report: object, review?: object | null, pdfBase64?: string | null, exportedAt?: string }} options
+ */
+export function createReportBundle({ fileName, report, review = null, pdfBase64 = null, exportedAt = new Date().toISOString() }) {
+  return {
+    format: REPORT_BUNDLE_FORMAT,
+    formatVersion: REPORT_BUNDLE_VERSION,
+    exportedAt,
+    fileName,
+    // Kept as is: a report without schemaVersion is migrated from version 1 when opened.
+    report,
+    review,
+    pdf: pdfBase64 ? { mimeType: 'application/pdf', base64: pdfBase64 } : null
+  };
+}
+
+/**
+ * Parse a report bundle or bare report JSON.
+ *
+ * @param {string} text file contents
+ * @param {string} sourceName name of the file being opened, used when the JSON doesn't name its PDF
+ * @returns {{ fileName: string, report: any, review: any, pdfBase64: string | null }}
+ */
+export function parseReportFile(text, sourceName) {
+  let value;
+  try {
+    value = JSON.parse(String(text ?? ''));
+  } catch (e) {
+    const message = e instanceof Error ? e.message : String(e);
+    throw new Error(`Not a JSON file (${message}).`);
+  }
+
+  const isBundle = value?.format === REPORT_BUNDLE_FORMAT;
+  if (isBundle && !(Number.isInteger(value.formatVersion) && value.formatVersion <= REPORT_BUNDLE_VERSION)) {
+    throw new Error(`Report bundle version ${value.formatVersion} is newer than this app supports. Update the app to open it.`);
+  }
+  const rawReport = isBundle ? value.report : value;
+  if (!rawReport?.executiveSummary && !rawReport?.detailedAnalysis) {
+    throw new Error('This file does not contain an SOP analysis report.');
+  }
+
+  const { report: migrated } = migrateReport(rawReport);
+  const validation = validateReport(migrated);
+  if (!validation.ok) {
+    const more = validation.issues.length > 10 ? ` (and ${validation.issues.length - 10} more)` : '';
+    throw new Error(`The report does not match the report schema: ${validation.issues.slice(0, 10).join('; ')}${more}`);
+  }
+
+  let review = null;
+  if (isBundle && value.review) {
+    try {
+      review = normalizeReview(value.review);
+    } catch (e) {
+      const message = e instanceof Error ? e.message : String(e);
+      throw new Error(`The review in this file can't be opened: ${message}`);
+    }
+  }
+
+  const pdfBase64 = isBundle && typeof value.pdf?.base64 === 'string' && value.pdf.base64 ? value.pdf.base64 : null;
+  const fileName =
+    (isBundle && typeof value.fileName === 'string' && value.fileName) || String(sourceName || 'report').replace(/(\.report)?\.json$/i, '');
+  return { fileName, report: validation.data, review, pdfBase64 };
+}
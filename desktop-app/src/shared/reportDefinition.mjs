@@ -0,0 +1,219 @@
+// The one definition of the analysis report shape. Everything else is derived from it:
+//   - the Gemini response schema (toGeminiSchema, at runtime in geminiPrompt.mjs)
+//   - the Zod validator and the offline prompt's JSON template (generated into
+//     desktop-app/src/offline/reportSchema.js, which CommonJS code can require synchronously)
+//   - the TypeScript interfaces in /types.ts (generated between the marker comments)
+// After editing this file run `npm run generate:schema`; `npm run check:schema` fails when a
+// generated file is out of date, and `npm test` when the derived forms (and the hand-written
+// reportValidator.mjs) stop accepting and rejecting the same reports.
+//
+// Node kinds: string (optional `enum`), integer (optional `min`), array (`items`), object
+// (`properties`, all required, in output order). Extra keys:
+//   - description: passed to Gemini
+//   - name: emit a named TypeScript interface for this object
+//   - example: 'one' shows one example item for this array in the offline prompt's JSON template
+//   - tsOptional / tsComment: TypeScript-only (fields a report may lack)
+//   - tsExtra: TypeScript-only fields added after analysis (citation checks, schema version,
+//     reviewer decisions)
+//
+// Changing the shape of stored reports also needs a step in reportMigrations.mjs.
+
+const string = (description, extra = {}) => ({ kind: 'string', ...(description ? { description } : {}), ...extra });
+const integer = (description, extra = {}) => ({ kind: 'integer', ...(description ? { description } : {}), ...extra });
+const array = (items, description, extra = {}) => ({ kind: 'array', items, ...(description ? { description } : {}), ...extra });
+const object = (properties, extra = {}) => ({ kind: 'object', properties, ...extra });
+
+const LEVELS = ['Low', 'Medium', 'High'];
+
+export const REPORT_DEFINITION = object(
+  {
+    executiveSummary: object(
+      {
+        sopTitle: string('Title of the SOP document.'),
+        complexityScore: string("e.g., 'Medium (7/10)'"),
+        processEfficiencyRating: string("e.g., 'Low (45%)'"),
+        totalManualTouchpoints: integer('Total number of manual steps identified.', { min: 0 }),
+        automationPotentialScore: string("e.g., 'High (85%)'"),
+        timeSavingsEstimate: string("e.g., 'Est. 40-50 hours/month'"),
+        errorReductionProjection: string("e.g., 'Up to 90% reduction in data entry errors'"),
+        complianceRiskMitigation: string('Summary of how automation improves compliance.'),
+        implementationPriority: string("e.g., 'High'")
+      },
+      { name: 'ExecutiveSummary', description: 'A high-level overview of the analysis.' }
+    ),
+    detailedAnalysis: object({
+      currentState: object(
+        {
+          processBreakdown: array(string(), 'Step-by-step breakdown of the current process.'),
+          manualTouchpointInventory: array(string(), 'List of all manual activities.'),
+          dataFlowMapping: string('Description of how data moves through the process.'),
+          bottleneckIdentification: string('Key bottlenecks and their impact.')
+        },
+        { name: 'CurrentState', description: 'Documentation of the current process.' }
+      ),
+      automationOpportunities: array(
+        object(
+          {
+            opportunityCategory: string(),
+            sopReference: object({
+              stepIdentifier: string('Exact SOP step or section heading'),
+              pageNumber: integer('1-indexed page number within the SOP PDF', { min: 1 })
+            }),
+            evidenceQuote: string('Verbatim excerpt from the cited page that shows this manual step'),
+            currentManualProcess: string(),
+            proposedAutomationSolution: string(),
+            technologyRequired: string(),
+            implementationComplexity: string(undefined, { enum: LEVELS }),
+            roiPotential: string(undefined, { enum: LEVELS }),
+            complianceImpact: string(),
+            timelineEstimate: string()
+          },
+          {
+            name: 'AutomationOpportunity',
+            tsExtra: {
+              citation: { type: 'CitationCheck', optional: true },
+              // Reviewer's decision; only on opportunities in a reviewed copy (reportReview.mjs).
+              review: { type: 'OpportunityReview', optional: true }
+            }
+          }
+        ),
+        'A matrix of identified automation opportunities.',
+        { example: 'one' }
+      ),
+      implementationRoadmap: array(
+        object(
+          {
+            phase: string("e.g., 'Phase 1 (Quick Wins - 0-6 months)'"),
+            description: string('Description of activities in this phase.')
+          },
+          { name: 'ImplementationPhase' }
+        ),
+        'A phased plan for implementation.',
+        { example: 'one' }
+      ),
+      technicalRequirements: object(
+        {
+          platformRequirements: string(),
+          trainingRequirements: string(),
+          budgetEstimate: string(),
+          riskMitigation: string()
+        },
+        { name: 'TechnicalRequirements', description: 'Technical and resource planning.' }
+      )
+    })
+  },
+  {
+    name: 'AnalysisReport',
+    // Stamped after analysis; see reportMigrations.mjs.
+    tsExtra: { schemaVersion: { type: 'number', optional: true } }
+  }
+);
+
+const GEMINI_TYPES = { string: 'STRING', integer: 'INTEGER', array: 'ARRAY', object: 'OBJECT' };
+
+/**
+ * Gemini `responseSchema` (OpenAPI subset; `type` values are the @google/genai `Type` enum strings).
+ */
+export function toGeminiSchema(node = REPORT_DEFINITION) {
+  const out = { type: GEMINI_TYPES[node.kind] };
+  if (node.description) out.description = node.description;
+  if (node.enum) out.enum = [...node.enum];
+  if (node.min !== undefined) out.minimum = node.min;
+  if (node.kind === 'array') out.items = toGeminiSchema(node.items);
+  if (node.kind === 'object') {
+    out.properties = Object.fromEntries(Object.entries(node.properties).map(([key, child]) => [key, toGeminiSchema(child)]));
+    out.required = Object.keys(node.properties);
+  }
+  return out;
+}
+
+/**
+ * Example value for the offline prompt's JSON template: empty strings, the minimum for
+ * integers, the first enum value, and one example item for arrays marked `example: 'one'`.
+ */
+export function toTemplateValue(node = REPORT_DEFINITION) {
+  switch (node.kind) {
+    case 'string':
+      return node.enum ? node.enum[0] : '';
+    case 'integer':
+      return node.min ?? 0;
+    case 'array':
+      return node.example === 'one' ? [toTemplateValue(node.items)] : [];
+    case 'object':
+      return Object.fromEntries(Object.entries(node.properties).map(([key, child]) => [key, toTemplateValue(child)]));
+    default:
+      throw new Error(`Unknown report node kind: ${node.kind}`);
+  }
+}
+
+/**
+ * Source of the Zod expression for `node` (the generated module binds `z`). Named objects are
+ * referenced by `<name>Schema` constants, emitted by the generator before they are used.
+ */
+export function toZodSource(node, { indent = '', inline = false } = {}) {
+  switch (node.kind) {
+    case 'string':
+      return node.enum ? `z.enum([${node.enum.map((v) => `'${v}'`).join(', ')}])` : 'z.string()';
+    case 'integer': {
+      if (node.min === undefined) return 'z.number().int()';
+      if (node.min === 0) return 'z.number().int().nonnegative()';
+      if (node.min === 1) return 'z.number().int().positive()';
+      return `z.number().int().min(${node.min})`;
+    }
+    case 'array':
+      return `z.array(${toZodSource(node.items, { indent })})`;
+    case 'object': {
+      if (node.name && !inline) return `${node.name}Schema`;
+      const inner = `${indent}  `;
+      const lines = Object.entries(node.properties).map(
+        ([key, child]) => `${inner}${key}: ${toZodSource(child, { indent: inner })}`
+      );
+      return `z.object({\n${lines.join(',\n')}\n${indent}})`;
+    }
+    default:
+      throw new Error(`Unknown report node kind: ${node.kind}`);
+  }
+}
+
+/**
+ * TypeScript type for `node`; named objects are referenced by interface name.
+ */
+export function toTypeScript(node, { indent = '', inline = false } = {}) {
+  switch (node.kind) {
+    case 'string':
+      return node.enum ? node.enum.map((v) => `'${v}'`).join(' | ') : 'string';
+    case 'integer':
+      return 'number';
+    case 'array': {
+      const item = toTypeScript(node.items, { indent });
+      return node.items.enum ? `(${item})[]` : `${item}[]`;
+    }
+    case 'object': {
+      if (node.name && !inline) return node.name;
+      const inner = `${indent}  `;
+      const lines = [];
+      for (const [key, child] of Object.entries(node.properties)) {
+        if (child.tsComment) lines.push(`${inner}// ${child.tsComment}`);
+        lines.push(`${inner}${key}${child.tsOptional ? '?' : ''}: ${toTypeScript(child, { indent: inner })};`);
+      }
+      for (const [key, extra] of Object.entries(node.tsExtra || {})) {
+        lines.push(`${inner}${key}${extra.optional ? '?' : ''}: ${extra.type};`);
+      }
+      return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+    default:
+      throw new Error(`Unknown report node kind: ${node.kind}`);
+  }
+}
+
+/**
+ * Named objects in dependency order (children before parents).
+ */
+export function namedObjects(node = REPORT_DEFINITION, out = []) {
+  if (node.kind === 'array') namedObjects(node.items, out);
+  if (node.kind === 'object') {
+    for (const child of Object.values(node.properties)) namedObjects(child, out);
+    if (node.name) out.push(node);
+  }
+  return out;
+}
@@ -0,0 +1,92 @@
+// Report schema versions and the migrations between them. Every report the analyzers produce is
+// stamped with `schemaVersion`; anything loaded from storage or imported goes through
+// `migrateReport`, so reports saved years ago still open with the current shape.
+//
+// To change the report shape: bump REPORT_SCHEMA_VERSION and append a step that upgrades
+// reports from the previous version. Steps are frozen once released: they must not depend on
+// the current report definition, only on the shapes they convert between.
+
+export const REPORT_SCHEMA_VERSION = 2;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const ensureArray = (parent, key) => {
+  if (isObject(parent) && !Array.isArray(parent[key])) parent[key] = [];
+};
+
+/**
+ * Each step takes a report at version `from` (already deep-copied) and returns it at `from + 1`.
+ *
+ * @type {Array<{ from: number, description: string, migrate: (report: any) => any }>}
+ */
+export const REPORT_MIGRATIONS = [
+  {
+    // Version 1 is every report saved before versioning: the original shape, reports with
+    // evidence quotes and citation checks, and Gemini reports saved before validation.
+    from: 1,
+    description: 'Default missing arrays, add empty evidence quotes and make page numbers integers',
+    migrate: (report) => {
+      const analysis = report.detailedAnalysis;
+      ensureArray(analysis, 'automationOpportunities');
+      ensureArray(analysis, 'implementationRoadmap');
+      ensureArray(analysis?.currentState, 'processBreakdown');
+      ensureArray(analysis?.currentState, 'manualTouchpointInventory');
+
+      for (const opp of analysis?.automationOpportunities ?? []) {
+        if (!isObject(opp)) continue;
+        if (typeof opp.evidenceQuote !== 'string') opp.evidenceQuote = '';
+        const ref = opp.sopReference;
+        if (isObject(ref) && typeof ref.pageNumber === 'string' && /^\s*\d+\s*$/.test(ref.pageNumber)) {
+          ref.pageNumber = Number(ref.pageNumber);
+        }
+      }
+      return report;
+    }
+  }
+];
+
+/**
+ * Schema version of a stored report; reports from before versioning count as version 1.
+ */
+export function getReportSchemaVersion(report) {
+  const version = report?.schemaVersion;
+  return Number.isInteger(version) && version >= 1 ? version : 1;
+}
+
+/**
+ * Mark a freshly produced report as having the current shape.
+ */
+export function stampReportSchemaVersion(report) {
+  return { ...report, schemaVersion: REPORT_SCHEMA_VERSION };
+}
+
+/**
+ * Upgrade a stored or imported report to REPORT_SCHEMA_VERSION. The input is not modified.
+ * Throws for reports written by a newer version of the app, which this one can't read safely.
+ *
+ * @param {unknown} report
+ * @returns {{ report: any, fromVersion: number, applied: string[] }}
+ */
+export function migrateReport(report) {
+  if (!isObject(report)) {
+    throw new Error('Report is not a JSON object.');
+  }
+  const fromVersion = getReportSchemaVersion(report);
+  if (fromVersion > REPORT_SCHEMA_VERSION) {
+    throw new Error(
+      `Report uses schema version ${fromVersion}, but this version of the app only reads up to ${REPORT_SCHEMA_VERSION}. Update the app to open it.`
+    );
+  }
+
+  let current = structuredClone(report);
+  const applied = [];
+  for (let version = fromVersion; version < REPORT_SCHEMA_VERSION; version++) {
+    const step = REPORT_MIGRATIONS.find((m) => m.from === version);
+    if (!step) {
+      throw new Error(`No migration from report schema version ${version}.`);
+    }
+    current = step.migrate(current);
+    applied.push(`v${version} → v${version + 1}: ${step.description}`);
+  }
+  return { report: { ...current, schemaVersion: REPORT_SCHEMA_VERSION }, fromVersion, applied };
+}
@@ -0,0 +1,65 @@
+// Reviewer edits and sign-off. The model's report is never changed: the reviewed copy lives in a
+// ReportReview next to it (`review` in library entries and report bundles) together with the
+// report's review status. Each reviewed opportunity may carry the reviewer's decision and
+// comment in its `review` field.
+
+import { migrateReport } from './reportMigrations.mjs';
+import { validateReport } from './reportValidator.mjs';
+
+export const REVIEW_STATUSES = ['draft', 'in-review', 'approved'];
+export const REVIEW_DECISIONS = ['accepted', 'rejected', 'needs-discussion'];
+
+/**
+ * @typedef {{ decision: string | null, comment: string }} OpportunityReview
+ * @typedef {{ status: string, reviewer: string, updatedAt: string, approvedAt: string | null, report: object }} ReportReview
+ */
+
+/**
+ * A new review of `report`: status Draft and an untouched copy to edit.
+ *
+ * @returns {ReportReview}
+ */
+export function createReview(report, now = new Date().toISOString()) {
+  return { status: 'draft', reviewer: '', updatedAt: now, approvedAt: null, report: structuredClone(report) };
+}
+
+/**
+ * @returns {OpportunityReview}
+ */
+export function normalizeOpportunityReview(value) {
+  return {
+    decision: REVIEW_DECISIONS.includes(value?.decision) ? value.decision : null,
+    comment: typeof value?.comment === 'string' ? value.comment : ''
+  };
+}
+
+/**
+ * Check a review read from storage, a bundle or the renderer: its report is migrated and
+ * validated like any stored report, status and decisions are limited to the known values.
+ * Throws when the reviewed report can't be used.
+ *
+ * @returns {ReportReview}
+ */
+export function normalizeReview(value) {
+  if (!value || typeof value !== 'object' || !value.report) {
+    throw new Error('The review does not contain a report.');
+  }
+  const { report: migrated } = migrateReport(value.report);
+  const validation = validateReport(migrated);
+  if (!validation.ok) {
+    throw new Error(`The reviewed report does not match the report schema: ${validation.issues.slice(0, 5).join('; ')}`);
+  }
+  const report = validation.data;
+  for (const opp of report.detailedAnalysis.automationOpportunities) {
+    if (opp.review !== undefined) opp.review = normalizeOpportunityReview(opp.review);
+  }
+
+  const status = REVIEW_STATUSES.includes(value.status) ? value.status : 'draft';
+  return {
+    status,
+    reviewer: typeof value.reviewer === 'string' ? value.reviewer : '',
+    updatedAt: typeof value.updatedAt === 'string' ? value.updatedAt : new Date().toISOString(),
+    approvedAt: status === 'approved' && typeof value.approvedAt === 'string' ? value.approvedAt : null,
+    report
+  };
+}
@@ -0,0 +1,126 @@
+// Validates and normalizes a parsed report against REPORT_DEFINITION, with the same rules as the
+// generated Zod schema (src/offline/reportSchema.js) but without needing Zod, so the web app's
+// Gemini path and the desktop main process can share it.
+//
+// Normalization fixes what a model commonly gets "almost right" and records each fix:
+//   - missing or null arrays become []
+//   - numeric strings (and "p. 3" / "Page 3" page references) become integers
+//   - numbers and booleans in string fields become strings
+//   - enum values with the wrong casing are corrected
+// Anything else is reported as an issue: "<dotted.path>: <message>". Unknown keys are dropped,
+// except the post-analysis fields the definition lists under `tsExtra`.
+
+import { REPORT_DEFINITION } from './reportDefinition.mjs';
+
+/**
+ * `data` is the normalized report when `ok`; `issues` is empty then.
+ *
+ * @typedef {{ ok: boolean, data?: object, issues: string[], fixes: string[] }} ReportValidation
+ */
+
+const INTEGER_TEXT = /^\s*(?:p(?:age|g)?\.?\s*)?(-?\d+)(?:\.0+)?\s*$/i;
+
+function describe(value) {
+  if (value === undefined) return 'nothing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`;
+  return `${typeof value} ${value}`;
+}
+
+function walk(node, value, path, fixes, issues) {
+  const where = path.join('.') || '(root)';
+
+  switch (node.kind) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        issues.push(`${where}: expected an object, received ${describe(value)}`);
+        return value;
+      }
+      const out = {};
+      for (const [key, child] of Object.entries(node.properties)) {
+        out[key] = walk(child, value[key], [...path, key], fixes, issues);
+      }
+      // Fields added after analysis (citation checks, schema version) are kept as they are.
+      for (const key of Object.keys(node.tsExtra || {})) {
+        if (value[key] !== undefined) out[key] = value[key];
+      }
+      return out;
+    }
+    case 'array': {
+      if (value === undefined || value === null) {
+        fixes.push(`${where}: missing array, defaulted to []`);
+        return [];
+      }
+      if (!Array.isArray(value)) {
+        issues.push(`${where}: expected an array, received ${describe(value)}`);
+        return value;
+      }
+      return value.map((item, index) => walk(node.items, item, [...path, index], fixes, issues));
+    }
+    case 'integer': {
+      let out = value;
+      if (typeof value === 'string' && INTEGER_TEXT.test(value)) {
+        out = Number(INTEGER_TEXT.exec(value)[1]);
+        fixes.push(`${where}: converted string "${value}" to number`);
+      }
+      if (typeof out !== 'number' || !Number.isInteger(out)) {
+        issues.push(`${where}: expected an integer, received ${describe(value)}`);
+      } else if (node.min !== undefined && out < node.min) {
+        issues.push(`${where}: expected an integer >= ${node.min}, received ${out}`);
+      }
+      return out;
+    }
+    case 'string': {
+      let out = value;
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        out = String(value);
+        fixes.push(`${where}: converted ${typeof value} to string`);
+      }
+      if (typeof out !== 'string') {
+        issues.push(`${where}: expected a string, received ${describe(value)}`);
+        return out;
+      }
+      if (node.enum && !node.enum.includes(out)) {
+        const match = node.enum.find((option) => option.toLowerCase() === out.trim().toLowerCase());
+        if (match) {
+          fixes.push(`${where}: normalized "${out}" to "${match}"`);
+          return match;
+        }
+        issues.push(`${where}: expected one of ${node.enum.join(', ')}, received ${describe(out)}`);
+      }
+      return out;
+    }
+    default:
+      throw new Error(`Unknown report node kind: ${node.kind}`);
+  }
+}
+
+/**
+ * @param {unknown} value parsed JSON
+ * @returns {ReportValidation}
+ */
+export function validateReport(value) {
+  const fixes = [];
+  const issues = [];
+  const data = walk(REPORT_DEFINITION, value, [], fixes, issues);
+  return issues.length === 0 ? { ok: true, data, issues, fixes } : { ok: false, issues, fixes };
+}
+
+/**
+ * `validateReport` for raw model text; invalid JSON is reported as a root issue.
+ *
+ * @param {string} text
+ * @returns {ReportValidation}
+ */
+export function validateReportText(text) {
+  let value;
+  try {
+    value = JSON.parse(String(text ?? '').trim());
+  } catch (e) {
+    const message = e instanceof Error ? e.message : String(e);
+    return { ok: false, issues: [`(root): response is not valid JSON (${message})`], fixes: [] };
+  }
+  return validateReport(value);
+}
@@ -0,0 +1,146 @@
+// Builds an .xlsx workbook from one or more reports, for the app's Excel export and the CLI.
+// Every sheet starts with a "Source File" column so multi-document runs land in a single
+// workbook that can be filtered per SOP.
+
+const SOURCE_COLUMN = { header: 'Source File', key: 'sourceFile', width: 32 };
+
+/**
+ * @param {import('exceljs').Workbook} workbook
+ * @param {string} name
+ * @param {Array<{ header: string, key: string, width: number }>} columns
+ * @param {Array<Record<string, string | number>>} rows
+ */
+const addSheet = (workbook, name, columns, rows) => {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = [SOURCE_COLUMN, ...columns];
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length + 1 } };
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber > 1) row.alignment = { vertical: 'top', wrapText: true };
+  });
+  return sheet;
+};
+
+/**
+ * One workbook for any number of reports. `reviewStatus` says which version each report is
+ * ("AI draft", "Approved by ..."), when known.
+ *
+ * @param {Array<{ fileName: string, report: any, reviewStatus?: string }>} items
+ */
+export const buildReportWorkbook = async (items) => {
+  // exceljs is large; only load it when someone actually exports.
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Digital Process Automation Analyzer';
+  workbook.created = new Date();
+
+  addSheet(
+    workbook,
+    'Executive Summary',
+    [
+      { header: 'SOP Title', key: 'sopTitle', width: 40 },
+      { header: 'Complexity Score', key: 'complexityScore', width: 18 },
+      { header: 'Process Efficiency Rating', key: 'processEfficiencyRating', width: 24 },
+      { header: 'Total Manual Touchpoints', key: 'totalManualTouchpoints', width: 22 },
+      { header: 'Automation Potential Score', key: 'automationPotentialScore', width: 24 },
+      { header: 'Time Savings Estimate', key: 'timeSavingsEstimate', width: 28 },
+      { header: 'Error Reduction Projection', key: 'errorReductionProjection', width: 28 },
+      { header: 'Compliance Risk Mitigation', key: 'complianceRiskMitigation', width: 40 },
+      { header: 'Implementation Priority', key: 'implementationPriority', width: 22 },
+      { header: 'Review Status', key: 'reviewStatus', width: 28 }
+    ],
+    items.map(({ fileName, report, reviewStatus }) => ({ sourceFile: fileName, ...report.executiveSummary, reviewStatus: reviewStatus ?? '' }))
+  );
+
+  addSheet(
+    workbook,
+    'Opportunities',
+    [
+      { header: '#', key: 'index', width: 6 },
+      { header: 'Category', key: 'opportunityCategory', width: 24 },
+      { header: 'SOP Step', key: 'stepIdentifier', width: 20 },
+      { header: 'Page', key: 'pageNumber', width: 8 },
+      { header: 'Evidence Quote', key: 'evidenceQuote', width: 48 },
+      { header: 'Citation Check', key: 'citationStatus', width: 16 },
+      { header: 'Current Manual Process', key: 'currentManualProcess', width: 48 },
+      { header: 'Proposed Automation Solution', key: 'proposedAutomationSolution', width: 48 },
+      { header: 'Technology Required', key: 'technologyRequired', width: 32 },
+      { header: 'Implementation Complexity', key: 'implementationComplexity', width: 16 },
+      { header: 'ROI Potential', key: 'roiPotential', width: 14 },
+      { header: 'Compliance Impact', key: 'complianceImpact', width: 40 },
+      { header: 'Timeline Estimate', key: 'timelineEstimate', width: 20 },
+      { header: 'Review Decision', key: 'reviewDecision', width: 18 },
+      { header: 'Review Comment', key: 'reviewComment', width: 40 }
+    ],
+    items.flatMap(({ fileName, report }) =>
+      report.detailedAnalysis.automationOpportunities.map((opp, index) => ({
+        sourceFile: fileName,
+        index: index + 1,
+        opportunityCategory: opp.opportunityCategory,
+        stepIdentifier: opp.sopReference?.stepIdentifier ?? '',
+        pageNumber: opp.sopReference?.pageNumber ?? '',
+        evidenceQuote: opp.evidenceQuote ?? '',
+        citationStatus: opp.citation
+          ? `${opp.citation.status}${opp.citation.citedPageNumber ? ` (cited p. ${opp.citation.citedPageNumber})` : ''}`
+          : '',
+        currentManualProcess: opp.currentManualProcess,
+        proposedAutomationSolution: opp.proposedAutomationSolution,
+        technologyRequired: opp.technologyRequired,
+        implementationComplexity: opp.implementationComplexity,
+        roiPotential: opp.roiPotential,
+        complianceImpact: opp.complianceImpact,
+        timelineEstimate: opp.timelineEstimate,
+        reviewDecision: opp.review?.decision ?? '',
+        reviewComment: opp.review?.comment ?? ''
+      }))
+    )
+  );
+
+  addSheet(
+    workbook,
+    'Roadmap',
+    [
+      { header: 'Phase', key: 'phase', width: 32 },
+      { header: 'Description', key: 'description', width: 80 }
+    ],
+    items.flatMap(({ fileName, report }) =>
+      report.detailedAnalysis.implementationRoadmap.map((phase) => ({ sourceFile: fileName, ...phase }))
+    )
+  );
+
+  addSheet(
+    workbook,
+    'Current State',
+    [
+      { header: 'Section', key: 'section', width: 28 },
+      { header: '#', key: 'index', width: 6 },
+      { header: 'Detail', key: 'detail', width: 80 }
+    ],
+    items.flatMap(({ fileName, report }) => {
+      const { currentState } = report.detailedAnalysis;
+      const list = (section, values) =>
+        values.map((detail, index) => ({ sourceFile: fileName, section, index: index + 1, detail }));
+      return [
+        ...list('Process Breakdown', currentState.processBreakdown),
+        ...list('Manual Touchpoint Inventory', currentState.manualTouchpointInventory),
+        { sourceFile: fileName, section: 'Data Flow Mapping', index: '', detail: currentState.dataFlowMapping },
+        { sourceFile: fileName, section: 'Bottleneck Identification', index: '', detail: currentState.bottleneckIdentification }
+      ];
+    })
+  );
+
+  addSheet(
+    workbook,
+    'Technical Requirements',
+    [
+      { header: 'Platform Requirements', key: 'platformRequirements', width: 48 },
+      { header: 'Training Requirements', key: 'trainingRequirements', width: 48 },
+      { header: 'Budget Estimate', key: 'budgetEstimate', width: 28 },
+      { header: 'Risk Mitigation', key: 'riskMitigation', width: 48 }
+    ],
+    items.map(({ fileName, report }) => ({ sourceFile: fileName, ...report.detailedAnalysis.technicalRequirements }))
+  );
+
+  return workbook;
+};
@@ -0,0 +1,113 @@
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getUserDataDir } = require('./userData');
+
+// Analysis results keyed by (PDF content hash, model ID, prompt/schema hash), one JSON file per
+// entry under userData (next to `offline-resources`). A hit means the exact same bytes were
+// already analyzed by the same model with the same prompt, so the report can be reused as-is.
+
+function getAnalysisCacheDir() {
+  return path.join(getUserDataDir(), 'analysis-cache');
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', reject);
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function buildCacheKey({ pdfSha256, modelId, promptHash }) {
+  return sha256Hex(`${pdfSha256}\n${modelId}\n${promptHash}`);
+}
+
+function getEntryPath(key) {
+  if (!/^[a-f0-9]{64}$/.test(String(key))) {
+    throw new Error('Invalid cache key.');
+  }
+  return path.join(getAnalysisCacheDir(), `${key}.json`);
+}
+
+async function getCachedAnalysis(key) {
+  try {
+    const text = await fsp.readFile(getEntryPath(key), 'utf8');
+    const record = JSON.parse(text);
+    if (!record?.report) return record;
+    // Entries written before a report schema change are upgraded on the way out; an entry this
+    // version can't read is simply a miss.
+    const { migrateReport } = await import('../shared/reportMigrations.mjs');
+    return { ...record, report: migrateReport(record.report).report };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {{ pdfSha256: string, modelId: string, promptHash: string, fileName: string, engine: string, report: unknown }} entry
+ */
+async function putCachedAnalysis(entry) {
+  const key = buildCacheKey(entry);
+  const record = { key, createdAt: new Date().toISOString(), ...entry };
+  await fsp.mkdir(getAnalysisCacheDir(), { recursive: true });
+  // Write-then-rename so a crash never leaves a half-written entry behind.
+  const target = getEntryPath(key);
+  const tmp = `${target}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(record), 'utf8');
+  await fsp.rename(tmp, target);
+  return record;
+}
+
+/**
+ * Metadata for every cache entry (without the reports), newest first.
+ */
+async function listCachedAnalyses() {
+  let names = [];
+  try {
+    names = await fsp.readdir(getAnalysisCacheDir());
+  } catch {
+    return [];
+  }
+
+  const out = [];
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const full = path.join(getAnalysisCacheDir(), name);
+      const [text, stat] = await Promise.all([fsp.readFile(full, 'utf8'), fsp.stat(full)]);
+      const { report: _report, ...meta } = JSON.parse(text);
+      out.push({ ...meta, sizeBytes: stat.size });
+    } catch {
+      // ignore unreadable entries
+    }
+  }
+  return out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+async function deleteCachedAnalysis(key) {
+  await fsp.rm(getEntryPath(key), { force: true });
+}
+
+async function clearAnalysisCache() {
+  await fsp.rm(getAnalysisCacheDir(), { recursive: true, force: true });
+}
+
+module.exports = {
+  getAnalysisCacheDir,
+  sha256Hex,
+  hashFile,
+  buildCacheKey,
+  getCachedAnalysis,
+  putCachedAnalysis,
+  listCachedAnalyses,
+  deleteCachedAnalysis,
+  clearAnalysisCache
+};
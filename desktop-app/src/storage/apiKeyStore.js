@@ -0,0 +1,100 @@
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const { getElectron, getUserDataDir } = require('./userData');
+
+// The analyst's own API keys (Gemini, OpenAI-compatible endpoint), encrypted with Electron
+// safeStorage (Keychain on macOS, DPAPI on Windows, the secret service on Linux) and kept under
+// userData as `<name>-api-key.bin`. The plaintext keys only ever exist in the main process.
+// Under plain Node (the CLI) there is no safeStorage, so only environment variables work there.
+
+const safeStorage = getElectron()?.safeStorage ?? null;
+
+const GEMINI = 'gemini';
+
+function getKeyPath(name) {
+  if (!/^[a-z0-9-]+$/.test(String(name))) {
+    throw new Error(`Invalid API key name: ${name}`);
+  }
+  return path.join(getUserDataDir(), `${name}-api-key.bin`);
+}
+
+function isEncryptionAvailable() {
+  return !!safeStorage?.isEncryptionAvailable();
+}
+
+function assertEncryptionAvailable() {
+  if (!isEncryptionAvailable()) {
+    throw new Error('Secure storage is not available on this system, so the API key cannot be saved.');
+  }
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<string | null>} the stored key, or null when none is saved (or it can't be decrypted)
+ */
+async function readStoredApiKey(name) {
+  if (!safeStorage) return null;
+  let encrypted;
+  try {
+    encrypted = await fsp.readFile(getKeyPath(name));
+  } catch {
+    return null;
+  }
+  try {
+    return safeStorage.decryptString(encrypted) || null;
+  } catch {
+    // Typically the OS keychain entry was reset; the user has to enter the key again.
+    return null;
+  }
+}
+
+async function saveApiKey(name, apiKey) {
+  const key = typeof apiKey === 'string' ? apiKey.trim() : '';
+  if (!key) {
+    throw new Error('Invalid request: the API key is empty.');
+  }
+  assertEncryptionAvailable();
+  const target = getKeyPath(name);
+  const tmp = `${target}.tmp`;
+  await fsp.mkdir(path.dirname(target), { recursive: true });
+  await fsp.writeFile(tmp, safeStorage.encryptString(key), { mode: 0o600 });
+  await fsp.rename(tmp, target);
+}
+
+async function deleteApiKey(name) {
+  await fsp.rm(getKeyPath(name), { force: true });
+}
+
+const readStoredGeminiApiKey = () => readStoredApiKey(GEMINI);
+const saveGeminiApiKey = (apiKey) => saveApiKey(GEMINI, apiKey);
+const deleteGeminiApiKey = () => deleteApiKey(GEMINI);
+
+const maskKey = (key) => (key.length > 8 ? `…${key.slice(-4)}` : '…');
+
+/**
+ * What the settings screen shows. Never includes the key itself, only its last 4 characters.
+ */
+async function getGeminiApiKeyStatus() {
+  const stored = await readStoredGeminiApiKey();
+  const fromEnv = process.env.GEMINI_API_KEY || process.env.API_KEY || '';
+  let source = null;
+  if (stored) source = 'stored';
+  else if (fromEnv) source = 'environment';
+  return {
+    configured: !!source,
+    source,
+    hint: stored ? maskKey(stored) : fromEnv ? maskKey(fromEnv) : null,
+    encryptionAvailable: isEncryptionAvailable()
+  };
+}
+
+module.exports = {
+  readStoredApiKey,
+  saveApiKey,
+  deleteApiKey,
+  maskKey,
+  readStoredGeminiApiKey,
+  saveGeminiApiKey,
+  deleteGeminiApiKey,
+  getGeminiApiKeyStatus
+};
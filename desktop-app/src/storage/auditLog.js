@@ -0,0 +1,246 @@
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+const crypto = require('node:crypto');
+const { getUserDataDir } = require('./userData');
+
+// Append-only audit trail at userData/audit-log.jsonl: one JSON entry per line recording who did
+// what and when (analysis runs, report edits, status changes, exports). Each entry carries the
+// SHA-256 of the previous one, so editing, removing or reordering a line breaks the chain from
+// that point on, which verifyAuditLog() reports. The app never rewrites or deletes the file.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Events the renderer may record itself (things that happen without the main process, like
+// Excel and JSON exports). Everything else is recorded where it happens in the main process.
+const RENDERER_ACTIONS = ['report.export', 'report.import'];
+
+function getAuditLogPath() {
+  return path.join(getUserDataDir(), 'audit-log.jsonl');
+}
+
+// JSON with sorted keys, so an entry hashes the same however it was built or parsed.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function hashEntry(entry) {
+  const { hash, ...rest } = entry;
+  return sha256(canonicalJson(rest));
+}
+
+/**
+ * The signed-in operating system account, which is what identifies the person at the keyboard.
+ */
+function getAuditUser() {
+  let username = process.env.USERNAME || process.env.USER || 'unknown';
+  try {
+    username = os.userInfo().username || username;
+  } catch {
+    // ignore
+  }
+  return { username, host: os.hostname() };
+}
+
+async function readLines() {
+  try {
+    return (await fsp.readFile(getAuditLogPath(), 'utf8')).split('\n').filter((line) => line.trim());
+  } catch (e) {
+    if (e?.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+// Sequence number and hash of the last entry, read once and then kept up to date by appends.
+let head = null;
+let queue = Promise.resolve();
+
+async function loadHead() {
+  const lines = await readLines();
+  if (lines.length === 0) return { seq: 0, hash: GENESIS_HASH };
+  const last = lines[lines.length - 1];
+  try {
+    const entry = JSON.parse(last);
+    if (Number.isInteger(entry.seq) && typeof entry.hash === 'string') return { seq: entry.seq, hash: entry.hash };
+  } catch {
+    // fall through: chain on to the damaged line as it is, verification flags it
+  }
+  return { seq: lines.length, hash: sha256(last) };
+}
+
+/**
+ * Append one event. Writes are serialized so concurrent events still form a single chain.
+ *
+ * @param {string} action e.g. 'analysis.run', 'report.edit', 'report.approve', 'report.export'
+ * @param {object} [details]
+ */
+function appendAuditEvent(action, details = {}) {
+  const run = async () => {
+    if (!head) head = await loadHead();
+    const entry = {
+      seq: head.seq + 1,
+      timestamp: new Date().toISOString(),
+      user: getAuditUser(),
+      action: String(action),
+      details,
+      prevHash: head.hash
+    };
+    entry.hash = hashEntry(entry);
+    await fsp.mkdir(path.dirname(getAuditLogPath()), { recursive: true });
+    await fsp.appendFile(getAuditLogPath(), `${JSON.stringify(entry)}\n`, 'utf8');
+    head = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  };
+  const result = queue.then(run);
+  queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Check every line: it parses, its sequence number follows the previous one, it points at the
+ * previous entry's hash and its own hash matches its contents. Entries cut off the end can't be
+ * detected this way; compare `lastHash` with the one noted when the log was last exported.
+ *
+ * @returns {{ ok: boolean, count: number, lastHash: string, brokenAt?: number, message: string }}
+ */
+function verifyLines(lines) {
+  let prev = { seq: 0, hash: GENESIS_HASH };
+  for (let i = 0; i < lines.length; i++) {
+    const line = i + 1;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      return { ok: false, count: lines.length, lastHash: prev.hash, brokenAt: line, message: `Line ${line} is not valid JSON.` };
+    }
+    const problem =
+      entry.seq !== prev.seq + 1
+        ? `expected sequence number ${prev.seq + 1}, found ${entry.seq}`
+        : entry.prevHash !== prev.hash
+          ? 'does not point at the previous entry'
+          : entry.hash !== hashEntry(entry)
+            ? 'was modified after it was written'
+            : null;
+    if (problem) {
+      return { ok: false, count: lines.length, lastHash: prev.hash, brokenAt: line, message: `Line ${line}: ${problem}.` };
+    }
+    prev = { seq: entry.seq, hash: entry.hash };
+  }
+  return { ok: true, count: lines.length, lastHash: prev.hash, message: `All ${lines.length} entries are intact.` };
+}
+
+async function verifyAuditLog() {
+  await queue;
+  return verifyLines(await readLines());
+}
+
+/**
+ * Newest entries first (at most `limit`), with the result of verifying the whole chain.
+ */
+async function readAuditLog({ limit = 1000 } = {}) {
+  await queue;
+  const lines = await readLines();
+  const entries = [];
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    try {
+      entries.push(JSON.parse(lines[i]));
+    } catch {
+      entries.push({ seq: null, action: 'invalid', details: { line: i + 1, text: lines[i].slice(0, 200) } });
+    }
+  }
+  return { entries, total: lines.length, verification: verifyLines(lines) };
+}
+
+/**
+ * Copy the log to `targetPath` unchanged (so the copy can be verified on its own) and return
+ * the verification result, which includes the hash of the last entry.
+ */
+async function exportAuditLog(targetPath) {
+  await queue;
+  const lines = await readLines();
+  await fsp.writeFile(targetPath, lines.length ? `${lines.join('\n')}\n` : '', 'utf8');
+  return verifyLines(lines);
+}
+
+function isPlainValue(value) {
+  return value === null || typeof value !== 'object';
+}
+
+/**
+ * Field-level differences between two JSON values, as { path, oldValue, newValue } with paths
+ * like `detailedAnalysis.automationOpportunities[2].roiPotential`. Added or removed array items
+ * and object keys appear with an undefined side.
+ */
+function diffValues(before, after, basePath = '') {
+  if (isPlainValue(before) || isPlainValue(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return canonicalJson(before) === canonicalJson(after) ? [] : [{ path: basePath, oldValue: before, newValue: after }];
+  }
+  const keys = Array.isArray(before)
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap((key) => {
+    const childPath = typeof key === 'number' ? `${basePath}[${key}]` : basePath ? `${basePath}.${key}` : key;
+    return diffValues(before[key], after[key], childPath);
+  });
+}
+
+/**
+ * Record what a review save changed: review started or discarded, field edits (against the
+ * previous reviewed version, or the model's report for a new review) and status changes, with
+ * approvals as their own action.
+ *
+ * @param {{ id: string, fileName: string, pdfSha256?: string, report: object }} entry library entry before the save
+ * @param {object | null} previousReview
+ * @param {object | null} nextReview
+ */
+async function recordReviewChange(entry, previousReview, nextReview) {
+  const subject = { libraryId: entry.id, fileName: entry.fileName, pdfSha256: entry.pdfSha256 };
+  if (!nextReview) {
+    if (previousReview) await appendAuditEvent('review.discard', { ...subject, status: previousReview.status });
+    return;
+  }
+  if (!previousReview) {
+    await appendAuditEvent('review.start', subject);
+  }
+  const changes = diffValues(previousReview?.report ?? entry.report, nextReview.report, '').filter((c) => c.path !== 'schemaVersion');
+  if ((previousReview?.reviewer ?? '') !== nextReview.reviewer) {
+    changes.push({ path: 'reviewer', oldValue: previousReview?.reviewer ?? '', newValue: nextReview.reviewer });
+  }
+  if (changes.length > 0) {
+    await appendAuditEvent('report.edit', { ...subject, changes });
+  }
+  // A new review starts as a draft; only later changes count as status changes.
+  const fromStatus = previousReview?.status ?? 'draft';
+  if (fromStatus !== nextReview.status) {
+    await appendAuditEvent(nextReview.status === 'approved' ? 'report.approve' : 'review.status', {
+      ...subject,
+      fromStatus,
+      toStatus: nextReview.status,
+      reviewer: nextReview.reviewer
+    });
+  }
+}
+
+module.exports = {
+  RENDERER_ACTIONS,
+  getAuditLogPath,
+  getAuditUser,
+  appendAuditEvent,
+  verifyAuditLog,
+  readAuditLog,
+  exportAuditLog,
+  diffValues,
+  recordReviewChange
+};
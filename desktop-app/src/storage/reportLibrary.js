@@ -0,0 +1,131 @@
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getUserDataDir } = require('./userData');
+
+// Every finished analysis is kept as one JSON file under userData/library so reports survive
+// restarts and can be reopened later. Listing only returns metadata; the report itself is
+// loaded on demand with getLibraryEntry(). A reviewer's edited copy is stored in the same file
+// under `review`, next to the untouched model output.
+
+function getLibraryDir() {
+  return path.join(getUserDataDir(), 'library');
+}
+
+function getEntryPath(id) {
+  if (!/^[a-f0-9-]{36}$/.test(String(id))) {
+    throw new Error('Invalid library entry id.');
+  }
+  return path.join(getLibraryDir(), `${id}.json`);
+}
+
+async function writeRecord(record) {
+  await fsp.mkdir(getLibraryDir(), { recursive: true });
+  const target = getEntryPath(record.id);
+  const tmp = `${target}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(record), 'utf8');
+  await fsp.rename(tmp, target);
+}
+
+/**
+ * @param {{ fileName: string, filePath?: string, pdfSha256?: string, engine: string, modelId?: string, durationMs?: number, report: unknown }} entry
+ */
+async function addLibraryEntry(entry) {
+  const record = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...entry };
+  await writeRecord(record);
+  return record;
+}
+
+/**
+ * The stored entry with its report (and review, if any) migrated to the current schema version.
+ * Throws if either was written by a newer version of the app.
+ */
+async function getLibraryEntry(id) {
+  let record;
+  try {
+    record = JSON.parse(await fsp.readFile(getEntryPath(id), 'utf8'));
+  } catch {
+    return null;
+  }
+  if (!record?.report) return record;
+  const { migrateReport } = await import('../shared/reportMigrations.mjs');
+  const { normalizeReview } = await import('../shared/reportReview.mjs');
+  return {
+    ...record,
+    report: migrateReport(record.report).report,
+    ...(record.review ? { review: normalizeReview(record.review) } : {})
+  };
+}
+
+/**
+ * Most recent entry for this PDF and model, so a cached result can be matched to the library
+ * entry (and review) of the analysis that produced it.
+ */
+async function findLibraryEntry({ pdfSha256, modelId }) {
+  if (!pdfSha256) return null;
+  const match = (await listLibraryEntries()).find((e) => e.pdfSha256 === pdfSha256 && e.modelId === modelId);
+  return match ? await getLibraryEntry(match.id) : null;
+}
+
+/**
+ * Store the reviewed version of an entry's report, or remove it when `review` is null. The
+ * model's report is left as it is.
+ */
+async function saveLibraryReview(id, review) {
+  const record = JSON.parse(await fsp.readFile(getEntryPath(id), 'utf8'));
+  const { normalizeReview } = await import('../shared/reportReview.mjs');
+  const next = { ...record, review: review ? normalizeReview(review) : undefined };
+  if (!next.review) delete next.review;
+  await writeRecord(next);
+  return summarize(next);
+}
+
+function summarize(record) {
+  const { report, review, ...meta } = record;
+  return {
+    ...meta,
+    reviewStatus: review?.status ?? null,
+    sopTitle: report?.executiveSummary?.sopTitle ?? null,
+    opportunityCount: Array.isArray(report?.detailedAnalysis?.automationOpportunities)
+      ? report.detailedAnalysis.automationOpportunities.length
+      : 0
+  };
+}
+
+/**
+ * Metadata for every stored report, newest first.
+ */
+async function listLibraryEntries() {
+  let names = [];
+  try {
+    names = await fsp.readdir(getLibraryDir());
+  } catch {
+    return [];
+  }
+
+  const out = [];
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const text = await fsp.readFile(path.join(getLibraryDir(), name), 'utf8');
+      out.push(summarize(JSON.parse(text)));
+    } catch {
+      // ignore unreadable entries
+    }
+  }
+  return out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+async function deleteLibraryEntry(id) {
+  await fsp.rm(getEntryPath(id), { force: true });
+}
+
+module.exports = {
+  getLibraryDir,
+  addLibraryEntry,
+  getLibraryEntry,
+  findLibraryEntry,
+  saveLibraryReview,
+  listLibraryEntries,
+  deleteLibraryEntry
+};
@@ -0,0 +1,49 @@
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const { getUserDataDir } = require('./userData');
+
+// Small JSON settings file under userData. Each feature owns a top-level key and reads it
+// through getSetting(); updateSetting() replaces that key wholesale.
+
+function getSettingsPath() {
+  return path.join(getUserDataDir(), 'settings.json');
+}
+
+async function readSettings() {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(getSettingsPath(), 'utf8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// Serialize writes so two quick updates to different keys can't overwrite each other.
+let writeQueue = Promise.resolve();
+
+async function getSetting(key, fallback) {
+  const settings = await readSettings();
+  return key in settings ? settings[key] : fallback;
+}
+
+function updateSetting(key, value) {
+  const run = async () => {
+    const settings = await readSettings();
+    if (value === undefined) {
+      delete settings[key];
+    } else {
+      settings[key] = value;
+    }
+    const target = getSettingsPath();
+    const tmp = `${target}.tmp`;
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(settings, null, 2), 'utf8');
+    await fsp.rename(tmp, target);
+    return value;
+  };
+  const result = writeQueue.then(run, run);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+module.exports = { getSettingsPath, getSetting, updateSetting };
@@ -0,0 +1,38 @@
+const os = require('node:os');
+const path = require('node:path');
+
+// The app's data folder (settings, cache, report library, audit log, offline pack). Inside
+// Electron this is app.getPath('userData'). The command-line interface (src/cli) runs under
+// plain Node without Electron and resolves the same folder, so both share one history and one
+// offline pack; SOP_ANALYZER_USER_DATA points it somewhere else.
+
+const { productName } = require('../../package.json');
+
+/**
+ * Electron's main-process API, or null under plain Node (where the `electron` package only
+ * exports the path of its binary, or isn't installed at all).
+ */
+function getElectron() {
+  try {
+    const electron = require('electron');
+    return electron && typeof electron === 'object' && electron.app ? electron : null;
+  } catch {
+    return null;
+  }
+}
+
+// Electron's default `appData` folder for each platform.
+function getAppDataDir() {
+  if (process.platform === 'win32') return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support');
+  return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+}
+
+function getUserDataDir() {
+  const electron = getElectron();
+  if (electron) return electron.app.getPath('userData');
+  if (process.env.SOP_ANALYZER_USER_DATA) return path.resolve(process.env.SOP_ANALYZER_USER_DATA);
+  return path.join(getAppDataDir(), productName);
+}
+
+module.exports = { getElectron, getUserDataDir };
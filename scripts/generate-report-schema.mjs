@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the report schema artifacts from desktop-app/src/shared/reportDefinition.mjs:
+ *   desktop-app/src/offline/reportSchema.js  – Zod validator + offline prompt JSON template
+ *   types.ts                                 – the block between the report-schema markers
+ *
+ * Usage:
+ *   node scripts/generate-report-schema.mjs           # write the files
+ *   node scripts/generate-report-schema.mjs --check   # exit 1 if any file is out of date
+ *
+ * The Gemini response schema is derived at runtime (geminiPrompt.mjs). tests/reportSchema.test.mjs
+ * checks that it, the Zod schema, the prompt template and reportValidator.mjs accept and reject
+ * the same reports; CI runs both this check and the tests.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  REPORT_DEFINITION,
+  namedObjects,
+  toGeminiSchema,
+  toTemplateValue,
+  toTypeScript,
+  toZodSource
+} from '../desktop-app/src/shared/reportDefinition.mjs';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const zodPath = path.join(repoRoot, 'desktop-app', 'src', 'offline', 'reportSchema.js');
+const typesPath = path.join(repoRoot, 'types.ts');
+
+const BANNER = 'Generated by scripts/generate-report-schema.mjs from desktop-app/src/shared/reportDefinition.mjs';
+const TYPES_START_TAG = '// <report-schema>';
+const TYPES_START = `${TYPES_START_TAG} ${BANNER}. Do not edit by hand.`;
+const TYPES_END = '// </report-schema>';
+
+const quote = (line) => `'${line.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+function renderZodModule() {
+  const schemas = namedObjects().map(
+    (node) => `const ${node.name}Schema = ${toZodSource(node, { inline: true })};`
+  );
+  const template = JSON.stringify(toTemplateValue(), null, 2).split('\n');
+  return [
+    `// ${BANNER}.`,
+    '// Do not edit by hand: change the definition and run `npm run generate:schema`.',
+    "const { z } = require('zod');",
+    '',
+    ...schemas.flatMap((line) => [line, '']),
+    '// JSON template shown to the offline model (same keys and order as the schema).',
+    'const REPORT_JSON_TEMPLATE = [',
+    template.map((line) => `  ${quote(line)}`).join(',\n'),
+    "].join('\\n');",
+    '',
+    'module.exports = { AnalysisReportSchema, REPORT_JSON_TEMPLATE };',
+    ''
+  ].join('\n');
+}
+
+function renderTypesBlock() {
+  const interfaces = namedObjects().map((node) => `export interface ${node.name} ${toTypeScript(node, { inline: true })}`);
+  return [TYPES_START, '', interfaces.join('\n\n'), '', TYPES_END].join('\n');
+}
+
+function renderTypesFile(current) {
+  const start = current.indexOf(TYPES_START_TAG);
+  const end = current.indexOf(TYPES_END);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`types.ts is missing the report-schema markers (${TYPES_START_TAG} ... ${TYPES_END}).`);
+  }
+  return current.slice(0, start) + renderTypesBlock() + current.slice(end + TYPES_END.length);
+}
+
+// Cheap consistency checks on the definition itself, so a malformed edit fails loudly here
+// instead of producing a schema Gemini or Zod rejects at runtime.
+function checkDefinition() {
+  const gemini = toGeminiSchema();
+  const template = toTemplateValue();
+  const sameKeys = (schema, value, where) => {
+    if (schema.type === 'OBJECT') {
+      const a = Object.keys(schema.properties).join(',');
+      const b = Object.keys(value).join(',');
+      if (a !== b) throw new Error(`Template keys differ from schema at ${where}: ${b} vs ${a}`);
+      for (const key of Object.keys(schema.properties)) sameKeys(schema.properties[key], value[key], `${where}.${key}`);
+    } else if (schema.type === 'ARRAY' && value.length > 0) {
+      sameKeys(schema.items, value[0], `${where}[]`);
+    }
+  };
+  sameKeys(gemini, template, 'report');
+  const names = namedObjects().map((n) => n.name);
+  if (new Set(names).size !== names.length) throw new Error(`Duplicate interface names: ${names.join(', ')}`);
+  if (REPORT_DEFINITION.name !== 'AnalysisReport') throw new Error('The root object must be named AnalysisReport.');
+}
+
+checkDefinition();
+
+const outputs = [
+  { file: zodPath, content: renderZodModule() },
+  { file: typesPath, content: renderTypesFile(fs.readFileSync(typesPath, 'utf8')) }
+];
+
+if (process.argv.includes('--check')) {
+  const stale = outputs.filter(({ file, content }) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content);
+  if (stale.length > 0) {
+    console.error('Report schema artifacts are out of date:');
+    for (const { file } of stale) console.error(`  ${path.relative(repoRoot, file)}`);
+    console.error('Run `npm run generate:schema` and commit the result.');
+    process.exit(1);
+  }
+  console.log('Report schema artifacts are up to date.');
+} else {
+  for (const { file, content } of outputs) {
+    fs.writeFileSync(file, content, 'utf8');
+    console.log(`Wrote ${path.relative(repoRoot, file)}`);
+  }
+}
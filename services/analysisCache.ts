@@ -0,0 +1,139 @@
+import { SYSTEM_PROMPT, RESPONSE_SCHEMA } from '../constants';
+import { analyzeSOP, GEMINI_MODEL } from './geminiService';
+import type { AnalysisReport } from '../types';
+import type { CachedAnalysisInfo } from '../desktop-api';
+import { migrateReport } from '../desktop-app/src/shared/reportMigrations.mjs';
+
+// Browser-side counterpart of desktop-app/src/storage/analysisCache.js for the Gemini path.
+// Entries are keyed the same way: SHA-256 of the PDF bytes + model ID + prompt/schema hash.
+// In the desktop app the list/delete/clear helpers operate on the userData cache instead.
+
+const STORAGE_PREFIX = 'sop-analyzer:cache:';
+
+type CacheRecord = CachedAnalysisInfo & { report: AnalysisReport };
+
+const sha256Hex = async (data: BufferSource | string): Promise<string> => {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+let promptHashPromise: Promise<string> | null = null;
+
+const getPromptHash = () => {
+  if (!promptHashPromise) {
+    promptHashPromise = sha256Hex(`${SYSTEM_PROMPT}\n${JSON.stringify(RESPONSE_SCHEMA)}`);
+  }
+  return promptHashPromise;
+};
+
+const readRecord = (key: string): CacheRecord | null => {
+  try {
+    const text = localStorage.getItem(`${STORAGE_PREFIX}${key}`);
+    return text ? (JSON.parse(text) as CacheRecord) : null;
+  } catch {
+    return null;
+  }
+};
+
+export type CachedAnalysisResult = { report: AnalysisReport; cached: boolean; cachedAt?: string; pdfSha256?: string };
+
+/**
+ * `analyzeSOP` with a local cache in front of it. Pass `force` to skip the lookup and
+ * overwrite any existing entry with a fresh analysis.
+ */
+export const analyzeSOPWithCache = async (
+  file: File,
+  { signal, force = false }: { signal?: AbortSignal; force?: boolean } = {}
+): Promise<CachedAnalysisResult> => {
+  let key: string | null = null;
+  let pdfSha256 = '';
+  let promptHash = '';
+  try {
+    pdfSha256 = await sha256Hex(await file.arrayBuffer());
+    promptHash = await getPromptHash();
+    key = await sha256Hex(`${pdfSha256}\n${GEMINI_MODEL}\n${promptHash}`);
+  } catch {
+    // Hashing is best-effort (e.g. crypto.subtle is unavailable on insecure origins).
+  }
+
+  if (key && !force) {
+    const hit = readRecord(key);
+    if (hit?.report) {
+      try {
+        const { report } = migrateReport(hit.report);
+        return { report: report as AnalysisReport, cached: true, cachedAt: hit.createdAt, pdfSha256 };
+      } catch {
+        // Written by a newer version of the app: treat as a miss and analyze again.
+      }
+    }
+  }
+
+  const report = await analyzeSOP(file, { signal });
+
+  if (key) {
+    const record: CacheRecord = {
+      key,
+      createdAt: new Date().toISOString(),
+      pdfSha256,
+      modelId: GEMINI_MODEL,
+      promptHash,
+      fileName: file.name,
+      engine: 'gemini',
+      report
+    };
+    try {
+      localStorage.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify(record));
+    } catch {
+      // ignore (quota exceeded or storage disabled)
+    }
+  }
+
+  return { report, cached: false, pdfSha256: pdfSha256 || undefined };
+};
+
+const listLocalKeys = () => {
+  const keys: string[] = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const name = localStorage.key(i);
+    if (name?.startsWith(STORAGE_PREFIX)) keys.push(name.slice(STORAGE_PREFIX.length));
+  }
+  return keys;
+};
+
+export const listCachedAnalyses = async (): Promise<CachedAnalysisInfo[]> => {
+  const api = window.desktopAPI;
+  if (api?.listCachedAnalyses) {
+    return api.listCachedAnalyses();
+  }
+  return listLocalKeys()
+    .map((key): CachedAnalysisInfo | null => {
+      const text = localStorage.getItem(`${STORAGE_PREFIX}${key}`) ?? '';
+      const record = readRecord(key);
+      if (!record) return null;
+      const { report: _report, ...meta } = record;
+      return { ...meta, sizeBytes: text.length };
+    })
+    .filter((entry): entry is CachedAnalysisInfo => entry !== null)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+};
+
+export const deleteCachedAnalysis = async (key: string): Promise<void> => {
+  const api = window.desktopAPI;
+  if (api?.deleteCachedAnalysis) {
+    await api.deleteCachedAnalysis(key);
+    return;
+  }
+  localStorage.removeItem(`${STORAGE_PREFIX}${key}`);
+};
+
+export const clearAnalysisCache = async (): Promise<void> => {
+  const api = window.desktopAPI;
+  if (api?.clearAnalysisCache) {
+    await api.clearAnalysisCache();
+    return;
+  }
+  listLocalKeys().forEach((key) => localStorage.removeItem(`${STORAGE_PREFIX}${key}`));
+};
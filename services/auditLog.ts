@@ -0,0 +1,27 @@
+import type { AnalysisReport, ReportReview } from '../types';
+
+// Audit events that happen in the renderer (Excel and JSON exports, opening report files, and
+// reviews of reports that aren't in the history). The desktop app appends them to its audit
+// log; the browser build keeps no audit log.
+
+export const recordAuditEvent = async (action: 'report.export' | 'report.import', details: Record<string, unknown>) => {
+  try {
+    await window.desktopAPI?.recordAuditEvent?.(action, details);
+  } catch {
+    // ignore: never fail the export itself because of the log
+  }
+};
+
+/**
+ * Records review changes to reports that aren't in the history, against the version last
+ * recorded for the same opened report (at first, the review it was opened with). Reviews of
+ * history entries are recorded by the main process when they are saved.
+ */
+export const createReviewRecorder = () => {
+  const recorded = new WeakMap<object, ReportReview | null>();
+  return async (opened: { fileName: string; report: AnalysisReport; review?: ReportReview }, review: ReportReview | null) => {
+    const previous = recorded.has(opened) ? recorded.get(opened)! : opened.review ?? null;
+    recorded.set(opened, review);
+    await window.desktopAPI?.recordReviewChange?.({ fileName: opened.fileName, report: opened.report }, previous, review);
+  };
+};
@@ -0,0 +1,34 @@
+import type { AnalysisReport } from '../types';
+import { buildReportWorkbook } from '../desktop-app/src/shared/reportWorkbook.mjs';
+
+// Excel export of one or more reports. The workbook itself is built in
+// desktop-app/src/shared/reportWorkbook.mjs, which the desktop CLI uses as well.
+
+// `reviewStatus`: which version `report` is ("AI draft", "Approved by ..."), when known.
+export type ExcelExportItem = { fileName: string; report: AnalysisReport; reviewStatus?: string };
+
+const defaultFileName = (items: ExcelExportItem[]) => {
+  const base = items.length === 1 ? items[0].fileName.replace(/\.pdf$/i, '') : 'sop-automation-analysis';
+  return `${base.replace(/[\\/:*?"<>|]+/g, '_')}.xlsx`;
+};
+
+/**
+ * Build the workbook and hand it to the browser (or Electron's download handler) as a file.
+ */
+export const exportReportsToExcel = async (items: ExcelExportItem[], fileName = defaultFileName(items)) => {
+  const workbook = await buildReportWorkbook(items);
+  const buffer = await workbook.xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  const url = URL.createObjectURL(blob);
+  try {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  } finally {
+    // Give the download a moment to start before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
@@ -1,7 +1,13 @@
 
-import { GoogleGenAI } from "@google/genai";
+import { GoogleGenAI, type Part } from "@google/genai";
 import { SYSTEM_PROMPT, RESPONSE_SCHEMA } from '../constants';
 import type { AnalysisReport } from '../types';
+import { extractPdfPagesText } from './pdfText';
+import { GEMINI_MODEL, buildValidationRetryPrompt } from '../desktop-app/src/shared/geminiPrompt.mjs';
+import { validateReportText } from '../desktop-app/src/shared/reportValidator.mjs';
+import { stampReportSchemaVersion } from '../desktop-app/src/shared/reportMigrations.mjs';
+
+export { GEMINI_MODEL };
 
 const getApiKey = () => {
   const apiKey = process.env.API_KEY || process.env.GEMINI_API_KEY;
@@ -20,10 +26,42 @@ const fileToGenerativePart = (base64Data: string, mimeType: string) => {
   };
 };
 
-export const analyzeSOP = async (file: File): Promise<AnalysisReport> => {
+const verifyReportCitations = async (report: AnalysisReport, file: File): Promise<AnalysisReport> => {
+  try {
+    const pages = await extractPdfPagesText(await file.arrayBuffer());
+    const { hasVerifiableText, verifyCitations } = await import('../desktop-app/src/shared/citationVerifier.mjs');
+    if (!hasVerifiableText(pages)) {
+      return report;
+    }
+    return verifyCitations(report, pages).report as AnalysisReport;
+  } catch {
+    // Citation checks are optional: an unreadable PDF keeps the report as Gemini returned it.
+    return report;
+  }
+};
+
+const createAbortError = () => {
+  const error = new Error("Analysis cancelled.");
+  error.name = "AbortError";
+  return error;
+};
+
+export const analyzeSOP = async (file: File, { signal }: { signal?: AbortSignal } = {}): Promise<AnalysisReport> => {
   const ai = new GoogleGenAI({ apiKey: getApiKey() });
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
     const reader = new FileReader();
+    // Aborting while the file is still being read; once the request is in flight,
+    // `abortSignal` below cancels it instead.
+    const onAbort = () => {
+      reader.abort();
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     reader.readAsDataURL(file);
     reader.onload = async () => {
       try {
@@ -31,24 +69,34 @@ export const analyzeSOP = async (file: File): Promise<AnalysisReport> => {
         const base64Data = dataUrl.split(',')[1];
         const pdfPart = fileToGenerativePart(base64Data, file.type);
         
-        const response = await ai.models.generateContent({
-          model: "gemini-2.5-flash",
-          contents: {
-              parts: [
-                  { text: SYSTEM_PROMPT },
-                  pdfPart
-              ]
-          },
-          config: {
-            responseMimeType: "application/json",
-            responseSchema: RESPONSE_SCHEMA,
-          },
-        });
+        const request = async (parts: Part[]) => {
+          const response = await ai.models.generateContent({
+            model: GEMINI_MODEL,
+            contents: { parts },
+            config: {
+              responseMimeType: "application/json",
+              responseSchema: RESPONSE_SCHEMA,
+              abortSignal: signal,
+            },
+          });
+          return validateReportText(response.text);
+        };
 
-        const jsonText = response.text.trim();
-        const report = JSON.parse(jsonText) as AnalysisReport;
-        resolve(report);
+        let outcome = await request([{ text: SYSTEM_PROMPT }, pdfPart]);
+        if (!outcome.ok) {
+          // One retry with the validation errors; a second failure is reported as is.
+          outcome = await request([{ text: SYSTEM_PROMPT }, pdfPart, { text: buildValidationRetryPrompt(outcome.issues) }]);
+        }
+        if (!outcome.ok) {
+          throw new Error(`Gemini returned an invalid report: ${outcome.issues.slice(0, 10).join('; ')}`);
+        }
+        const report = outcome.data as AnalysisReport;
+        resolve(stampReportSchemaVersion(await verifyReportCitations(report, file)) as AnalysisReport);
       } catch (error) {
+        if (signal?.aborted) {
+          reject(createAbortError());
+          return;
+        }
         console.error("Error during Gemini API call:", error);
         if (error instanceof Error) {
             reject(new Error(`Failed to analyze SOP: ${error.message}`));
@@ -57,6 +105,9 @@ export const analyzeSOP = async (file: File): Promise<AnalysisReport> => {
         }
       }
     };
+    reader.onloadend = () => {
+      signal?.removeEventListener('abort', onAbort);
+    };
     reader.onerror = (error) => {
       console.error("Error reading file:", error);
       reject(new Error("Failed to read the provided file."));
@@ -0,0 +1,120 @@
+import type { AnalysisReport, AutomationOpportunity } from '../types';
+
+// Sorting, filtering and grouping of the opportunities matrix. The same view state is applied
+// to exports, so a filtered table exports as shown.
+
+export type Level = AutomationOpportunity['implementationComplexity'];
+export type SortKey = 'complexity' | 'roi' | 'page' | 'category';
+export type GroupBy = 'none' | 'category' | 'page';
+
+export type OpportunityViewState = {
+  sort: { key: SortKey; direction: 'asc' | 'desc' } | null;
+  // Empty means "all".
+  complexity: Level[];
+  roi: Level[];
+  categories: string[];
+  query: string;
+  groupBy: GroupBy;
+  // Show the technologyRequired and complianceImpact columns.
+  showDetails: boolean;
+};
+
+export const DEFAULT_OPPORTUNITY_VIEW: OpportunityViewState = {
+  sort: null,
+  complexity: [],
+  roi: [],
+  categories: [],
+  query: '',
+  groupBy: 'none',
+  showDetails: false
+};
+
+// Opportunity plus its position in the report, which citations and the PDF viewer refer to.
+export type IndexedOpportunity = { index: number; opportunity: AutomationOpportunity };
+export type OpportunityGroup = { label: string; items: IndexedOpportunity[] };
+
+const LEVEL_RANK: Record<string, number> = { Low: 0, Medium: 1, High: 2 };
+
+const sortValue = (opp: AutomationOpportunity, key: SortKey): number | string => {
+  switch (key) {
+    case 'complexity':
+      return LEVEL_RANK[opp.implementationComplexity] ?? 3;
+    case 'roi':
+      return LEVEL_RANK[opp.roiPotential] ?? 3;
+    case 'page':
+      return opp.sopReference?.pageNumber ?? Number.POSITIVE_INFINITY;
+    case 'category':
+      return (opp.opportunityCategory || '').toLowerCase();
+  }
+};
+
+export const isOpportunityViewFiltered = (state: OpportunityViewState) =>
+  state.complexity.length > 0 || state.roi.length > 0 || state.categories.length > 0 || state.query.trim() !== '';
+
+const matches = (opp: AutomationOpportunity, state: OpportunityViewState, terms: string[]) => {
+  if (state.complexity.length > 0 && !state.complexity.includes(opp.implementationComplexity)) return false;
+  if (state.roi.length > 0 && !state.roi.includes(opp.roiPotential)) return false;
+  if (state.categories.length > 0 && !state.categories.includes(opp.opportunityCategory)) return false;
+  if (terms.length === 0) return true;
+  const haystack = [opp.currentManualProcess, opp.proposedAutomationSolution, opp.evidenceQuote, opp.sopReference?.stepIdentifier]
+    .join('\n')
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+};
+
+/**
+ * Filtered and sorted opportunities, in display order. Ties keep the model's order.
+ */
+export const applyOpportunityView = (opportunities: AutomationOpportunity[], state: OpportunityViewState): IndexedOpportunity[] => {
+  const terms = state.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const out = opportunities
+    .map((opportunity, index) => ({ index, opportunity }))
+    .filter(({ opportunity }) => matches(opportunity, state, terms));
+  const sort = state.sort;
+  if (sort) {
+    const sign = sort.direction === 'asc' ? 1 : -1;
+    out.sort((a, b) => {
+      const va = sortValue(a.opportunity, sort.key);
+      const vb = sortValue(b.opportunity, sort.key);
+      const cmp = typeof va === 'number' && typeof vb === 'number' ? va - vb : String(va).localeCompare(String(vb));
+      return cmp * sign || a.index - b.index;
+    });
+  }
+  return out;
+};
+
+/**
+ * Split display-ordered opportunities into groups, in order of first appearance (so sorting
+ * by the grouped column orders the groups too).
+ */
+export const groupOpportunities = (items: IndexedOpportunity[], groupBy: GroupBy): OpportunityGroup[] => {
+  if (groupBy === 'none') return [{ label: '', items }];
+  const groups = new Map<string, OpportunityGroup>();
+  for (const item of items) {
+    const label =
+      groupBy === 'category'
+        ? item.opportunity.opportunityCategory || 'Uncategorized'
+        : item.opportunity.sopReference?.pageNumber
+          ? `Page ${item.opportunity.sopReference.pageNumber}`
+          : 'No page reference';
+    if (!groups.has(label)) groups.set(label, { label, items: [] });
+    groups.get(label)!.items.push(item);
+  }
+  return [...groups.values()];
+};
+
+/**
+ * The report with only the visible opportunities, in display order (grouped, if grouping is
+ * on), for exports.
+ */
+export const applyOpportunityViewToReport = (report: AnalysisReport, state: OpportunityViewState): AnalysisReport => {
+  if (!isOpportunityViewFiltered(state) && !state.sort && state.groupBy === 'none') return report;
+  const visible = applyOpportunityView(report.detailedAnalysis.automationOpportunities, state);
+  return {
+    ...report,
+    detailedAnalysis: {
+      ...report.detailedAnalysis,
+      automationOpportunities: groupOpportunities(visible, state.groupBy).flatMap((group) => group.items.map((item) => item.opportunity))
+    }
+  };
+};
@@ -0,0 +1,87 @@
+// Locates the text items on a PDF page that best match a piece of model output (a step
+// identifier such as "5.2.1" or a sentence of step text), so the viewer can highlight them.
+
+const normalize = (text: string) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const wordsOf = (text: string) => normalize(text).split(' ').filter((w) => w.length >= 3);
+
+type IndexedPage = { joined: string; ranges: Array<[number, number]> };
+
+const indexItems = (items: string[]): IndexedPage => {
+  const ranges: Array<[number, number]> = [];
+  let joined = '';
+  items.forEach((item) => {
+    const text = normalize(item);
+    if (joined && text) joined += ' ';
+    const start = joined.length;
+    joined += text;
+    ranges.push([start, joined.length]);
+  });
+  return { joined, ranges };
+};
+
+const itemsInRange = (page: IndexedPage, start: number, end: number) =>
+  page.ranges
+    .map(([s, e], index) => (e > start && s < end && e > s ? index : -1))
+    .filter((index) => index !== -1);
+
+const findExact = (page: IndexedPage, needle: string): number[] => {
+  const n = normalize(needle);
+  if (n.length < 2) return [];
+  // Whole-word match so "5 1" doesn't hit "15 10".
+  let from = 0;
+  for (;;) {
+    const idx = page.joined.indexOf(n, from);
+    if (idx === -1) return [];
+    const before = idx === 0 || page.joined[idx - 1] === ' ';
+    const after = idx + n.length === page.joined.length || page.joined[idx + n.length] === ' ';
+    if (before && after) return itemsInRange(page, idx, idx + n.length);
+    from = idx + 1;
+  }
+};
+
+// Longest run of consecutive items whose words mostly appear in the needle.
+const findFuzzy = (items: string[], needle: string): number[] => {
+  const needleWords = new Set(wordsOf(needle));
+  if (needleWords.size < 3) return [];
+  let best: number[] = [];
+  let bestScore = 0;
+  let run: number[] = [];
+  let runScore = 0;
+  items.forEach((item, index) => {
+    const words = wordsOf(item);
+    const hits = words.filter((w) => needleWords.has(w)).length;
+    if (words.length > 0 && hits / words.length >= 0.6) {
+      run.push(index);
+      runScore += hits;
+      if (runScore > bestScore) {
+        best = [...run];
+        bestScore = runScore;
+      }
+    } else if (words.length > 0) {
+      run = [];
+      runScore = 0;
+    }
+  });
+  return bestScore >= Math.min(5, Math.ceil(needleWords.size / 2)) ? best : [];
+};
+
+/**
+ * Indices of the page text items to highlight. Needles are tried in order (most specific
+ * first); the first one that matches wins.
+ */
+export const findHighlightItems = (items: string[], needles: string[]): number[] => {
+  const page = indexItems(items);
+  for (const needle of needles) {
+    if (!needle?.trim()) continue;
+    const exact = findExact(page, needle);
+    if (exact.length > 0) return exact;
+    const fuzzy = findFuzzy(items, needle);
+    if (fuzzy.length > 0) return fuzzy;
+  }
+  return [];
+};
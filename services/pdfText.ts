@@ -0,0 +1,44 @@
+import type { TextItem } from 'pdfjs-dist/types/src/display/api';
+
+/**
+ * Bytes of a PDF shown in the app: blob: URLs in the browser, file:// URLs on the desktop.
+ */
+export const loadPdfBytes = async (fileUrl: string): Promise<Uint8Array> => {
+  // file:// URLs can't be fetched from the dev server origin; the desktop app reads them for us.
+  if (fileUrl.startsWith('file:') && window.desktopAPI?.readPdfFile) {
+    return window.desktopAPI.readPdfFile(fileUrl);
+  }
+  const response = await fetch(fileUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to load PDF (${response.status}).`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+/**
+ * Per-page text of a PDF, joined the same way as desktop-app/src/offline/pdfTextExtractor.js
+ * so citation checks behave identically for both engines.
+ */
+export const extractPdfPagesText = async (data: ArrayBuffer | Uint8Array): Promise<Array<{ pageNumber: number; text: string }>> => {
+  const { pdfjsLib } = await import('./pdfjs');
+  // pdf.js transfers the buffer to its worker; pass a copy so callers can keep using theirs.
+  const bytes = data instanceof Uint8Array ? data.slice() : new Uint8Array(data.slice(0));
+  const pdf = await pdfjsLib.getDocument({ data: bytes }).promise;
+  try {
+    const pages: Array<{ pageNumber: number; text: string }> = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map((item) => ((item as TextItem).str ?? ''))
+        .filter(Boolean)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+      pages.push({ pageNumber, text });
+    }
+    return pages;
+  } finally {
+    void pdf.destroy();
+  }
+};
@@ -0,0 +1,8 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+// Single place that configures pdf.js for the renderer. Import this module lazily: pdf.js is
+// a large dependency and most screens never need it.
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+
+export { pdfjsLib };
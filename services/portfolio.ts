@@ -0,0 +1,141 @@
+import type { AnalysisReport, AutomationOpportunity } from '../types';
+
+// Portfolio view over many reports (a site's worth of SOPs): totals, opportunities grouped by
+// category and technology, the complexity-vs-ROI grid and quick wins across all documents.
+
+export type PortfolioItem = { fileName: string; report: AnalysisReport };
+
+export type Level = AutomationOpportunity['implementationComplexity'];
+
+export const LEVELS: Level[] = ['Low', 'Medium', 'High'];
+
+export type PortfolioGroup = {
+  label: string;
+  opportunityCount: number;
+  // Number of distinct SOPs with at least one opportunity in this group.
+  sopCount: number;
+};
+
+export type PortfolioOpportunity = {
+  // Index into the items passed to buildPortfolio, so the UI can jump to that report.
+  reportIndex: number;
+  fileName: string;
+  sopTitle: string;
+  opportunity: AutomationOpportunity;
+};
+
+export type Portfolio = {
+  sopCount: number;
+  totalManualTouchpoints: number;
+  opportunityCount: number;
+  categories: PortfolioGroup[];
+  technologies: PortfolioGroup[];
+  // grid[complexity][roi] = number of opportunities
+  grid: Record<Level, Record<Level, number>>;
+  quickWins: PortfolioOpportunity[];
+};
+
+const normalizeKey = (value: string) => value.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * "LIMS integration, RPA bots and OCR" -> ["LIMS integration", "RPA bots", "OCR"]. Models
+ * list several technologies in one field; the portfolio counts each one separately.
+ */
+export const splitTechnologies = (value: string): string[] =>
+  String(value ?? '')
+    .split(/[,;\n+&]|\band\b/i)
+    .map((part) => part.replace(/^[\s\-–•*]+|[\s.]+$/g, ''))
+    .filter((part) => part.length > 1);
+
+const WEEKS_PER_UNIT: Record<string, number> = { day: 1 / 7, week: 1, month: 52 / 12, quarter: 13, year: 52 };
+
+/**
+ * Rough length of a free-text timeline ("2-4 weeks", "Phase 1 (0-6 months)") in weeks, from the
+ * first number followed by a unit, or else the first range (in months). Other numbers, like a
+ * phase number, are skipped. Unparseable timelines sort last.
+ */
+const timelineWeeks = (value: string) => {
+  const text = String(value ?? '');
+  const withUnit = /(\d+(?:\.\d+)?)(?:\s*[-–]\s*\d+(?:\.\d+)?)?\s*(day|week|month|quarter|year)/i.exec(text);
+  if (withUnit) return Number(withUnit[1]) * WEEKS_PER_UNIT[withUnit[2].toLowerCase()];
+  const range = /(\d+(?:\.\d+)?)\s*[-–]\s*\d+(?:\.\d+)?/.exec(text);
+  return range ? Number(range[1]) * WEEKS_PER_UNIT.month : Number.POSITIVE_INFINITY;
+};
+
+const createGroupCounter = () => {
+  const groups = new Map<string, { labels: Map<string, number>; opportunityCount: number; sops: Set<number> }>();
+
+  const add = (label: string, reportIndex: number) => {
+    const key = normalizeKey(label);
+    if (!key) return;
+    let group = groups.get(key);
+    if (!group) {
+      group = { labels: new Map(), opportunityCount: 0, sops: new Set() };
+      groups.set(key, group);
+    }
+    group.labels.set(label.trim(), (group.labels.get(label.trim()) ?? 0) + 1);
+    group.opportunityCount++;
+    group.sops.add(reportIndex);
+  };
+
+  // Most SOPs first; each group is shown with its most common spelling.
+  const toList = (): PortfolioGroup[] =>
+    [...groups.values()]
+      .map((group) => ({
+        label: [...group.labels.entries()].sort((a, b) => b[1] - a[1])[0][0],
+        opportunityCount: group.opportunityCount,
+        sopCount: group.sops.size
+      }))
+      .sort((a, b) => b.sopCount - a.sopCount || b.opportunityCount - a.opportunityCount || a.label.localeCompare(b.label));
+
+  return { add, toList };
+};
+
+export const buildPortfolio = (items: PortfolioItem[]): Portfolio => {
+  const categories = createGroupCounter();
+  const technologies = createGroupCounter();
+  const grid = Object.fromEntries(LEVELS.map((c) => [c, Object.fromEntries(LEVELS.map((r) => [r, 0]))])) as Portfolio['grid'];
+  const quickWins: PortfolioOpportunity[] = [];
+  let totalManualTouchpoints = 0;
+  let opportunityCount = 0;
+
+  items.forEach(({ fileName, report }, reportIndex) => {
+    const touchpoints = Number(report.executiveSummary?.totalManualTouchpoints);
+    if (Number.isFinite(touchpoints)) totalManualTouchpoints += touchpoints;
+    const sopTitle = report.executiveSummary?.sopTitle || fileName;
+
+    for (const opportunity of report.detailedAnalysis?.automationOpportunities ?? []) {
+      opportunityCount++;
+      categories.add(opportunity.opportunityCategory || 'Uncategorized', reportIndex);
+      // A technology named twice in one opportunity still counts once for it.
+      const techs = new Map(splitTechnologies(opportunity.technologyRequired).map((t) => [normalizeKey(t), t]));
+      techs.forEach((tech) => technologies.add(tech, reportIndex));
+
+      const complexity = opportunity.implementationComplexity;
+      const roi = opportunity.roiPotential;
+      if (grid[complexity]?.[roi] !== undefined) grid[complexity][roi]++;
+      if (complexity === 'Low' && roi === 'High') {
+        quickWins.push({ reportIndex, fileName, sopTitle, opportunity });
+      }
+    }
+  });
+
+  // Verified citations first (safest to act on), then the shortest timeline estimate.
+  const citationRank = (o: AutomationOpportunity) => (o.citation?.status === 'verified' ? 0 : o.citation?.status === 'corrected' ? 1 : 2);
+  quickWins.sort(
+    (a, b) =>
+      citationRank(a.opportunity) - citationRank(b.opportunity) ||
+      timelineWeeks(a.opportunity.timelineEstimate) - timelineWeeks(b.opportunity.timelineEstimate) ||
+      a.fileName.localeCompare(b.fileName)
+  );
+
+  return {
+    sopCount: items.length,
+    totalManualTouchpoints,
+    opportunityCount,
+    categories: categories.toList(),
+    technologies: technologies.toList(),
+    grid,
+    quickWins
+  };
+};
@@ -0,0 +1,87 @@
+import type { AnalysisReport, ReportReview } from '../types';
+import { loadPdfBytes } from './pdfText';
+import { createReportBundle, parseReportFile } from '../desktop-app/src/shared/reportBundle.mjs';
+
+// Export a report as a JSON bundle (with its source PDF when available) and open such files
+// again, in the browser and the desktop app alike. Opening needs no model or API key.
+
+export type OpenedReport = { fileName: string; fileUrl: string; report: AnalysisReport; review?: ReportReview };
+
+const bytesToBase64 = (bytes: Uint8Array) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64: string) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+const downloadJson = (value: unknown, fileName: string) => {
+  const blob = new Blob([JSON.stringify(value)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  try {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  } finally {
+    // Give the download a moment to start before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+/**
+ * Save `report` (and its review, if any) as `<name>.report.json`, embedding the source PDF when
+ * it can still be read. Returns whether the PDF was included.
+ */
+export const exportReportBundle = async ({
+  fileName,
+  fileUrl,
+  report,
+  review
+}: {
+  fileName: string;
+  fileUrl: string;
+  report: AnalysisReport;
+  review?: ReportReview;
+}) => {
+  let pdfBase64: string | null = null;
+  if (fileUrl) {
+    try {
+      pdfBase64 = bytesToBase64(await loadPdfBytes(fileUrl));
+    } catch {
+      // The source PDF was moved or deleted; the report is still worth sharing.
+    }
+  }
+  const base = fileName.replace(/\.pdf$/i, '').replace(/[\\/:*?"<>|]+/g, '_') || 'report';
+  downloadJson(createReportBundle({ fileName, report, review: review ?? null, pdfBase64 }), `${base}.report.json`);
+  return { includesPdf: pdfBase64 !== null };
+};
+
+/**
+ * Open report bundles or bare report JSON files. Bundled PDFs get blob: URLs, which the caller
+ * revokes when the reports are no longer shown.
+ */
+export const openReportFiles = async (files: File[]) => {
+  const reports: OpenedReport[] = [];
+  const errors: Array<{ fileName: string; message: string }> = [];
+  for (const file of files) {
+    try {
+      const { fileName, report, review, pdfBase64 } = parseReportFile(await file.text(), file.name);
+      const fileUrl = pdfBase64 ? URL.createObjectURL(new Blob([base64ToBytes(pdfBase64)], { type: 'application/pdf' })) : '';
+      reports.push({ fileName, fileUrl, report: report as AnalysisReport, ...(review ? { review: review as ReportReview } : {}) });
+    } catch (e) {
+      errors.push({ fileName: file.name, message: e instanceof Error ? e.message : 'Failed to open the report.' });
+    }
+  }
+  return { reports, errors };
+};
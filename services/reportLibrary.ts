@@ -0,0 +1,150 @@
+import type { LibraryEntry, LibraryEntryInfo } from '../desktop-api';
+import type { AnalysisReport, ReportReview } from '../types';
+import { migrateReport } from '../desktop-app/src/shared/reportMigrations.mjs';
+import { normalizeReview } from '../desktop-app/src/shared/reportReview.mjs';
+
+// Past reports. The desktop app stores them under userData/library (saved by the main process
+// as each analysis finishes); the browser build keeps them in localStorage instead. Reviews are
+// stored on the entry, next to the model's report.
+
+const STORAGE_PREFIX = 'sop-analyzer:library:';
+
+const toInfo = ({ report, review, ...meta }: LibraryEntry): LibraryEntryInfo => ({
+  ...meta,
+  reviewStatus: review?.status ?? null,
+  sopTitle: report?.executiveSummary?.sopTitle ?? null,
+  opportunityCount: report?.detailedAnalysis?.automationOpportunities?.length ?? 0
+});
+
+const readLocal = (id: string): LibraryEntry | null => {
+  try {
+    const text = localStorage.getItem(`${STORAGE_PREFIX}${id}`);
+    return text ? (JSON.parse(text) as LibraryEntry) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Browser-only: the desktop main process saves its own entries.
+ */
+export const saveLibraryEntry = (entry: Omit<LibraryEntry, 'id' | 'createdAt'>): LibraryEntry | null => {
+  const record: LibraryEntry = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...entry };
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${record.id}`, JSON.stringify(record));
+    return record;
+  } catch {
+    // ignore (quota exceeded or storage disabled)
+    return null;
+  }
+};
+
+export const listLibraryEntries = async (): Promise<LibraryEntryInfo[]> => {
+  const api = window.desktopAPI;
+  if (api?.listLibraryEntries) {
+    return api.listLibraryEntries();
+  }
+  const out: LibraryEntryInfo[] = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const name = localStorage.key(i);
+    if (!name?.startsWith(STORAGE_PREFIX)) continue;
+    const record = readLocal(name.slice(STORAGE_PREFIX.length));
+    if (record) out.push(toInfo(record));
+  }
+  return out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+};
+
+/**
+ * The entry with its report and review migrated to the current schema version (the desktop main
+ * process migrates its own entries). Throws if either was written by a newer version of the app.
+ */
+export const getLibraryEntry = async (id: string): Promise<LibraryEntry | null> => {
+  const api = window.desktopAPI;
+  if (api?.getLibraryEntry) {
+    return api.getLibraryEntry(id);
+  }
+  const record = readLocal(id);
+  if (!record?.report) return record;
+  return {
+    ...record,
+    report: migrateReport(record.report).report as AnalysisReport,
+    ...(record.review ? { review: normalizeReview(record.review) as ReportReview } : {})
+  };
+};
+
+/**
+ * Most recent entry for this PDF and model, so a cached result reopens with its review.
+ */
+export const findLibraryEntry = async (pdfSha256: string, modelId: string): Promise<LibraryEntry | null> => {
+  const match = (await listLibraryEntries()).find((e) => e.pdfSha256 === pdfSha256 && e.modelId === modelId);
+  return match ? getLibraryEntry(match.id) : null;
+};
+
+/**
+ * Store the reviewed version of an entry's report; null removes it.
+ */
+export const saveLibraryReview = async (id: string, review: ReportReview | null): Promise<void> => {
+  const api = window.desktopAPI;
+  if (api?.saveLibraryReview) {
+    await api.saveLibraryReview(id, review);
+    return;
+  }
+  const record = readLocal(id);
+  if (!record) throw new Error('The report is no longer in the history.');
+  const next: LibraryEntry = { ...record, review: review ? (normalizeReview(review) as ReportReview) : undefined };
+  if (!next.review) delete next.review;
+  localStorage.setItem(`${STORAGE_PREFIX}${id}`, JSON.stringify(next));
+};
+
+/**
+ * Passes each report's review to `save` a moment after its last change, so typing in the
+ * editor doesn't rewrite the entry (or the audit log) on every keystroke. `flush` writes
+ * whatever is still pending.
+ */
+export const createReviewSaver = <K = string>({
+  delayMs = 800,
+  save,
+  onError
+}: {
+  delayMs?: number;
+  save: (key: K, review: ReportReview | null) => Promise<void>;
+  onError: (message: string) => void;
+}) => {
+  const pending = new Map<K, { review: ReportReview | null; timer: ReturnType<typeof setTimeout> }>();
+
+  const write = async (id: K, review: ReportReview | null) => {
+    try {
+      await save(id, review);
+    } catch (e) {
+      onError(e instanceof Error ? e.message : 'Failed to save the review.');
+    }
+  };
+
+  const schedule = (id: K, review: ReportReview | null) => {
+    clearTimeout(pending.get(id)?.timer);
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      void write(id, review);
+    }, delayMs);
+    pending.set(id, { review, timer });
+  };
+
+  const flush = () => {
+    for (const [id, { review, timer }] of pending) {
+      clearTimeout(timer);
+      void write(id, review);
+    }
+    pending.clear();
+  };
+
+  return { schedule, flush };
+};
+
+export const deleteLibraryEntry = async (id: string): Promise<void> => {
+  const api = window.desktopAPI;
+  if (api?.deleteLibraryEntry) {
+    await api.deleteLibraryEntry(id);
+    return;
+  }
+  localStorage.removeItem(`${STORAGE_PREFIX}${id}`);
+};
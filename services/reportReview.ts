@@ -0,0 +1,66 @@
+import type { AnalysisReport, OpportunityReview, ReportReview, ReviewStatus } from '../types';
+import { createReview } from '../desktop-app/src/shared/reportReview.mjs';
+
+// Immutable updates of a ReportReview for the review UI. Every change bumps `updatedAt`; the
+// model's report is never touched (see desktop-app/src/shared/reportReview.mjs).
+
+export type ReviewDecision = NonNullable<OpportunityReview['decision']>;
+
+export const REVIEW_STATUS_LABELS: Record<ReviewStatus, string> = {
+  draft: 'Draft',
+  'in-review': 'In Review',
+  approved: 'Approved'
+};
+
+export const REVIEW_DECISION_LABELS: Record<ReviewDecision, string> = {
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  'needs-discussion': 'Needs discussion'
+};
+
+export const startReview = (report: AnalysisReport): ReportReview => createReview(report) as ReportReview;
+
+export const updateReviewedReport = (review: ReportReview, report: AnalysisReport): ReportReview => ({
+  ...review,
+  report,
+  updatedAt: new Date().toISOString()
+});
+
+export const setReviewStatus = (review: ReportReview, status: ReviewStatus): ReportReview => {
+  const now = new Date().toISOString();
+  return {
+    ...review,
+    status,
+    updatedAt: now,
+    approvedAt: status === 'approved' ? (review.status === 'approved' ? review.approvedAt : now) : null
+  };
+};
+
+export const setOpportunityReview = (review: ReportReview, index: number, patch: Partial<OpportunityReview>): ReportReview => {
+  const opportunities = review.report.detailedAnalysis.automationOpportunities.map((opp, i) =>
+    i === index ? { ...opp, review: { decision: null, comment: '', ...opp.review, ...patch } } : opp
+  );
+  return updateReviewedReport(review, {
+    ...review.report,
+    detailedAnalysis: { ...review.report.detailedAnalysis, automationOpportunities: opportunities }
+  });
+};
+
+export const countDecisions = (report: AnalysisReport) => {
+  const counts: Record<ReviewDecision | 'undecided', number> = { accepted: 0, rejected: 0, 'needs-discussion': 0, undecided: 0 };
+  for (const opp of report.detailedAnalysis.automationOpportunities) {
+    counts[opp.review?.decision ?? 'undecided']++;
+  }
+  return counts;
+};
+
+/**
+ * "Approved by J. Doe on 3/4/2026", "In Review", ... for headers and exports.
+ */
+export const describeReview = (review: ReportReview) => {
+  const label = REVIEW_STATUS_LABELS[review.status];
+  if (review.status !== 'approved') return label;
+  const by = review.reviewer.trim() ? ` by ${review.reviewer.trim()}` : '';
+  const on = review.approvedAt ? ` on ${new Date(review.approvedAt).toLocaleDateString()}` : '';
+  return `${label}${by}${on}`;
+};
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+// The audit log is only worth keeping if tampering shows: each case below edits the file the
+// way someone covering their tracks would and checks verification points at the right line.
+
+const require = createRequire(import.meta.url);
+process.env.SOP_ANALYZER_USER_DATA = await fs.mkdtemp(path.join(os.tmpdir(), 'sop-audit-test-'));
+const { appendAuditEvent, verifyAuditLog, getAuditLogPath, diffValues } = require('../desktop-app/src/storage/auditLog.js');
+
+test.after(() => fs.rm(process.env.SOP_ANALYZER_USER_DATA, { recursive: true, force: true }));
+
+const readLines = async () => (await fs.readFile(getAuditLogPath(), 'utf8')).split('\n').filter(Boolean);
+
+// Rewrites the log with `tamper` applied to its lines, verifies it and puts the original back.
+async function verifyTampered(tamper) {
+  const original = await fs.readFile(getAuditLogPath(), 'utf8');
+  try {
+    await fs.writeFile(getAuditLogPath(), `${tamper(original.split('\n').filter(Boolean)).join('\n')}\n`, 'utf8');
+    return await verifyAuditLog();
+  } finally {
+    await fs.writeFile(getAuditLogPath(), original, 'utf8');
+  }
+}
+
+test.before(async () => {
+  await appendAuditEvent('analysis.run', { fileName: 'a.pdf', outcome: 'ok' });
+  await appendAuditEvent('report.edit', { fileName: 'a.pdf', changes: [{ path: 'executiveSummary.sopTitle', oldValue: 'A', newValue: 'B' }] });
+  await appendAuditEvent('report.approve', { fileName: 'a.pdf', fromStatus: 'in_review', toStatus: 'approved' });
+  await appendAuditEvent('report.export', { format: 'pdf', fileName: 'a.pdf' });
+});
+
+test('an untouched log verifies and chains every entry to the previous one', async () => {
+  const result = await verifyAuditLog();
+  assert.equal(result.ok, true, result.message);
+  assert.equal(result.count, 4);
+  assert.equal(result.brokenAt, undefined);
+
+  const entries = (await readLines()).map((line) => JSON.parse(line));
+  assert.deepEqual(entries.map((e) => e.seq), [1, 2, 3, 4]);
+  assert.equal(entries[0].prevHash, '0'.repeat(64));
+  for (let i = 1; i < entries.length; i++) assert.equal(entries[i].prevHash, entries[i - 1].hash);
+  assert.equal(result.lastHash, entries[3].hash);
+});
+
+test('an edited line is reported where it was edited', async () => {
+  const result = await verifyTampered((lines) =>
+    lines.map((line, i) => (i === 2 ? line.replace('"toStatus":"approved"', '"toStatus":"rejected"') : line))
+  );
+  assert.equal(result.ok, false);
+  assert.equal(result.brokenAt, 3);
+  assert.match(result.message, /modified after it was written/);
+});
+
+test('a line that is no longer JSON is reported', async () => {
+  const result = await verifyTampered((lines) => lines.map((line, i) => (i === 1 ? line.slice(0, -1) : line)));
+  assert.equal(result.ok, false);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.message, /not valid JSON/);
+});
+
+test('reordered lines are reported at the first one out of place', async () => {
+  const result = await verifyTampered(([first, second, third, fourth]) => [first, third, second, fourth]);
+  assert.equal(result.ok, false);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.message, /expected sequence number 2, found 3/);
+});
+
+test('a removed middle line is reported at the line after the gap', async () => {
+  const result = await verifyTampered((lines) => lines.filter((_, i) => i !== 1));
+  assert.equal(result.ok, false);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.message, /expected sequence number 2, found 3/);
+});
+
+test('diffValues reports each edited opportunity field by its path', () => {
+  const opportunity = (roiPotential) => ({
+    opportunityCategory: 'Manual Data Entry Elimination',
+    roiPotential,
+    sopReference: { stepIdentifier: '5.2', pageNumber: 3 }
+  });
+  const before = { detailedAnalysis: { automationOpportunities: [opportunity('High'), opportunity('Low')] } };
+  const after = structuredClone(before);
+  after.detailedAnalysis.automationOpportunities[1].roiPotential = 'Medium';
+  after.detailedAnalysis.automationOpportunities[1].sopReference.pageNumber = 4;
+  after.detailedAnalysis.automationOpportunities.push(opportunity('Medium'));
+
+  const added = after.detailedAnalysis.automationOpportunities[2];
+  assert.deepEqual(diffValues(before, after), [
+    { path: 'detailedAnalysis.automationOpportunities[1].roiPotential', oldValue: 'Low', newValue: 'Medium' },
+    { path: 'detailedAnalysis.automationOpportunities[1].sopReference.pageNumber', oldValue: 3, newValue: 4 },
+    { path: 'detailedAnalysis.automationOpportunities[2]', oldValue: undefined, newValue: added }
+  ]);
+  assert.deepEqual(diffValues(before, structuredClone(before)), []);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import ts from 'typescript';
+
+// services/portfolio.ts only imports types, so stripping them is enough to run it under Node.
+const source = await fs.readFile(new URL('../services/portfolio.ts', import.meta.url), 'utf8');
+const { outputText } = ts.transpileModule(source, {
+  compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2022 }
+});
+const { buildPortfolio } = await import(`data:text/javascript,${encodeURIComponent(outputText)}`);
+
+const quickWin = (timelineEstimate) => ({
+  opportunityCategory: 'Manual Data Entry Elimination',
+  sopReference: { stepIdentifier: timelineEstimate, pageNumber: 1 },
+  evidenceQuote: '',
+  currentManualProcess: 'Typed by hand.',
+  proposedAutomationSolution: 'Barcode scanning.',
+  technologyRequired: 'LIMS',
+  implementationComplexity: 'Low',
+  roiPotential: 'High',
+  complianceImpact: 'None.',
+  timelineEstimate
+});
+
+const quickWinOrder = (timelines) => {
+  const report = {
+    executiveSummary: { sopTitle: 'SOP', totalManualTouchpoints: 0 },
+    detailedAnalysis: { automationOpportunities: timelines.map(quickWin) }
+  };
+  return buildPortfolio([{ fileName: 'sop.pdf', report }]).quickWins.map((w) => w.opportunity.timelineEstimate);
+};
+
+test('quick wins are ordered by their timeline, with units', () => {
+  assert.deepEqual(quickWinOrder(['1 year', '3-6 months', '2-4 weeks', '10 days']), ['10 days', '2-4 weeks', '3-6 months', '1 year']);
+});
+
+test('a phase number is not read as the duration', () => {
+  assert.deepEqual(quickWinOrder(['Phase 1 (6-9 months)', 'Phase 3 (2-4 weeks)', 'Phase 2: 3 months']), [
+    'Phase 3 (2-4 weeks)',
+    'Phase 2: 3 months',
+    'Phase 1 (6-9 months)'
+  ]);
+});
+
+test('a range without a unit counts as months, and timelines without a duration sort last', () => {
+  assert.deepEqual(quickWinOrder(['Phase 1', 'Ongoing', '2-3', '6 weeks']), ['6 weeks', '2-3', 'Phase 1', 'Ongoing']);
+});
@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import {
+  REPORT_SCHEMA_VERSION,
+  REPORT_MIGRATIONS,
+  migrateReport,
+  stampReportSchemaVersion
+} from '../desktop-app/src/shared/reportMigrations.mjs';
+import { validateReport } from '../desktop-app/src/shared/reportValidator.mjs';
+
+const require = createRequire(import.meta.url);
+// Needs zod from desktop-app (npm install there first).
+const { AnalysisReportSchema } = require('../desktop-app/src/offline/reportSchema.js');
+
+// A report saved before versioning, in the app's original shape: no schemaVersion, page numbers
+// as Gemini returned them (sometimes strings) and no evidence quotes.
+const legacyReport = () => ({
+  executiveSummary: {
+    sopTitle: 'SOP-QC-014 Sample Receipt and Login',
+    complexityScore: 'Medium (6/10)',
+    processEfficiencyRating: 'Low (45%)',
+    totalManualTouchpoints: 12,
+    automationPotentialScore: 'High (80%)',
+    timeSavingsEstimate: 'Est. 30 hours/month',
+    errorReductionProjection: 'Up to 85% fewer transcription errors',
+    complianceRiskMitigation: 'Electronic records with audit trail.',
+    implementationPriority: 'High'
+  },
+  detailedAnalysis: {
+    currentState: {
+      processBreakdown: ['Receive samples', 'Log samples on paper', 'Enter samples in LIMS'],
+      manualTouchpointInventory: ['Paper log', 'LIMS transcription'],
+      dataFlowMapping: 'Paper log → LIMS → QA review.',
+      bottleneckIdentification: 'Transcription backlog at shift change.'
+    },
+    automationOpportunities: [
+      {
+        opportunityCategory: 'Manual Data Entry Elimination',
+        sopReference: { stepIdentifier: 'Section 5.2 – Sample login', pageNumber: '3' },
+        currentManualProcess: 'Samples are written in a logbook and typed into LIMS.',
+        proposedAutomationSolution: 'Barcode scanning straight into LIMS.',
+        technologyRequired: 'LIMS, barcode scanners',
+        implementationComplexity: 'Low',
+        roiPotential: 'High',
+        complianceImpact: 'Removes transcription step.',
+        timelineEstimate: '0-3 months'
+      },
+      {
+        opportunityCategory: 'System Integration & Digital Transformation',
+        sopReference: { stepIdentifier: 'Section 6.1 – QA review', pageNumber: 4 },
+        currentManualProcess: 'QA compares paper and LIMS records.',
+        proposedAutomationSolution: 'Electronic review workflow with e-signatures.',
+        technologyRequired: 'QMS',
+        implementationComplexity: 'Medium',
+        roiPotential: 'Medium',
+        complianceImpact: '21 CFR Part 11 e-signatures.',
+        timelineEstimate: '3-6 months'
+      }
+    ],
+    implementationRoadmap: [{ phase: 'Phase 1 (Quick Wins - 0-6 months)', description: 'Barcode login.' }],
+    technicalRequirements: {
+      platformRequirements: 'LIMS 8 or later',
+      trainingRequirements: 'Two hours per analyst',
+      budgetEstimate: '$40k',
+      riskMitigation: 'Parallel run for one month'
+    }
+  }
+});
+
+// The migrated report must load the way a current one does.
+const assertLoads = (report) => {
+  const validation = validateReport(report);
+  assert.ok(validation.ok, `validator rejects the migrated report: ${validation.issues?.join('; ')}`);
+  assert.deepEqual(validation.fixes, [], 'validator had to fix the migrated report');
+  const parsed = AnalysisReportSchema.safeParse(report);
+  assert.ok(parsed.success, `Zod rejects the migrated report: ${parsed.error?.message}`);
+};
+
+test('every schema version below the current one has exactly one step', () => {
+  for (let version = 1; version < REPORT_SCHEMA_VERSION; version++) {
+    assert.equal(REPORT_MIGRATIONS.filter((m) => m.from === version).length, 1, `steps from v${version}`);
+  }
+});
+
+test('v1 → v2 adds evidence quotes and converts page numbers into a report that loads', () => {
+  const { report, fromVersion, applied } = migrateReport(legacyReport());
+
+  assert.equal(fromVersion, 1);
+  assert.equal(applied.length, 1);
+  assert.match(applied[0], /^v1 → v2: /);
+  assert.equal(report.schemaVersion, 2);
+
+  const [first, second] = report.detailedAnalysis.automationOpportunities;
+  assert.equal(first.sopReference.pageNumber, 3);
+  assert.equal(first.evidenceQuote, '');
+  assert.equal(second.sopReference.pageNumber, 4);
+  assert.equal(second.evidenceQuote, '');
+  assert.deepEqual(report.executiveSummary, legacyReport().executiveSummary);
+  assertLoads(report);
+});
+
+test('v1 → v2 defaults missing arrays into a report that loads', () => {
+  const legacy = legacyReport();
+  delete legacy.detailedAnalysis.automationOpportunities;
+  delete legacy.detailedAnalysis.implementationRoadmap;
+  delete legacy.detailedAnalysis.currentState.processBreakdown;
+  delete legacy.detailedAnalysis.currentState.manualTouchpointInventory;
+
+  const { report } = migrateReport(legacy);
+  const analysis = report.detailedAnalysis;
+  assert.deepEqual(analysis.automationOpportunities, []);
+  assert.deepEqual(analysis.implementationRoadmap, []);
+  assert.deepEqual(analysis.currentState.processBreakdown, []);
+  assert.deepEqual(analysis.currentState.manualTouchpointInventory, []);
+  assertLoads(report);
+});
+
+test('v1 → v2 leaves page labels that are not numbers for validation to report', () => {
+  const legacy = legacyReport();
+  legacy.detailedAnalysis.automationOpportunities[1].sopReference.pageNumber = 'iv';
+  const { report } = migrateReport(legacy);
+  assert.equal(report.detailedAnalysis.automationOpportunities[1].sopReference.pageNumber, 'iv');
+  assert.equal(validateReport(report).ok, false);
+});
+
+test('migrateReport does not modify its input', () => {
+  const input = legacyReport();
+  const before = structuredClone(input);
+  migrateReport(input);
+  assert.deepEqual(input, before);
+});
+
+test('a current report passes through unchanged', () => {
+  const current = stampReportSchemaVersion(migrateReport(legacyReport()).report);
+  const { report, fromVersion, applied } = migrateReport(current);
+  assert.equal(fromVersion, REPORT_SCHEMA_VERSION);
+  assert.deepEqual(applied, []);
+  assert.deepEqual(report, current);
+});
+
+test('reports from a newer app version are refused', () => {
+  assert.throws(
+    () => migrateReport({ ...legacyReport(), schemaVersion: REPORT_SCHEMA_VERSION + 1 }),
+    /schema version 3, but this version of the app only reads up to 2/
+  );
+});
+
+test('non-object reports are refused', () => {
+  for (const value of [null, 'report', [], 42]) {
+    assert.throws(() => migrateReport(value), /not a JSON object/);
+  }
+});
+
+test('stampReportSchemaVersion sets the current version without modifying the input', () => {
+  const input = { ...legacyReport(), schemaVersion: 1 };
+  const stamped = stampReportSchemaVersion(input);
+  assert.equal(stamped.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.deepEqual(stamped.executiveSummary, input.executiveSummary);
+  assert.equal(input.schemaVersion, 1);
+});
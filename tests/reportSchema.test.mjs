@@ -0,0 +1,213 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { REPORT_DEFINITION } from '../desktop-app/src/shared/reportDefinition.mjs';
+import { RESPONSE_SCHEMA } from '../desktop-app/src/shared/geminiPrompt.mjs';
+import { validateReport } from '../desktop-app/src/shared/reportValidator.mjs';
+
+// The report rules exist in four forms: the Gemini response schema, the generated Zod schema,
+// the offline prompt's JSON template and the dependency-free validator. This runs a sample
+// report and broken variants of it through each of them, so a change that makes one accept
+// what another rejects fails here rather than in production.
+
+const require = createRequire(import.meta.url);
+// Needs zod from desktop-app (npm install there first).
+const { AnalysisReportSchema, REPORT_JSON_TEMPLATE } = require('../desktop-app/src/offline/reportSchema.js');
+
+const sampleReport = () => ({
+  executiveSummary: {
+    sopTitle: 'SOP-QC-014 Sample Receipt and Login',
+    complexityScore: 'Medium (6/10)',
+    processEfficiencyRating: 'Low (45%)',
+    totalManualTouchpoints: 12,
+    automationPotentialScore: 'High (80%)',
+    timeSavingsEstimate: 'Est. 30 hours/month',
+    errorReductionProjection: 'Up to 85% fewer transcription errors',
+    complianceRiskMitigation: 'Electronic records with audit trail.',
+    implementationPriority: 'High'
+  },
+  detailedAnalysis: {
+    currentState: {
+      processBreakdown: ['Receive samples', 'Log samples on paper', 'Enter samples in LIMS'],
+      manualTouchpointInventory: ['Paper log', 'LIMS transcription'],
+      dataFlowMapping: 'Paper log → LIMS → QA review.',
+      bottleneckIdentification: 'Transcription backlog at shift change.'
+    },
+    automationOpportunities: [
+      {
+        opportunityCategory: 'Manual Data Entry Elimination',
+        sopReference: { stepIdentifier: 'Section 5.2 – Sample login', pageNumber: 3 },
+        evidenceQuote: 'The analyst records each sample in the logbook.',
+        currentManualProcess: 'Samples are written in a logbook and typed into LIMS.',
+        proposedAutomationSolution: 'Barcode scanning straight into LIMS.',
+        technologyRequired: 'LIMS, barcode scanners',
+        implementationComplexity: 'Low',
+        roiPotential: 'High',
+        complianceImpact: 'Removes transcription step.',
+        timelineEstimate: '0-3 months'
+      },
+      {
+        opportunityCategory: 'System Integration & Digital Transformation',
+        sopReference: { stepIdentifier: 'Section 6.1 – QA review', pageNumber: 4 },
+        evidenceQuote: 'QA verifies the logbook against LIMS.',
+        currentManualProcess: 'QA compares paper and LIMS records.',
+        proposedAutomationSolution: 'Electronic review workflow with e-signatures.',
+        technologyRequired: 'QMS',
+        implementationComplexity: 'Medium',
+        roiPotential: 'Medium',
+        complianceImpact: '21 CFR Part 11 e-signatures.',
+        timelineEstimate: '3-6 months'
+      }
+    ],
+    implementationRoadmap: [{ phase: 'Phase 1 (Quick Wins - 0-6 months)', description: 'Barcode login.' }],
+    technicalRequirements: {
+      platformRequirements: 'LIMS 8 or later',
+      trainingRequirements: 'Two hours per analyst',
+      budgetEstimate: '$40k',
+      riskMitigation: 'Parallel run for one month'
+    }
+  }
+});
+
+// Checks a value against the subset of the Gemini response schema toGeminiSchema emits, the
+// way Gemini's constrained decoding applies it.
+function geminiErrors(schema, value, where = '(root)') {
+  switch (schema.type) {
+    case 'STRING':
+      if (typeof value !== 'string') return [`${where}: not a string`];
+      return schema.enum && !schema.enum.includes(value) ? [`${where}: not in enum`] : [];
+    case 'INTEGER':
+      if (!Number.isInteger(value)) return [`${where}: not an integer`];
+      return schema.minimum !== undefined && value < schema.minimum ? [`${where}: below minimum`] : [];
+    case 'ARRAY':
+      if (!Array.isArray(value)) return [`${where}: not an array`];
+      return value.flatMap((item, index) => geminiErrors(schema.items, item, `${where}.${index}`));
+    case 'OBJECT': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${where}: not an object`];
+      const missing = (schema.required ?? []).filter((key) => value[key] === undefined).map((key) => `${where}.${key}: missing`);
+      const nested = Object.entries(schema.properties)
+        .filter(([key]) => value[key] !== undefined)
+        .flatMap(([key, child]) => geminiErrors(child, value[key], `${where}.${key}`));
+      return [...missing, ...nested];
+    }
+    default:
+      throw new Error(`Unknown Gemini schema type ${schema.type} at ${where}`);
+  }
+}
+
+const check = (value) => ({
+  gemini: geminiErrors(RESPONSE_SCHEMA, value).length === 0,
+  zod: AnalysisReportSchema.safeParse(value).success,
+  validator: validateReport(value)
+});
+
+const REMOVE = Symbol('remove');
+
+const withChange = (path, replacement) => {
+  const report = sampleReport();
+  const parent = path.slice(0, -1).reduce((node, key) => node[key], report);
+  if (replacement === REMOVE) delete parent[path.at(-1)];
+  else parent[path.at(-1)] = replacement;
+  return report;
+};
+
+// A value of the wrong kind for every node type, none of which the validator can normalize.
+const WRONG_KIND = { string: {}, integer: 'many', array: 'none', object: 42 };
+
+// Every path of the definition that exists in the sample (array items through index 0).
+function definitionPaths(node = REPORT_DEFINITION, path = []) {
+  const own = path.length > 0 ? [{ path, node }] : [];
+  if (node.kind === 'object') {
+    return [...own, ...Object.entries(node.properties).flatMap(([key, child]) => definitionPaths(child, [...path, key]))];
+  }
+  if (node.kind === 'array') return [...own, ...definitionPaths(node.items, [...path, 0])];
+  return own;
+}
+
+// Zod and Gemini are strict and must agree. The validator accepts whatever they accept, and
+// may additionally accept a report it can normalize, but only into one they accept.
+function assertConsistent(value, label) {
+  const { gemini, zod, validator } = check(value);
+  assert.equal(gemini, zod, `${label}: Gemini schema ${gemini ? 'accepts' : 'rejects'} but Zod ${zod ? 'accepts' : 'rejects'}`);
+  if (zod) {
+    assert.ok(validator.ok, `${label}: validator rejects a report Zod accepts (${validator.issues.join('; ')})`);
+    assert.deepEqual(validator.fixes, [], `${label}: validator changed a valid report`);
+  } else if (validator.ok) {
+    assert.ok(validator.fixes.length > 0, `${label}: validator accepts a report Zod rejects without fixing it`);
+    assert.ok(check(validator.data).zod, `${label}: the validator's normalized report fails Zod`);
+    assert.ok(check(validator.data).gemini, `${label}: the validator's normalized report fails the Gemini schema`);
+  }
+  return { gemini, zod, validator };
+}
+
+test('the sample report is accepted by every form of the rules', () => {
+  const { gemini, zod, validator } = assertConsistent(sampleReport(), 'sample');
+  assert.ok(gemini && zod && validator.ok);
+  assert.deepEqual(validator.data, sampleReport());
+});
+
+test('the offline prompt template has the sample report shape and is accepted everywhere', () => {
+  const template = JSON.parse(REPORT_JSON_TEMPLATE);
+  const { gemini, zod, validator } = assertConsistent(template, 'template');
+  assert.ok(gemini && zod && validator.ok);
+
+  // Same keys in the same order; arrays compare their first items where both have one.
+  const assertSameShape = (a, b, where) => {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      if (a.length > 0 && b.length > 0) assertSameShape(a[0], b[0], `${where}.0`);
+    } else if (a && typeof a === 'object' && b && typeof b === 'object') {
+      assert.deepEqual(Object.keys(a), Object.keys(b), `keys of ${where}`);
+      for (const key of Object.keys(a)) assertSameShape(a[key], b[key], `${where}.${key}`);
+    } else {
+      assert.equal(typeof a, typeof b, `type of ${where}`);
+    }
+  };
+  assertSameShape(template, sampleReport(), '(root)');
+});
+
+test('removing any field is rejected consistently', () => {
+  // Array items can't be missing, only their fields.
+  for (const { path, node } of definitionPaths().filter(({ path }) => typeof path.at(-1) === 'string')) {
+    const label = `without ${path.join('.')}`;
+    const { zod, validator } = assertConsistent(withChange(path, REMOVE), label);
+    assert.equal(zod, false, `${label}: accepted by Zod`);
+    // Only a missing array is filled in (with []).
+    assert.equal(validator.ok, node.kind === 'array', `${label}: validator ${validator.ok ? 'accepts' : 'rejects'}`);
+  }
+});
+
+test('a value of the wrong kind in any field is rejected everywhere', () => {
+  for (const { path, node } of definitionPaths()) {
+    const label = `${path.join('.')} as ${JSON.stringify(WRONG_KIND[node.kind])}`;
+    const { gemini, zod, validator } = assertConsistent(withChange(path, WRONG_KIND[node.kind]), label);
+    assert.ok(!gemini && !zod && !validator.ok, `${label}: accepted`);
+  }
+});
+
+test('enum, integer and minimum rules agree', () => {
+  const opp = ['detailedAnalysis', 'automationOpportunities', 1];
+  const cases = [
+    { label: 'unknown complexity', path: [...opp, 'implementationComplexity'], value: 'Very High', validator: false },
+    { label: 'lower-case ROI', path: [...opp, 'roiPotential'], value: 'high', validator: true },
+    { label: 'page 0', path: [...opp, 'sopReference', 'pageNumber'], value: 0, validator: false },
+    { label: 'page 2.5', path: [...opp, 'sopReference', 'pageNumber'], value: 2.5, validator: false },
+    { label: 'page "3"', path: [...opp, 'sopReference', 'pageNumber'], value: '3', validator: true },
+    { label: 'page "Page 3"', path: [...opp, 'sopReference', 'pageNumber'], value: 'Page 3', validator: true },
+    { label: 'negative touchpoints', path: ['executiveSummary', 'totalManualTouchpoints'], value: -1, validator: false },
+    { label: 'numeric title', path: ['executiveSummary', 'sopTitle'], value: 42, validator: true },
+    { label: 'null roadmap', path: ['detailedAnalysis', 'implementationRoadmap'], value: null, validator: true },
+    { label: 'object in a string list', path: ['detailedAnalysis', 'currentState', 'processBreakdown', 1], value: { step: 'x' }, validator: false }
+  ];
+  for (const { label, path, value, validator: expected } of cases) {
+    const { zod, validator } = assertConsistent(withChange(path, value), label);
+    assert.equal(zod, false, `${label}: accepted by Zod`);
+    assert.equal(validator.ok, expected, `${label}: validator ${validator.ok ? 'accepts' : 'rejects'}`);
+  }
+});
+
+test('unknown keys are ignored everywhere', () => {
+  const report = { ...sampleReport(), notes: 'extra' };
+  const { gemini, zod, validator } = assertConsistent(report, 'unknown key');
+  assert.ok(gemini && zod && validator.ok);
+  assert.equal(validator.data.notes, undefined);
+});
@@ -1,3 +1,19 @@
+// Result of checking `evidenceQuote` against the PDF text (see desktop-app/src/shared/citationVerifier.mjs).
+export interface CitationCheck {
+  status: 'verified' | 'corrected' | 'unverified';
+  score: number;
+  reason?: 'missing-quote' | 'not-found';
+  // Page the model originally cited, when the verifier moved the reference.
+  citedPageNumber?: number;
+}
+
+// Reviewer's verdict on one opportunity of a reviewed report (see desktop-app/src/shared/reportReview.mjs).
+export interface OpportunityReview {
+  decision: 'accepted' | 'rejected' | 'needs-discussion' | null;
+  comment: string;
+}
+
+// <report-schema> Generated by scripts/generate-report-schema.mjs from desktop-app/src/shared/reportDefinition.mjs. Do not edit by hand.
 
 export interface ExecutiveSummary {
   sopTitle: string;
@@ -24,6 +40,7 @@ export interface AutomationOpportunity {
     stepIdentifier: string;
     pageNumber: number;
   };
+  evidenceQuote: string;
   currentManualProcess: string;
   proposedAutomationSolution: string;
   technologyRequired: string;
@@ -31,6 +48,8 @@ export interface AutomationOpportunity {
   roiPotential: 'Low' | 'Medium' | 'High';
   complianceImpact: string;
   timelineEstimate: string;
+  citation?: CitationCheck;
+  review?: OpportunityReview;
 }
 
 export interface ImplementationPhase {
@@ -53,4 +72,20 @@ export interface AnalysisReport {
     implementationRoadmap: ImplementationPhase[];
     technicalRequirements: TechnicalRequirements;
   };
+  schemaVersion?: number;
+}
+
+// </report-schema>
+
+export type ReviewStatus = 'draft' | 'in-review' | 'approved';
+
+// Reviewed version of a report, kept next to the model's original (see
+// desktop-app/src/shared/reportReview.mjs).
+export interface ReportReview {
+  status: ReviewStatus;
+  reviewer: string;
+  updatedAt: string;
+  // Set when the status changes to Approved.
+  approvedAt: string | null;
+  report: AnalysisReport;
 }
@@ -2,14 +2,18 @@ import path from 'path';
 import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 
-export default defineConfig(({ mode }) => {
+export default defineConfig(({ command, mode }) => {
     const env = loadEnv(mode, '.', '');
+    // Production builds are copied into the desktop app, where Gemini is called from the main
+    // process; only inline the key for the dev server unless a web build explicitly opts in.
+    const embedApiKey = command === 'serve' || env.EMBED_GEMINI_API_KEY === 'true';
+    const apiKey = embedApiKey ? env.GEMINI_API_KEY : undefined;
     return {
       base: './',
       plugins: [react()],
       define: {
-        'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
+        'process.env.API_KEY': JSON.stringify(apiKey),
+        'process.env.GEMINI_API_KEY': JSON.stringify(apiKey)
       },
       resolve: {
         alias: {